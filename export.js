@@ -4,6 +4,22 @@
  */
 
 const buttons = require('./helpers/buttons');
+const responses = require('./helpers/responses');
+const router = require('./helpers/router');
+const builder = require('./helpers/builder');
+const textMenu = require('./helpers/textMenu');
+const menus = require('./helpers/menus');
+const stores = require('./helpers/stores');
+const bulk = require('./helpers/bulk');
+const templates = require('./helpers/templates');
+const buttonData = require('./helpers/buttonData');
+const nodeProfiles = require('./helpers/nodeProfiles');
+const flows = require('./helpers/flows');
+const payments = require('./helpers/payments');
+const catalog = require('./helpers/catalog');
+const location = require('./helpers/location');
+const edit = require('./helpers/edit');
+const { configure } = require('./helpers/config');
 const pkg = require('./package.json');
 
 const getPackageInfo = () => ({
@@ -18,6 +34,52 @@ module.exports = {
 	// re-export all named helpers from buttons.js (sendInteractiveButtonsBasic, sendButtons, ...)
 	...buttons,
 
+	// reply-side parsing (parseInteractiveResponse, ...)
+	...responses,
+
+	// reply dispatching (createInteractiveRouter)
+	...router,
+
+	// fluent payload construction (InteractiveMessageBuilder)
+	...builder,
+
+	// fallback: 'text' menus (resolveTextMenuReply, parseMenuChoice, createMemoryMenuStore, ...)
+	...textMenu,
+
+	// declarative menu trees (defineMenu, createMenuRuntime) and their state stores
+	...menus,
+	...stores,
+
+	// throttled campaigns (sendBulkInteractive)
+	...bulk,
+
+	// {{placeholders}} and locale bundles (renderInteractiveTemplate, registerLocaleBundle)
+	...templates,
+
+	// signed callback data in button ids (encodeButtonData, decodeButtonData, ...)
+	...buttonData,
+
+	// binary node profiles for getButtonArgs (registerNodeProfile, resolveNodeProfile, ...)
+	...nodeProfiles,
+
+	// WhatsApp Flows (sendFlowMessage, parseFlowResponse)
+	...flows,
+
+	// order details and payment info messages (sendOrderDetails, sendPaymentInfo, toMoney)
+	...payments,
+
+	// catalog messages (sendProductList, sendSingleProduct, sendCatalogButton)
+	...catalog,
+
+	// location / address requests and their replies (sendLocationRequest, parseAddressResponse, ...)
+	...location,
+
+	// edits of sent interactive messages (editInteractiveMessage, disableInteractiveButtons)
+	...edit,
+
+	// package wide settings (logger, logLevel, baileys, limitPolicy, menuStore, buttonSecret, nodeProfile)
+	configure,
+
 	// package metadata convenience
 	pkg,
 	getPackageInfo,
@@ -0,0 +1,123 @@
+/**
+ * Resolution of the Baileys (WhiskeySockets) module whose internals are used to
+ * build and relay messages manually.
+ *
+ * Order of precedence:
+ *  1. options.baileys passed to a single helper call.
+ *  2. configure({ baileys }) set once for the process.
+ *  3. Lookup of the known package names via require(), then import() for
+ *     ESM-only releases. A successful lookup is cached for the process lifetime.
+ *
+ * Injecting the module is the reliable choice for monorepos with several Baileys
+ * copies, forks published under other names and ESM applications:
+ *  import * as baileys from 'baileys';
+ *  configure({ baileys });
+ */
+
+const { getConfig } = require('./config');
+
+const CANDIDATE_PACKAGES = ['baileys', '@whiskeysockets/baileys', '@adiwajshing/baileys'];
+const REQUIRED_INTERNALS = ['generateWAMessageFromContent', 'normalizeMessageContent', 'isJidGroup', 'generateMessageIDV2'];
+
+let cachedLookup = null;
+
+/**
+ * Pick the helpers this package needs from a Baileys module namespace.
+ * Newer versions export them at top-level, older ones under Utils / WABinary,
+ * and ESM namespaces may hold everything under `default`.
+ *
+ * @param {object} mod Baileys module (CommonJS exports or ESM namespace).
+ * @returns {{internals: object, missing: string[]}}
+ */
+function extractInternals(mod) {
+  const sources = [mod, mod?.default].filter(Boolean);
+  const pick = (...paths) => {
+    for (const source of sources) {
+      for (const path of paths) {
+        const value = path.split('.').reduce((obj, key) => obj?.[key], source);
+        if (typeof value === 'function') return value;
+      }
+    }
+    return undefined;
+  };
+  const internals = {
+    generateWAMessageFromContent: pick('generateWAMessageFromContent', 'Utils.generateWAMessageFromContent'),
+    normalizeMessageContent: pick('normalizeMessageContent', 'Utils.normalizeMessageContent'),
+    isJidGroup: pick('isJidGroup', 'WABinary.isJidGroup'),
+    generateMessageIDV2: pick('generateMessageIDV2', 'Utils.generateMessageIDV2', 'generateMessageID', 'Utils.generateMessageID'),
+    prepareWAMessageMedia: pick('prepareWAMessageMedia', 'Utils.prepareWAMessageMedia')
+  };
+  const missing = REQUIRED_INTERNALS.filter(name => !internals[name]);
+  return { internals, missing };
+}
+
+async function loadCandidate(pkg) {
+  try {
+    return require(pkg);
+  } catch (err) {
+    if (err?.code === 'MODULE_NOT_FOUND') throw err;
+    // ERR_REQUIRE_ESM and friends: ESM-only release, fall through to import().
+  }
+  return import(pkg);
+}
+
+async function lookupInstalledBaileys() {
+  const report = [];
+  for (const pkg of CANDIDATE_PACKAGES) {
+    let mod;
+    try {
+      mod = await loadCandidate(pkg);
+    } catch (err) {
+      report.push(`${pkg}: not loadable (${err?.code || err?.message || err})`);
+      continue;
+    }
+    const { internals, missing } = extractInternals(mod);
+    if (!missing.length) {
+      return { internals, source: pkg, report };
+    }
+    report.push(`${pkg}: missing ${missing.join(', ')}`);
+  }
+  return { internals: null, source: null, report };
+}
+
+/**
+ * Resolve the Baileys internals for one helper call.
+ *
+ * @param {object} [options] Per-call options (options.baileys).
+ * @returns {Promise<{internals: object|null, report: string[]}>} internals holds
+ *   { generateWAMessageFromContent, normalizeMessageContent, isJidGroup, generateMessageIDV2, prepareWAMessageMedia? }
+ *   or null; report names what each rejected candidate lacked.
+ */
+async function resolveBaileysInternals(options = {}) {
+  const injected = options.baileys || getConfig().baileys;
+  if (injected) {
+    const { internals, missing } = extractInternals(injected);
+    if (!missing.length) return { internals, report: [] };
+    const label = options.baileys ? 'options.baileys' : 'configure({ baileys })';
+    return { internals: null, report: [`${label}: missing ${missing.join(', ')}`] };
+  }
+  if (!cachedLookup) {
+    cachedLookup = lookupInstalledBaileys().then(result => {
+      // Only successful lookups stay cached so a later install / configure still works.
+      if (!result.internals) cachedLookup = null;
+      return result;
+    });
+  }
+  const { internals, report } = await cachedLookup;
+  return { internals, report };
+}
+
+/**
+ * Drop the cached package lookup (e.g. after hot-swapping node_modules in tests).
+ */
+function clearBaileysCache() {
+  cachedLookup = null;
+}
+
+module.exports = {
+  resolveBaileysInternals,
+  extractInternals,
+  clearBaileysCache,
+  CANDIDATE_PACKAGES,
+  REQUIRED_INTERNALS
+};
@@ -0,0 +1,229 @@
+/**
+ * Fluent builder for native flow interactive messages.
+ *
+ * Hand written `buttonParamsJson: JSON.stringify({...})` objects only fail once
+ * the strict validators run inside sendInteractiveMessage. The builder checks
+ * each button against the button type registry at the moment it is added, so a
+ * missing `url` or `copy_code` throws at the offending call site.
+ *
+ * Usage:
+ *  const { InteractiveMessageBuilder } = require('zqbaileys_helper');
+ *  await new InteractiveMessageBuilder()
+ *    .header('Support')
+ *    .body('How can we help?')
+ *    .footer('Replies within 5 minutes')
+ *    .quickReply('help_billing', 'Billing')
+ *    .url('Docs', 'https://sendbulk.cloud')
+ *    .send(sock, jid);
+ */
+
+const {
+  InteractiveValidationError,
+  validateSendInteractiveMessagePayload,
+  sendInteractiveMessage
+} = require('./buttons');
+const { getButtonTypeDefinition, checkButtonParams } = require('./registry');
+
+function isBlank(value) {
+  return value == null || (typeof value === 'string' && value.trim() === '');
+}
+
+class InteractiveMessageBuilder {
+  constructor() {
+    this._text = null;
+    this._footer = null;
+    this._title = null;
+    this._subtitle = null;
+    this._buttons = [];
+  }
+
+  /**
+   * Throw an InteractiveValidationError scoped to the calling builder method.
+   * @private
+   */
+  _fail(method, errors) {
+    throw new InteractiveValidationError('Builder input invalid', {
+      context: `InteractiveMessageBuilder.${method}`,
+      errors
+    });
+  }
+
+  /**
+   * Set the body text (interactiveMessage.body.text). Required before build().
+   * @param {string} text
+   * @returns {InteractiveMessageBuilder}
+   */
+  body(text) {
+    if (isBlank(text) || typeof text !== 'string') {
+      this._fail('body', ['text must be a non-empty string']);
+    }
+    this._text = text;
+    return this;
+  }
+
+  /**
+   * Set the footer text.
+   * @param {string} text
+   * @returns {InteractiveMessageBuilder}
+   */
+  footer(text) {
+    if (typeof text !== 'string') {
+      this._fail('footer', ['footer must be a string']);
+    }
+    this._footer = text;
+    return this;
+  }
+
+  /**
+   * Set the header title (and optional subtitle).
+   * @param {string|{title: string, subtitle?: string}} header
+   * @returns {InteractiveMessageBuilder}
+   */
+  header(header) {
+    const { title, subtitle } = typeof header === 'string' ? { title: header } : (header || {});
+    if (typeof title !== 'string') {
+      this._fail('header', ['header title must be a string']);
+    }
+    if (subtitle != null && typeof subtitle !== 'string') {
+      this._fail('header', ['header subtitle must be a string']);
+    }
+    this._title = title;
+    this._subtitle = subtitle ?? null;
+    return this;
+  }
+
+  /**
+   * Add any registered native flow button by name. Params are checked against the
+   * type's requiredFields (present and non-blank) and its validate() hook.
+   * The typed helpers below delegate here.
+   *
+   * @param {string} name Native flow button name.
+   * @param {object} [params] Button params (serialized into buttonParamsJson).
+   * @param {string} [method] Method name used in error context.
+   * @returns {InteractiveMessageBuilder}
+   */
+  button(name, params = {}, method = 'button') {
+    if (typeof name !== 'string' || !name) {
+      this._fail(method, ['button name must be a non-empty string']);
+    }
+    if (!params || typeof params !== 'object') {
+      this._fail(method, [`${name} params must be an object`]);
+    }
+    const errors = [];
+    const definition = getButtonTypeDefinition(name);
+    if (!definition) {
+      errors.push(`button name '${name}' is not a registered native flow type`);
+    } else {
+      // Blank strings count as missing here; the strict validators only check presence.
+      checkButtonParams(name, params, { isMissing: (p, field) => isBlank(p[field]) })
+        .forEach(message => errors.push(`${name} ${message}`));
+    }
+    if (errors.length) this._fail(method, errors);
+    this._buttons.push({ name, buttonParamsJson: JSON.stringify(params) });
+    return this;
+  }
+
+  /**
+   * Quick reply button; the id is sent back when tapped.
+   * @param {string} id
+   * @param {string} text
+   */
+  quickReply(id, text) {
+    return this.button('quick_reply', { display_text: text, id }, 'quickReply');
+  }
+
+  /**
+   * Open a URL.
+   * @param {string} text
+   * @param {string} url
+   * @param {{merchantUrl?: string}} [extra]
+   */
+  url(text, url, { merchantUrl } = {}) {
+    if (!isBlank(url) && !/^https?:\/\//i.test(url)) {
+      this._fail('url', [`cta_url url must start with http:// or https:// (got '${url}')`]);
+    }
+    const params = { display_text: text, url };
+    if (merchantUrl) params.merchant_url = merchantUrl;
+    return this.button('cta_url', params, 'url');
+  }
+
+  /**
+   * Copy a code to the clipboard.
+   * @param {string} text
+   * @param {string} code
+   */
+  copy(text, code) {
+    return this.button('cta_copy', { display_text: text, copy_code: code }, 'copy');
+  }
+
+  /**
+   * Tap to dial.
+   * @param {string} text
+   * @param {string} phone Phone number in international format.
+   */
+  call(text, phone) {
+    return this.button('cta_call', { display_text: text, phone_number: phone }, 'call');
+  }
+
+  /**
+   * In-button picker list.
+   * @param {string} title Label of the button opening the picker.
+   * @param {Array<{title?: string, rows: Array<{id: string, title: string, description?: string, header?: string}>}>} sections
+   */
+  singleSelect(title, sections) {
+    const errors = [];
+    if (!Array.isArray(sections) || sections.length === 0) {
+      errors.push('single_select sections must be a non-empty array');
+    } else {
+      sections.forEach((section, s) => {
+        if (!section || !Array.isArray(section.rows) || section.rows.length === 0) {
+          errors.push(`single_select sections[${s}].rows must be a non-empty array`);
+          return;
+        }
+        section.rows.forEach((row, r) => {
+          if (!row || isBlank(row.id) || isBlank(row.title)) {
+            errors.push(`single_select sections[${s}].rows[${r}] requires id and title`);
+          }
+        });
+      });
+    }
+    if (errors.length) this._fail('singleSelect', errors);
+    return this.button('single_select', { title, sections }, 'singleSelect');
+  }
+
+  /**
+   * Produce the authoring payload accepted by sendInteractiveMessage.
+   * @param {{limitPolicy?: 'error'|'warn'|'truncate'}} [options] WhatsApp limit handling (see helpers/limits.js).
+   * @returns {{text: string, footer?: string, title?: string, subtitle?: string, interactiveButtons: Array<{name: string, buttonParamsJson: string}>}}
+   */
+  build(options = {}) {
+    const payload = { text: this._text, interactiveButtons: this._buttons.map(b => ({ ...b })) };
+    if (this._footer) payload.footer = this._footer;
+    if (this._title) payload.title = this._title;
+    if (this._subtitle) payload.subtitle = this._subtitle;
+    const { valid, errors, warnings, cleaned } = validateSendInteractiveMessagePayload(payload, options);
+    if (!valid) {
+      throw new InteractiveValidationError('Builder payload incomplete', {
+        context: 'InteractiveMessageBuilder.build',
+        errors,
+        warnings
+      });
+    }
+    return cleaned;
+  }
+
+  /**
+   * Build and send through sendInteractiveMessage.
+   * @param {object} sock Active Baileys socket.
+   * @param {string} jid Destination chat JID.
+   * @param {object} [options] Options forwarded to sendInteractiveMessage.
+   * @returns {Promise<object>} Resulting WAMessage.
+   */
+  send(sock, jid, options = {}) {
+    return sendInteractiveMessage(sock, jid, this.build(options), options);
+  }
+}
+
+module.exports = {
+  InteractiveMessageBuilder
+};
@@ -0,0 +1,269 @@
+/**
+ * Rate-limited bulk sending of interactive messages.
+ *
+ * Runs any send helper (sendInteractiveMessage by default, or sendButtons,
+ * sendListMessage, sendCards, ...) over a list of recipients through a throttled
+ * queue with retries, pause / resume / cancel and progress events.
+ *
+ * Usage:
+ *  const job = sendBulkInteractive(sock, jids, jid => ({ text: `Hi ${names[jid]}`, buttons }), {
+ *    send: sendButtons, concurrency: 2, perMinute: 30, jitterMs: 2000, retries: 3
+ *  });
+ *  job.on('progress', p => console.log(`${p.completed}/${p.total}`));
+ *  const report = await job.done;
+ */
+
+const { EventEmitter } = require('events');
+const { InteractiveValidationError, sendInteractiveMessage } = require('./buttons');
+const { resolveLogger } = require('./config');
+
+const TRANSIENT_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND']);
+const TRANSIENT_MESSAGE = /timed? ?out|connection (closed|lost|failure)|rate.?overlimit|too many requests/i;
+
+/**
+ * Default retry predicate: network errors, Boom 408 / 429 / 5xx and connection
+ * close / timeout messages are transient; validation errors never are.
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isTransientSendError(err) {
+  if (!err || err instanceof InteractiveValidationError) return false;
+  const status = err.output?.statusCode ?? err.statusCode;
+  if (status === 408 || status === 429 || (status >= 500 && status < 600)) return true;
+  if (TRANSIENT_CODES.has(err.code)) return true;
+  return TRANSIENT_MESSAGE.test(err.message || '');
+}
+
+/**
+ * Send interactive messages to many recipients.
+ *
+ * @param {object} sock Active socket instance.
+ * @param {Array<string|{jid: string}>} recipients JIDs (or objects carrying a jid, handed to the factory as-is).
+ * @param {(recipient: string|object, index: number) => (object|null|Promise<object|null>)} payloadFactory
+ *   Builds the data for one recipient; return null to skip it.
+ * @param {object} [options]
+ * @param {Function} [options.send=sendInteractiveMessage] Helper called as send(sock, jid, data, sendOptions).
+ * @param {object} [options.sendOptions] Options passed to every send.
+ * @param {number} [options.concurrency=1] Sends in flight at once.
+ * @param {number} [options.perMinute] Maximum send starts per minute (unlimited when omitted).
+ * @param {number} [options.jitterMs=0] Random extra delay (0..jitterMs) before each send.
+ * @param {number} [options.retries=2] Retries per recipient for transient errors.
+ * @param {number} [options.retryDelayMs=1000] First backoff delay; doubles on every retry.
+ * @param {number} [options.maxRetryDelayMs=30000] Backoff cap.
+ * @param {(err: Error) => boolean} [options.isRetryable=isTransientSendError] Transient error predicate.
+ * @returns {EventEmitter & {done: Promise<object>, pause: Function, resume: Function, cancel: Function, readonly state: string}}
+ *   Job controller. Events: 'sent', 'failed', 'skipped', 'retry', 'progress', 'paused', 'resumed', 'cancelled', 'done'.
+ *   Sending starts on a later tick, so listeners attached right after the call see every event;
+ *   a listener that throws is logged and never stops the job.
+ *   done resolves to { total, sent, failed, skipped, cancelled, results: [{ jid, index, status, messageId, attempts, error }] }.
+ */
+function sendBulkInteractive(sock, recipients, payloadFactory, options = {}) {
+  if (!sock) {
+    throw new InteractiveValidationError('Socket is required', { context: 'sendBulkInteractive' });
+  }
+  const errors = [];
+  if (!Array.isArray(recipients)) errors.push('recipients must be an array');
+  if (typeof payloadFactory !== 'function') errors.push('payloadFactory must be a function');
+  const {
+    send = sendInteractiveMessage,
+    sendOptions = {},
+    concurrency = 1,
+    perMinute,
+    jitterMs = 0,
+    retries = 2,
+    retryDelayMs = 1000,
+    maxRetryDelayMs = 30000,
+    isRetryable = isTransientSendError
+  } = options;
+  if (typeof send !== 'function') errors.push('send must be a function');
+  if (!Number.isInteger(concurrency) || concurrency < 1) errors.push('concurrency must be a positive integer');
+  if (perMinute != null && !(perMinute > 0)) errors.push('perMinute must be a positive number');
+  if (!Number.isInteger(retries) || retries < 0) errors.push('retries must be a non-negative integer');
+  for (const [key, value] of Object.entries({ jitterMs, retryDelayMs, maxRetryDelayMs })) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) errors.push(`${key} must be a non-negative number`);
+  }
+  if (typeof isRetryable !== 'function') errors.push('isRetryable must be a function');
+  if (errors.length) {
+    throw new InteractiveValidationError('Bulk send options invalid', { context: 'sendBulkInteractive', errors });
+  }
+
+  const log = resolveLogger(sock, options);
+  const job = new EventEmitter();
+  const total = recipients.length;
+  const results = recipients.map((recipient, index) => ({
+    jid: typeof recipient === 'string' ? recipient : recipient?.jid ?? null,
+    index,
+    status: 'pending',
+    messageId: null,
+    attempts: 0,
+    error: null
+  }));
+  const counts = { sent: 0, failed: 0, skipped: 0, cancelled: 0 };
+  const interval = perMinute ? 60000 / perMinute : 0;
+  let nextIndex = 0;
+  let nextStartAt = 0;
+  let state = 'running';
+  let resumeGate = null;
+  let releaseGate = null;
+  // Pending sleeps, woken early on cancel.
+  const sleepers = new Set();
+
+  // Listener errors must not reject job.done or leave other workers running unobserved.
+  const emit = (event, payload) => {
+    try {
+      job.emit(event, payload);
+    } catch (err) {
+      log.error({ err, event }, 'sendBulkInteractive listener failed');
+    }
+  };
+
+  const sleep = ms => new Promise(resolve => {
+    if (ms <= 0 || state === 'cancelled') return resolve();
+    const timer = setTimeout(() => {
+      sleepers.delete(wake);
+      resolve();
+    }, ms);
+    const wake = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    sleepers.add(wake);
+  });
+
+  const finish = (result, status, fields = {}) => {
+    Object.assign(result, { status }, fields);
+    counts[status]++;
+    // 'cancelled' is the job level event; cancelled recipients only show up in 'progress'.
+    if (status !== 'cancelled') emit(status, { ...result });
+    emit('progress', {
+      total,
+      completed: counts.sent + counts.failed + counts.skipped + counts.cancelled,
+      ...counts,
+      result: { ...result }
+    });
+  };
+
+  // Reserve the next start slot (perMinute spacing) and wait for it plus jitter.
+  const waitForSlot = async () => {
+    const now = Date.now();
+    const startAt = Math.max(now, nextStartAt);
+    nextStartAt = startAt + interval;
+    await sleep(startAt - now + (jitterMs > 0 ? Math.floor(Math.random() * jitterMs) : 0));
+  };
+
+  const sendOne = async result => {
+    const recipient = recipients[result.index];
+    if (!result.jid) {
+      finish(result, 'failed', { error: 'recipient has no jid' });
+      return;
+    }
+    let data;
+    try {
+      data = await payloadFactory(recipient, result.index);
+    } catch (err) {
+      finish(result, 'failed', { error: err?.message || String(err) });
+      return;
+    }
+    if (data == null) {
+      finish(result, 'skipped');
+      return;
+    }
+    for (;;) {
+      await waitForSlot();
+      if (resumeGate) await resumeGate;
+      if (state === 'cancelled') {
+        finish(result, 'cancelled');
+        return;
+      }
+      result.attempts++;
+      try {
+        const msg = await send(sock, result.jid, data, sendOptions);
+        finish(result, 'sent', { messageId: msg?.key?.id ?? null, error: null });
+        return;
+      } catch (err) {
+        const message = err?.message || String(err);
+        if (result.attempts > retries) {
+          finish(result, 'failed', { error: message });
+          return;
+        }
+        let retryable;
+        try {
+          retryable = isRetryable(err);
+        } catch (predicateErr) {
+          // A broken predicate fails this recipient instead of rejecting the whole job.
+          log.error({ jid: result.jid, err: predicateErr }, 'sendBulkInteractive isRetryable failed');
+          finish(result, 'failed', { error: predicateErr?.message || String(predicateErr) });
+          return;
+        }
+        if (!retryable) {
+          finish(result, 'failed', { error: message });
+          return;
+        }
+        const delayMs = Math.min(maxRetryDelayMs, retryDelayMs * 2 ** (result.attempts - 1));
+        log.warn({ jid: result.jid, attempt: result.attempts, delayMs, err: message }, 'sendBulkInteractive retrying');
+        emit('retry', { jid: result.jid, index: result.index, attempt: result.attempts, delayMs, error: message });
+        await sleep(delayMs);
+      }
+    }
+  };
+
+  const worker = async () => {
+    for (;;) {
+      if (resumeGate) await resumeGate;
+      if (state === 'cancelled' || nextIndex >= total) return;
+      await sendOne(results[nextIndex++]);
+    }
+  };
+
+  job.pause = () => {
+    if (state !== 'running') return job;
+    state = 'paused';
+    resumeGate = new Promise(resolve => { releaseGate = resolve; });
+    emit('paused');
+    return job;
+  };
+
+  job.resume = () => {
+    if (state !== 'paused') return job;
+    state = 'running';
+    releaseGate();
+    resumeGate = null;
+    emit('resumed');
+    return job;
+  };
+
+  // In-flight sends finish; recipients not started yet are reported as 'cancelled'.
+  job.cancel = () => {
+    if (state === 'cancelled' || state === 'done') return job;
+    const wasPaused = state === 'paused';
+    state = 'cancelled';
+    sleepers.forEach(wake => wake());
+    sleepers.clear();
+    if (wasPaused) {
+      releaseGate();
+      resumeGate = null;
+    }
+    emit('cancelled');
+    return job;
+  };
+
+  Object.defineProperty(job, 'state', { get: () => state, enumerable: true });
+
+  // Workers start on a later tick so the caller can attach listeners first.
+  job.done = new Promise(resolve => setImmediate(resolve))
+    .then(() => Promise.all(Array.from({ length: Math.min(concurrency, total) }, worker)))
+    .then(() => {
+      results.filter(r => r.status === 'pending').forEach(r => finish(r, 'cancelled'));
+      if (state !== 'cancelled') state = 'done';
+      const report = { total, ...counts, results };
+      emit('done', report);
+      return report;
+    });
+
+  return job;
+}
+
+module.exports = {
+  sendBulkInteractive,
+  isTransientSendError
+};
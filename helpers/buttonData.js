@@ -0,0 +1,206 @@
+/**
+ * Signed, structured button callback data.
+ *
+ * Instead of hand packed ids like `order:123:confirm`, a small JSON payload is
+ * serialized into the button / row id and signed with an HMAC, so a forged
+ * interactiveResponseMessage carrying a made-up id is rejected on receipt.
+ *
+ * Id format:  zq1.<mode>.<body>.<signature>
+ *  - mode       'j' (base64url JSON) or 'z' (base64url deflate-raw JSON), picked by size
+ *  - body       { d: payload, e?: expiry (unix seconds) }
+ *  - signature  base64url HMAC-SHA256 over `zq1.<mode>.<body>` (plus `|<jid>` when bound to a chat), truncated to 16 bytes
+ *
+ * The send helpers bind ids to the destination chat, so a reply is only accepted
+ * from the chat the button was sent to; decode checks it against the reply's
+ * remoteJid. Ids encoded without { jid } are valid in any chat.
+ *
+ * Usage:
+ *  configure({ buttonSecret: process.env.BUTTON_SECRET });
+ *  const id = encodeButtonData({ order: 123, action: 'confirm' }, { ttl: 3600, jid });
+ *  const { order, action } = decodeButtonData(reply.id, { jid: msg.key.remoteJid });
+ *
+ * The send helpers accept { data } wherever an id is expected (legacy buttons,
+ * quick_reply / single_select params, list rows, template quick replies, card
+ * buttons) and encode it with options.buttonSecret / configure({ buttonSecret }).
+ */
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { getConfig } = require('./config');
+const { WA_LIMITS } = require('./limits');
+
+const PREFIX = 'zq1';
+const SIGNATURE_BYTES = 16;
+
+/**
+ * Error thrown for button data that cannot be encoded or trusted.
+ * reason: 'secret' | 'too_long' | 'malformed' | 'signature' | 'expired'
+ */
+class ButtonDataError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.name = 'ButtonDataError';
+    this.reason = reason;
+  }
+}
+
+function resolveSecret(secret) {
+  const value = secret || getConfig().buttonSecret;
+  if (!value) {
+    throw new ButtonDataError('button data secret missing (pass { secret } or configure({ buttonSecret }))', 'secret');
+  }
+  return value;
+}
+
+// Device suffixes ('123:4@s.whatsapp.net') are dropped so replies from any device of the chat verify.
+function bareJid(jid) {
+  return jid.replace(/:\d+@/, '@');
+}
+
+function sign(unsigned, secret, jid) {
+  const material = jid ? `${unsigned}|${bareJid(jid)}` : unsigned;
+  return crypto.createHmac('sha256', secret).update(material).digest().subarray(0, SIGNATURE_BYTES).toString('base64url');
+}
+
+/**
+ * Serialize and sign a payload into an id.
+ *
+ * @param {*} payload JSON serializable value.
+ * @param {object} [options]
+ * @param {string|Buffer} [options.secret] HMAC secret (default: configure({ buttonSecret })).
+ * @param {number} [options.ttl] Lifetime in seconds; decode rejects the id afterwards.
+ * @param {string} [options.jid] Bind the id to this chat; decode then needs the same jid.
+ * @param {boolean|'auto'} [options.compress='auto'] Deflate the body ('auto' keeps whichever is shorter).
+ * @param {number} [options.maxLength=256] Maximum id length (WhatsApp button id limit; list row ids allow 200).
+ * @returns {string}
+ * @throws {ButtonDataError} When the secret is missing or the id would exceed maxLength.
+ */
+function encodeButtonData(payload, options = {}) {
+  const { ttl, compress = 'auto', maxLength = WA_LIMITS.buttonId, jid } = options;
+  const secret = resolveSecret(options.secret);
+  if (jid != null && (typeof jid !== 'string' || !jid)) throw new ButtonDataError('jid must be a non-empty string', 'malformed');
+  const body = { d: payload };
+  if (ttl != null) {
+    if (!(ttl > 0)) throw new ButtonDataError('ttl must be a positive number of seconds', 'malformed');
+    body.e = Math.floor(Date.now() / 1000) + Math.ceil(ttl);
+  }
+  const json = Buffer.from(JSON.stringify(body));
+  const candidates = [];
+  if (compress !== true) candidates.push({ mode: 'j', encoded: json.toString('base64url') });
+  if (compress) candidates.push({ mode: 'z', encoded: zlib.deflateRawSync(json).toString('base64url') });
+  const { mode, encoded } = candidates.reduce((best, c) => (c.encoded.length < best.encoded.length ? c : best));
+  const unsigned = `${PREFIX}.${mode}.${encoded}`;
+  const id = `${unsigned}.${sign(unsigned, secret, jid)}`;
+  if (id.length > maxLength) {
+    throw new ButtonDataError(`encoded button data is ${id.length} characters (limit ${maxLength}); store the data server side and send a key instead`, 'too_long');
+  }
+  return id;
+}
+
+/**
+ * Whether an id looks like encoded button data (format check only, not verified).
+ * @param {string} id
+ * @returns {boolean}
+ */
+function isButtonData(id) {
+  return typeof id === 'string' && /^zq1\.[jz]\.[\w-]+\.[\w-]+$/.test(id);
+}
+
+/**
+ * Verify and decode an id produced by encodeButtonData.
+ *
+ * @param {string} id Reply id (button id / row id).
+ * @param {object} [options]
+ * @param {string|Buffer} [options.secret] HMAC secret (default: configure({ buttonSecret })).
+ * @param {string|string[]} [options.jid] Chat the reply came from (msg.key.remoteJid; several for alternate addressing). Required for chat bound ids.
+ * @param {number} [options.now=Date.now()] Clock override in milliseconds.
+ * @returns {*} The original payload.
+ * @throws {ButtonDataError} reason 'malformed', 'signature' (forged / other secret / other chat) or 'expired'.
+ */
+function decodeButtonData(id, options = {}) {
+  const secret = resolveSecret(options.secret);
+  if (!isButtonData(id)) throw new ButtonDataError('not encoded button data', 'malformed');
+  const cut = id.lastIndexOf('.');
+  const unsigned = id.slice(0, cut);
+  const actual = Buffer.from(id.slice(cut + 1));
+  // '|' never occurs in the unsigned part, so unbound and chat bound signatures cannot be confused.
+  const jids = [].concat(options.jid ?? []).filter(jid => typeof jid === 'string' && jid);
+  const verified = [null, ...jids].some(jid => {
+    const expected = Buffer.from(sign(unsigned, secret, jid));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  });
+  if (!verified) {
+    throw new ButtonDataError('button data signature mismatch (forged, other secret or other chat)', 'signature');
+  }
+  const [, mode, encoded] = unsigned.split('.');
+  let body;
+  try {
+    const raw = Buffer.from(encoded, 'base64url');
+    body = JSON.parse((mode === 'z' ? zlib.inflateRawSync(raw) : raw).toString('utf8'));
+  } catch {
+    throw new ButtonDataError('button data body unreadable', 'malformed');
+  }
+  const now = options.now ?? Date.now();
+  if (body.e != null && Math.floor(now / 1000) > body.e) {
+    throw new ButtonDataError('button data expired', 'expired');
+  }
+  return body.d;
+}
+
+/**
+ * Return a copy of an authoring payload with every { data } encoded into its id field:
+ * buttons[] / interactiveButtons[] / cards[].buttons[] / templateButtons[] (legacy { data, text },
+ * quick_reply and single_select params, quickReplyButton) and sections[].rows[] (rowId).
+ * Entries that already carry an id are left alone.
+ *
+ * @param {object} payload Authoring payload of any send helper.
+ * @param {object} [options] Send options: buttonSecret, buttonDataTtl (seconds), jid (chat to bind the ids to).
+ * @returns {object}
+ */
+function encodeButtonDataInPayload(payload, options = {}) {
+  if (!payload || typeof payload !== 'object') return payload;
+  const encodeOpts = maxLength => ({ secret: options.buttonSecret, ttl: options.buttonDataTtl, jid: options.jid, maxLength });
+  const withId = (obj, key, maxLength = WA_LIMITS.buttonId) => {
+    if (!obj || typeof obj !== 'object' || obj.data === undefined || obj[key] != null) return obj;
+    const { data, ...rest } = obj;
+    return { ...rest, [key]: encodeButtonData(data, encodeOpts(maxLength)) };
+  };
+  const rows = sections => (Array.isArray(sections)
+    ? sections.map(section => (section && Array.isArray(section.rows)
+      ? { ...section, rows: section.rows.map(row => withId(row, 'rowId', WA_LIMITS.rowId)) }
+      : section))
+    : sections);
+  const paramRows = sections => (Array.isArray(sections)
+    ? sections.map(section => (section && Array.isArray(section.rows)
+      ? { ...section, rows: section.rows.map(row => withId(row, 'id', WA_LIMITS.rowId)) }
+      : section))
+    : sections);
+  const button = btn => {
+    if (!btn || typeof btn !== 'object') return btn;
+    if (btn.quickReplyButton) return { ...btn, quickReplyButton: withId(btn.quickReplyButton, 'id') };
+    if (typeof btn.buttonParamsJson === 'string' && (btn.name === 'quick_reply' || btn.name === 'single_select')) {
+      let params;
+      try { params = JSON.parse(btn.buttonParamsJson); } catch { return btn; }
+      const next = btn.name === 'quick_reply' ? withId(params, 'id') : { ...params, sections: paramRows(params.sections) };
+      return { ...btn, buttonParamsJson: JSON.stringify(next) };
+    }
+    return withId(btn, 'id');
+  };
+  const next = { ...payload };
+  if (Array.isArray(payload.buttons)) next.buttons = payload.buttons.map(button);
+  if (Array.isArray(payload.interactiveButtons)) next.interactiveButtons = payload.interactiveButtons.map(button);
+  if (Array.isArray(payload.sections)) next.sections = rows(payload.sections);
+  if (Array.isArray(payload.cards)) {
+    next.cards = payload.cards.map(card => (card && Array.isArray(card.buttons) ? { ...card, buttons: card.buttons.map(button) } : card));
+  }
+  if (Array.isArray(payload.templateButtons)) next.templateButtons = payload.templateButtons.map(button);
+  return next;
+}
+
+module.exports = {
+  encodeButtonData,
+  decodeButtonData,
+  isButtonData,
+  encodeButtonDataInPayload,
+  ButtonDataError
+};
@@ -31,6 +31,42 @@
  * performs network I/O via relayMessage.
  */
 
+const { resolveLogger } = require('./config');
+const { resolveBaileysInternals, REQUIRED_INTERNALS } = require('./baileys');
+const {
+  WA_LIMITS,
+  resolveLimitPolicy,
+  createLimitChecker,
+  limitTextFields,
+  limitSections,
+  limitButtonParams
+} = require('./limits');
+const {
+  OverflowError,
+  MORE_ID_PREFIX,
+  resolveOverflowOptions,
+  paginateItems,
+  layoutButtonsAsSingleSelect,
+  buttonsToListSections,
+  parseOverflowPage
+} = require('./overflow');
+const {
+  menuGroupsFromInteractiveButtons,
+  renderTextMenu,
+  rememberTextMenu
+} = require('./textMenu');
+const { encodeButtonDataInPayload, ButtonDataError } = require('./buttonData');
+const { resolveNodeProfile, shouldAddBotNode } = require('./nodeProfiles');
+const {
+  registerButtonType,
+  unregisterButtonType,
+  getButtonTypeDefinition,
+  listButtonTypes,
+  isButtonTypeAllowed,
+  checkButtonParams,
+  requiredFieldsMap
+} = require('./registry');
+
 /**
  * Normalize various historical / upstream button shapes into the
  * native_flow "buttons" entry (array of { name, buttonParamsJson }).
@@ -76,6 +112,26 @@ function buildInteractiveButtons(buttons = []) {
   });
 }
 
+/**
+ * Build one native flow button from a params object ({ name, buttonParamsJson }).
+ * Params are checked against the registered type (required fields, validate hook).
+ *
+ * @param {string} name Native flow button name (quick_reply, cta_url, ...).
+ * @param {object} [params] buttonParamsJson contents.
+ * @returns {{name: string, buttonParamsJson: string}}
+ * @throws {InteractiveValidationError} When params miss required fields or fail validation.
+ */
+function nativeFlowButton(name, params = {}) {
+  const errors = typeof name === 'string' && name
+    ? checkButtonParams(name, params).map(e => `${name}: ${e}`)
+    : ['name must be a non-empty string'];
+  if (!params || typeof params !== 'object') errors.push('params must be an object');
+  if (errors.length) {
+    throw new InteractiveValidationError('Native flow button invalid', { context: 'nativeFlowButton', errors });
+  }
+  return { name, buttonParamsJson: JSON.stringify(params) };
+}
+
 /**
  * Validate authoring-time button objects prior to conversion.
  * Accepts the liberal set of historical shapes supported by buildInteractiveButtons.
@@ -251,6 +307,13 @@ const EXAMPLE_PAYLOADS = {
       }
     ]
   },
+  sendCards: {
+    text: 'Our picks',
+    cards: [
+      { title: 'Item A', body: 'Top seller', image: { url: 'https://sendbulk.cloud/a.jpg' }, buttons: [{ id: 'buy_a', text: 'Buy A' }] },
+      { title: 'Item B', body: 'Hot deal', image: { url: 'https://sendbulk.cloud/b.jpg' }, buttons: [{ id: 'buy_b', text: 'Buy B' }] }
+    ]
+  },
   sendTemplateButtonsHydrated: {
     text: 'Hi its a template message',
     footer: 'Footer text',
@@ -263,33 +326,9 @@ const EXAMPLE_PAYLOADS = {
 };
 
 // -------------------- STRICT FORMAT VALIDATORS (User Spec) --------------------
-// Allowed complex button names for sendButtons (legacy quick reply + these cta_* types)
-const SEND_BUTTONS_ALLOWED_COMPLEX = new Set(['cta_url', 'cta_copy', 'cta_call', 'cta_catalog', 'send_location']);
-// Allowed button names for sendInteractiveMessage (expanded set)
-const INTERACTIVE_ALLOWED_NAMES = new Set([
-  'quick_reply', 'cta_url', 'cta_copy', 'cta_call', 'cta_catalog', 'cta_reminder', 'cta_cancel_reminder',
-  'address_message', 'send_location', 'open_webview', 'mpm', 'wa_payment_transaction_details',
-  'automated_greeting_message_view_catalog', 'galaxy_message', 'single_select'
-]);
-
-// Required JSON fields per button name (minimal mandatory keys)
-const REQUIRED_FIELDS_MAP = {
-  cta_url: ['display_text', 'url'],
-  cta_copy: ['display_text', 'copy_code'],
-  cta_call: ['display_text', 'phone_number'],
-  cta_catalog: [],
-  cta_reminder: ['display_text'],
-  cta_cancel_reminder: ['display_text'],
-  address_message: ['display_text'],
-  send_location: [],
-  open_webview: ['title', 'link'], // link further validated
-  mpm: ['product_id'],
-  wa_payment_transaction_details: ['transaction_id'],
-  automated_greeting_message_view_catalog: ['business_phone_number', 'catalog_product_id'],
-  galaxy_message: ['flow_token', 'flow_id'],
-  single_select: ['title', 'sections'],
-  quick_reply: ['display_text', 'id']
-};
+// Button rules live in the registry (helpers/registry.js); see registerButtonType.
+// REQUIRED_FIELDS_MAP is kept as a live read-only view of each type's requiredFields.
+const REQUIRED_FIELDS_MAP = requiredFieldsMap;
 
 function parseButtonParams(name, buttonParamsJson, errors, warnings, index) {
   let parsed;
@@ -299,123 +338,186 @@ function parseButtonParams(name, buttonParamsJson, errors, warnings, index) {
     errors.push(`button[${index}] (${name}) invalid JSON: ${e.message}`);
     return null;
   }
-  const req = REQUIRED_FIELDS_MAP[name] || [];
-  for (const f of req) {
-    if (!(f in parsed)) {
-      errors.push(`button[${index}] (${name}) missing required field '${f}'`);
-    }
+  // Required fields + per-type nested validation (open_webview link, single_select sections, ...).
+  for (const message of checkButtonParams(name, parsed)) {
+    errors.push(`button[${index}] (${name}) ${message}`);
   }
-  // Additional nested validation
-  if (name === 'open_webview' && parsed.link) {
-    if (typeof parsed.link !== 'object' || !parsed.link.url) {
-      errors.push(`button[${index}] (open_webview) link.url required`);
+  return parsed;
+}
+
+// Authoring keys that turn into interactiveMessage.header media (only one per message).
+const HEADER_MEDIA_KEYS = ['image', 'video', 'document', 'location'];
+
+/**
+ * Validate optional header media authoring keys (image / video / document / location).
+ * Media values may be a Buffer, a readable stream or { url }; location needs coordinates.
+ */
+function validateHeaderMedia(data, errors, warnings) {
+  const present = HEADER_MEDIA_KEYS.filter(k => data[k] != null);
+  if (present.length > 1) {
+    errors.push(`only one header media allowed (got ${present.join(', ')})`);
+    return;
+  }
+  const key = present[0];
+  if (!key) return;
+  const media = data[key];
+  if (key === 'location') {
+    const lat = media.degreesLatitude ?? media.latitude;
+    const lng = media.degreesLongitude ?? media.longitude;
+    if (typeof lat !== 'number' || typeof lng !== 'number') {
+      errors.push('location header requires numeric degreesLatitude/degreesLongitude (or latitude/longitude)');
     }
+    return;
   }
-  if (name === 'single_select') {
-    if (!Array.isArray(parsed.sections) || parsed.sections.length === 0) {
-      errors.push(`button[${index}] (single_select) sections must be non-empty array`);
-    }
+  const isBuffer = Buffer.isBuffer(media);
+  const isStream = !!media && typeof media.pipe === 'function';
+  const isUrl = !!media && typeof media === 'object' && (typeof media.url === 'string' || media.url instanceof URL);
+  if (!isBuffer && !isStream && !isUrl) {
+    errors.push(`${key} header must be a Buffer, a stream or { url }`);
+  }
+  if (key === 'document' && !data.mimetype) {
+    warnings.push('document header without mimetype; WhatsApp may show a generic file');
   }
-  return parsed;
 }
 
 /**
  * Strict validator for sendButtons input per user specification.
- * Format: { text: string, buttons: [...] , optional title/subtitle/footer }
+ * Format: { text: string, buttons: [...] , optional title/subtitle/footer, optional image/video/document/location header }
  * Allowed button shapes:
  *   1. Legacy quick reply: { id, text }
- *   2. Named buttons: name in SEND_BUTTONS_ALLOWED_COMPLEX with valid buttonParamsJson & required fields
+ *   2. Named buttons: registered types allowed in 'sendButtons' with valid buttonParamsJson & required fields
+ * WhatsApp limits are applied per options.limitPolicy (see helpers/limits.js); `cleaned` is the
+ * payload to send (text shortened under 'truncate') and `changes` lists every truncation.
+ * The button count limit is skipped when options.overflow is set (the overflow layout applies it).
  */
-function validateSendButtonsPayload(data) {
+function validateSendButtonsPayload(data, options = {}) {
   const errors = [];
   const warnings = [];
   if (!data || typeof data !== 'object') {
-    return { valid: false, errors: ['payload must be an object'], warnings };
+    return { valid: false, errors: ['payload must be an object'], warnings, changes: [], cleaned: data };
   }
+  const limits = createLimitChecker(resolveLimitPolicy(options), errors, warnings);
+  const cleaned = limitTextFields(data, INTERACTIVE_TEXT_LIMITS, limits);
   if (!data.text || typeof data.text !== 'string') {
     errors.push('text is mandatory and must be a string');
   }
   if (!Array.isArray(data.buttons) || data.buttons.length === 0) {
     errors.push('buttons is mandatory and must be a non-empty array');
   } else {
-    data.buttons.forEach((btn, i) => {
+    if (!options.overflow) {
+      limits.count('buttons', data.buttons.length, WA_LIMITS.nativeFlowButtons);
+    }
+    cleaned.buttons = data.buttons.map((btn, i) => {
       if (!btn || typeof btn !== 'object') {
         errors.push(`button[${i}] must be an object`);
-        return;
+        return btn;
       }
       // Legacy quick reply
       if (btn.id && btn.text) {
         if (typeof btn.id !== 'string' || typeof btn.text !== 'string') {
           errors.push(`button[${i}] legacy quick reply id/text must be strings`);
+          return btn;
         }
-        return;
+        limits.id(`button[${i}].id`, btn.id, WA_LIMITS.buttonId);
+        return limitTextFields(btn, { text: 'buttonLabel' }, limits, `button[${i}].`);
       }
       if (btn.name && btn.buttonParamsJson) {
-        if (!SEND_BUTTONS_ALLOWED_COMPLEX.has(btn.name)) {
+        if (!isButtonTypeAllowed(btn.name, 'sendButtons')) {
           errors.push(`button[${i}] name '${btn.name}' not allowed in sendButtons`);
-          return;
+          return btn;
         }
         if (typeof btn.buttonParamsJson !== 'string') {
           errors.push(`button[${i}] buttonParamsJson must be string`);
-          return;
+          return btn;
         }
-        parseButtonParams(btn.name, btn.buttonParamsJson, errors, warnings, i);
-        return;
+        const parsed = parseButtonParams(btn.name, btn.buttonParamsJson, errors, warnings, i);
+        return limitNamedButton(btn, parsed, limits, `button[${i}]`);
       }
-      errors.push(`button[${i}] invalid shape (must be legacy quick reply or named ${Array.from(SEND_BUTTONS_ALLOWED_COMPLEX).join(', ')})`);
+      errors.push(`button[${i}] invalid shape (must be legacy quick reply or named ${listButtonTypes('sendButtons').join(', ')})`);
+      return btn;
     });
   }
-  return { valid: errors.length === 0, errors, warnings };
+  validateHeaderMedia(data, errors, warnings);
+  return { valid: errors.length === 0, errors, warnings, changes: limits.changes, cleaned };
+}
+
+// Top-level authoring text fields shared by sendButtons and sendInteractiveMessage payloads.
+const INTERACTIVE_TEXT_LIMITS = { text: 'bodyText', footer: 'footerText', title: 'headerText', subtitle: 'headerText' };
+
+/**
+ * Apply limits to a named native flow button and re-serialize its params only when text was truncated.
+ * @param {object} btn { name, buttonParamsJson }
+ * @param {object|null} parsed Parsed params (null when parsing failed).
+ * @param {ReturnType<typeof createLimitChecker>} limits
+ * @param {string} path
+ * @returns {object}
+ */
+function limitNamedButton(btn, parsed, limits, path) {
+  if (!parsed) return btn;
+  const before = limits.changes.length;
+  const next = limitButtonParams(btn.name, parsed, limits, path);
+  return limits.changes.length > before ? { ...btn, buttonParamsJson: JSON.stringify(next) } : btn;
 }
 
 /**
  * Strict validator for sendInteractiveMessage authoring payload (before conversion).
- * Expected: { text: string, interactiveButtons: [ { name, buttonParamsJson } ... ], optional title/subtitle/footer }
+ * Expected: { text: string, interactiveButtons: [ { name, buttonParamsJson } ... ], optional title/subtitle/footer,
+ *   optional image/video/document/location header }
+ * Returns `cleaned` / `changes` like validateSendButtonsPayload.
  */
-function validateSendInteractiveMessagePayload(data) {
+function validateSendInteractiveMessagePayload(data, options = {}) {
   const errors = [];
   const warnings = [];
   if (!data || typeof data !== 'object') {
-    return { valid: false, errors: ['payload must be an object'], warnings };
+    return { valid: false, errors: ['payload must be an object'], warnings, changes: [], cleaned: data };
   }
+  const limits = createLimitChecker(resolveLimitPolicy(options), errors, warnings);
+  const cleaned = limitTextFields(data, INTERACTIVE_TEXT_LIMITS, limits);
   if (!data.text || typeof data.text !== 'string') {
     errors.push('text is mandatory and must be a string');
   }
   if (!Array.isArray(data.interactiveButtons) || data.interactiveButtons.length === 0) {
     errors.push('interactiveButtons is mandatory and must be a non-empty array');
   } else {
-    data.interactiveButtons.forEach((btn, i) => {
+    limits.count('interactiveButtons', data.interactiveButtons.length, WA_LIMITS.nativeFlowButtons);
+    cleaned.interactiveButtons = data.interactiveButtons.map((btn, i) => {
       if (!btn || typeof btn !== 'object') {
         errors.push(`interactiveButtons[${i}] must be an object`);
-        return;
+        return btn;
       }
       if (!btn.name || typeof btn.name !== 'string') {
         errors.push(`interactiveButtons[${i}] missing name`);
-        return;
+        return btn;
       }
-      if (!INTERACTIVE_ALLOWED_NAMES.has(btn.name)) {
+      if (!isButtonTypeAllowed(btn.name, 'interactive')) {
         errors.push(`interactiveButtons[${i}] name '${btn.name}' not allowed`);
-        return;
+        return btn;
       }
       if (!btn.buttonParamsJson || typeof btn.buttonParamsJson !== 'string') {
         errors.push(`interactiveButtons[${i}] buttonParamsJson must be string`);
-        return;
+        return btn;
       }
-      parseButtonParams(btn.name, btn.buttonParamsJson, errors, warnings, i);
+      const parsed = parseButtonParams(btn.name, btn.buttonParamsJson, errors, warnings, i);
+      return limitNamedButton(btn, parsed, limits, `interactiveButtons[${i}]`);
     });
   }
-  return { valid: errors.length === 0, errors, warnings };
+  validateHeaderMedia(data, errors, warnings);
+  return { valid: errors.length === 0, errors, warnings, changes: limits.changes, cleaned };
 }
 
 /**
  * Validate top-level interactive content just before WAMessage creation.
  * Ensures that if interactiveButtons OR interactiveMessage.nativeFlowMessage is present,
- * the internal button array meets minimal structural requirements.
+ * the internal button array meets minimal structural requirements. Carousel content
+ * (interactiveMessage.carouselMessage) is checked card by card.
  *
  * @param {object} content Converted content (after optional convertToInteractiveMessage call).
+ * @param {object} [opts]
+ * @param {boolean} [opts.allowEmptyButtons=false] Accept an empty buttons array without a warning
+ *   (edits that remove the buttons, see disableInteractiveButtons).
  * @returns {{errors: string[], warnings: string[], valid: boolean}}
  */
-function validateInteractiveMessageContent(content) {
+function validateInteractiveMessageContent(content, { allowEmptyButtons = false } = {}) {
   const errors = [];
   const warnings = [];
   if (!content || typeof content !== 'object') {
@@ -426,35 +528,54 @@ function validateInteractiveMessageContent(content) {
     // Non-interactive messages are acceptable; nothing to validate.
     return { errors, warnings, valid: true };
   }
+  const checkNativeFlowButtons = (nativeFlow, path) => {
+    if (!Array.isArray(nativeFlow.buttons)) {
+      errors.push(`${path}.buttons must be an array`);
+      return;
+    }
+    if (nativeFlow.buttons.length === 0 && !allowEmptyButtons) {
+      warnings.push(`${path}.buttons is empty`);
+    }
+    nativeFlow.buttons.forEach((btn, i) => {
+      if (!btn || typeof btn !== 'object') {
+        errors.push(`buttons[${i}] is not an object`);
+        return;
+      }
+      if (!btn.buttonParamsJson) {
+        warnings.push(`buttons[${i}] missing buttonParamsJson (may fail to render)`);
+      } else if (typeof btn.buttonParamsJson !== 'string') {
+        errors.push(`buttons[${i}] buttonParamsJson must be string`);
+      } else {
+        try { JSON.parse(btn.buttonParamsJson); } catch (e) { warnings.push(`buttons[${i}] buttonParamsJson invalid JSON (${e.message})`); }
+      }
+      if (!btn.name) {
+        warnings.push(`buttons[${i}] missing name; defaulting to quick_reply`);
+        btn.name = 'quick_reply';
+      }
+    });
+  };
+  // Carousel: every card carries its own nativeFlowMessage.
+  const carousel = interactive.carouselMessage;
+  if (carousel) {
+    if (!Array.isArray(carousel.cards) || carousel.cards.length === 0) {
+      errors.push('carouselMessage.cards must be a non-empty array');
+      return { errors, warnings, valid: false };
+    }
+    carousel.cards.forEach((card, c) => {
+      if (!card?.nativeFlowMessage) {
+        errors.push(`cards[${c}].nativeFlowMessage missing`);
+        return;
+      }
+      checkNativeFlowButtons(card.nativeFlowMessage, `cards[${c}].nativeFlowMessage`);
+    });
+    return { errors, warnings, valid: errors.length === 0 };
+  }
   const nativeFlow = interactive.nativeFlowMessage;
   if (!nativeFlow) {
     errors.push('interactiveMessage.nativeFlowMessage missing');
     return { errors, warnings, valid: false };
   }
-  if (!Array.isArray(nativeFlow.buttons)) {
-    errors.push('nativeFlowMessage.buttons must be an array');
-    return { errors, warnings, valid: false };
-  }
-  if (nativeFlow.buttons.length === 0) {
-    warnings.push('nativeFlowMessage.buttons is empty');
-  }
-  nativeFlow.buttons.forEach((btn, i) => {
-    if (!btn || typeof btn !== 'object') {
-      errors.push(`buttons[${i}] is not an object`);
-      return;
-    }
-    if (!btn.buttonParamsJson) {
-      warnings.push(`buttons[${i}] missing buttonParamsJson (may fail to render)`);
-    } else if (typeof btn.buttonParamsJson !== 'string') {
-      errors.push(`buttons[${i}] buttonParamsJson must be string`);
-    } else {
-      try { JSON.parse(btn.buttonParamsJson); } catch (e) { warnings.push(`buttons[${i}] buttonParamsJson invalid JSON (${e.message})`); }
-    }
-    if (!btn.name) {
-      warnings.push(`buttons[${i}] missing name; defaulting to quick_reply`);
-      btn.name = 'quick_reply';
-    }
-  });
+  checkNativeFlowButtons(nativeFlow, 'nativeFlowMessage');
   return { errors, warnings, valid: errors.length === 0 };
 }
 
@@ -487,10 +608,15 @@ function patchMessageForMdIfRequired(message) {
   return message;
 }
 
-function validateListMessagePayload(data) {
+/**
+ * Strict validator for sendListMessage payloads (listMessage).
+ * Returns `cleaned` / `changes` like validateSendButtonsPayload.
+ */
+function validateListMessagePayload(data, options = {}) {
   const errors = [];
+  const warnings = [];
   if (!data || typeof data !== 'object') {
-    return { valid: false, errors: ['payload must be an object'] };
+    return { valid: false, errors: ['payload must be an object'], warnings, changes: [], cleaned: data };
   }
   if (!Array.isArray(data.sections) || data.sections.length === 0) {
     errors.push('sections must be a non-empty array');
@@ -510,14 +636,26 @@ function validateListMessagePayload(data) {
   if (data.listType != null && typeof data.listType !== 'number') {
     errors.push('listType must be a number');
   }
-  return { valid: errors.length === 0, errors };
+  const limits = createLimitChecker(resolveLimitPolicy(options), errors, warnings);
+  const cleaned = limitTextFields(data, {
+    text: 'bodyText', footer: 'footerText', title: 'headerText', buttonText: 'listButtonText'
+  }, limits);
+  cleaned.sections = limitSections(data.sections, limits, 'sections', 'rowId');
+  return { valid: errors.length === 0, errors, warnings, changes: limits.changes, cleaned };
 }
 
-function normalizeTemplateButtons(buttons = []) {
+/**
+ * Validate hydrated template buttons and fill in missing indexes.
+ * Returns `cleaned` / `changes` like validateSendButtonsPayload.
+ */
+function normalizeTemplateButtons(buttons = [], options = {}) {
   const errors = [];
+  const warnings = [];
   if (!Array.isArray(buttons)) {
-    return { valid: false, errors: ['templateButtons must be an array'], cleaned: [] };
+    return { valid: false, errors: ['templateButtons must be an array'], warnings, changes: [], cleaned: [] };
   }
+  const limits = createLimitChecker(resolveLimitPolicy(options), errors, warnings);
+  limits.count('templateButtons', buttons.length, WA_LIMITS.templateButtons);
   const cleaned = buttons.map((b, i) => {
     if (!b || typeof b !== 'object') {
       errors.push(`templateButtons[${i}] must be an object`);
@@ -565,10 +703,16 @@ function normalizeTemplateButtons(buttons = []) {
       if (!id || typeof id !== 'string') {
         errors.push(`templateButtons[${i}] quickReplyButton.id is required`);
       }
+      limits.id(`templateButtons[${i}].quickReplyButton.id`, id, WA_LIMITS.buttonId);
+    }
+    for (const type of ['urlButton', 'callButton', 'quickReplyButton']) {
+      if (next[type] && typeof next[type] === 'object') {
+        next[type] = limitTextFields(next[type], { displayText: 'buttonLabel' }, limits, `templateButtons[${i}].${type}.`);
+      }
     }
     return next;
   });
-  return { valid: errors.length === 0, errors, cleaned };
+  return { valid: errors.length === 0, errors, warnings, changes: limits.changes, cleaned };
 }
 
 /**
@@ -580,14 +724,15 @@ function normalizeTemplateButtons(buttons = []) {
  * (Normalization is performed by Baileys' normalizeMessageContent beforehand.)
  *
  * @param {object} message A message content object (part of WAMessage.message).
- * @returns {'list'|'buttons'|'native_flow'|null} Type identifier or null if not interactive.
+ * @returns {'list'|'buttons'|'native_flow'|null} Type identifier or null if not interactive
+ *   (carousels report 'native_flow').
  */
 function getButtonType(message) {
   if (message.listMessage) {
     return 'list';
   } else if (message.buttonsMessage) {
     return 'buttons';
-  } else if (message.interactiveMessage?.nativeFlowMessage) {
+  } else if (message.interactiveMessage?.nativeFlowMessage || message.interactiveMessage?.carouselMessage) {
     return 'native_flow';
   }
   return null;
@@ -603,30 +748,39 @@ function getButtonType(message) {
  * compatible with observed official client traffic.
  *
  * NOTE: Returning different "v" (version) and "name" values influences how
- * WhatsApp renders & validates flows. The constants here are empirically derived.
+ * WhatsApp renders & validates flows. The values are empirically derived and come
+ * from the node profile (options.nodeProfile / configure({ nodeProfile }), see
+ * helpers/nodeProfiles.js).
  *
  * @param {object} message Normalized message content (after Baileys normalization).
+ * @param {object} [options] Per-call options (options.nodeProfile).
  * @returns {object} A node with shape { tag, attrs, [content] } to inject into additionalNodes.
  */
-function getButtonArgs(message) {
+function getButtonArgs(message, options = {}) {
+  const profile = resolveNodeProfile(options);
   const nativeFlow = message.interactiveMessage?.nativeFlowMessage;
   const firstButtonName = nativeFlow?.buttons?.[0]?.name;
-  // Button names having dedicated specialized flow nodes.
-  const nativeFlowSpecials = [
-    'mpm', 'cta_catalog', 'send_location',
-    'call_permission_request', 'wa_payment_transaction_details',
-    'automated_greeting_message_view_catalog'
-  ];
-
-  // Payment / order flows: attach native_flow_name directly.
-  if (nativeFlow && (firstButtonName === 'review_and_pay' || firstButtonName === 'payment_info')) {
+  // Profile hooks and registry builders get the same (message, { name, profile }) arguments.
+  const hookContext = { name: firstButtonName, profile };
+  // A profile hook for the first button wins over the registry (bizNode, default 'mixed').
+  const profileHook = nativeFlow && firstButtonName ? profile.buttonNodes[firstButtonName] : undefined;
+  if (profileHook) {
+    return profileHook(message, hookContext);
+  }
+  const bizNode = nativeFlow && firstButtonName ? getButtonTypeDefinition(firstButtonName)?.bizNode : undefined;
+
+  if (typeof bizNode === 'function') {
+    // Custom node builder registered via registerButtonType.
+    return bizNode(message, hookContext);
+  } else if (bizNode && typeof bizNode === 'object') {
+    // Payment / order flows: attach native_flow_name directly.
     return {
       tag: 'biz',
       attrs: {
-        native_flow_name: firstButtonName === 'review_and_pay' ? 'order_details' : firstButtonName
+        native_flow_name: bizNode.nativeFlowName
       }
     };
-  } else if (nativeFlow && nativeFlowSpecials.includes(firstButtonName)) {
+  } else if (bizNode === 'named') {
     // Specialized native flows (only working for WA original client).
     return {
       tag: 'biz',
@@ -635,19 +789,20 @@ function getButtonArgs(message) {
         tag: 'interactive',
         attrs: {
           type: 'native_flow',
-          v: '1'
+          v: profile.interactiveVersion
         },
         content: [{
           tag: 'native_flow',
           attrs: {
-            v: '2',
+            v: profile.namedFlowVersion,
             name: firstButtonName
           }
         }]
       }]
     };
-  } else if (nativeFlow || message.buttonsMessage) {
+  } else if (nativeFlow || message.interactiveMessage?.carouselMessage || message.buttonsMessage) {
     // Generic / mixed interactive buttons case (works in original + business clients).
+    // Carousels carry native flow buttons per card and use the same node.
     return {
       tag: 'biz',
       attrs: {},
@@ -655,13 +810,13 @@ function getButtonArgs(message) {
         tag: 'interactive',
         attrs: {
           type: 'native_flow',
-          v: '1'
+          v: profile.interactiveVersion
         },
         content: [{
           tag: 'native_flow',
           attrs: {
-            v: '9',
-            name: 'mixed'
+            v: profile.nativeFlowVersion,
+            name: profile.mixedFlowName
           }
         }]
       }]
@@ -674,8 +829,8 @@ function getButtonArgs(message) {
       content: [{
         tag: 'list',
         attrs: {
-          v: '2',
-          type: 'product_list'
+          v: profile.listVersion,
+          type: profile.listType
         }
       }]
     };
@@ -702,9 +857,11 @@ function getButtonArgs(message) {
  * into generateWAMessageFromContent.
  *
  * @param {object} content High level authoring content.
+ * @param {object} [headerMedia] Prepared header media from prepareInteractiveHeaderMedia
+ *   (e.g. { imageMessage }) merged into interactiveMessage.header.
  * @returns {object} New content object ready for generateWAMessageFromContent.
  */
-function convertToInteractiveMessage(content) {
+function convertToInteractiveMessage(content, headerMedia) {
   if (content.interactiveButtons && content.interactiveButtons.length > 0) {
     // Build nativeFlowMessage.buttons array (already normalized earlier).
     const interactiveMessage = {
@@ -716,11 +873,14 @@ function convertToInteractiveMessage(content) {
       }
     };
 
-    // Optional header.
-    if (content.title || content.subtitle) {
+    // Optional header (title and / or media attachment).
+    if (content.title || content.subtitle || headerMedia) {
       interactiveMessage.header = {
         title: content.title || content.subtitle || ''
       };
+      if (headerMedia) {
+        Object.assign(interactiveMessage.header, headerMedia, { hasMediaAttachment: true });
+      }
     }
     // Body text.
     if (content.text) {
@@ -738,6 +898,9 @@ function convertToInteractiveMessage(content) {
     delete newContent.subtitle;
     delete newContent.text;
     delete newContent.footer;
+    for (const key of [...HEADER_MEDIA_KEYS, 'mimetype', 'fileName', 'jpegThumbnail']) {
+      delete newContent[key];
+    }
 
     return { ...newContent, interactiveMessage };
   }
@@ -745,34 +908,98 @@ function convertToInteractiveMessage(content) {
 }
 
 /**
- * Enhanced sendMessage function for WhiskeySockets that bypasses the internal sendMessage
- * and creates interactiveMessage manually + relayMessage directly like itsukichan does
- * This provides full control over additionalNodes for button functionality
+ * Resolve the WhiskeySockets internals used to build and relay messages manually.
+ * Uses options.baileys, then configure({ baileys }), then a cached lookup of the
+ * known package names (see helpers/baileys.js).
+ *
+ * @param {object} [options] Per-call options (options.baileys).
+ * @returns {Promise<{generateWAMessageFromContent: Function, normalizeMessageContent: Function,
+ *   isJidGroup: Function, generateMessageIDV2: Function, prepareWAMessageMedia?: Function}>}
+ * @throws {InteractiveValidationError} Listing which functions each candidate lacked.
  */
+async function loadBaileysInternals(options = {}) {
+  const { internals, report } = await resolveBaileysInternals(options);
+  if (internals) return internals;
+  throw new InteractiveValidationError('Missing baileys internals', {
+    context: 'sendInteractiveMessage.dynamicImport',
+    errors: [...report, `required: ${REQUIRED_INTERNALS.join(', ')}`],
+    example: { install: 'npm i baileys', configure: "const baileys = require('baileys'); configure({ baileys })" }
+  });
+}
+
 /**
- * Low‑level power helper that sends any interactive message by:
- *  1. Converting authoring content into interactiveMessage/nativeFlowMessage.
- *  2. Building a WAMessage via generateWAMessageFromContent (skips unsupported validation).
- *  3. Deriving & injecting required binary nodes (biz / interactive / bot) into relayMessage.
+ * Upload the optional header media of an authoring payload through Baileys'
+ * prepareWAMessageMedia so it can be embedded as interactiveMessage.header.*Message.
+ * Location headers need no upload and are mapped directly.
  *
- * Responsibility for retries / ack handling remains with the caller, identical to
- * normal Baileys usage.
+ * @param {object} content Authoring content (image / video / document / location keys).
+ * @param {object} sock Active socket (provides waUploadToServer + logger).
+ * @param {Function} [prepareWAMessageMedia] Baileys media helper.
+ * @param {object} [options] Send options (mediaUploadTimeoutMs / mediaCache are forwarded).
+ * @returns {Promise<object|null>} e.g. { imageMessage } or null when no header media is present.
+ */
+async function prepareInteractiveHeaderMedia(content, sock, prepareWAMessageMedia, options = {}) {
+  const key = HEADER_MEDIA_KEYS.find(k => content?.[k] != null);
+  if (!key) return null;
+  if (key === 'location') {
+    const loc = content.location;
+    return {
+      locationMessage: {
+        degreesLatitude: loc.degreesLatitude ?? loc.latitude,
+        degreesLongitude: loc.degreesLongitude ?? loc.longitude,
+        ...(loc.name ? { name: loc.name } : {}),
+        ...(loc.address ? { address: loc.address } : {})
+      }
+    };
+  }
+  if (typeof prepareWAMessageMedia !== 'function') {
+    throw new InteractiveValidationError('Missing baileys internals', {
+      context: 'sendInteractiveMessage.prepareInteractiveHeaderMedia',
+      errors: ['prepareWAMessageMedia not found in installed baileys package (required for media headers)']
+    });
+  }
+  const mediaContent = { [key]: content[key] };
+  if (content.mimetype) mediaContent.mimetype = content.mimetype;
+  if (content.fileName) mediaContent.fileName = content.fileName;
+  if (content.jpegThumbnail) mediaContent.jpegThumbnail = content.jpegThumbnail;
+  return prepareWAMessageMedia(mediaContent, {
+    upload: sock.waUploadToServer,
+    logger: sock.logger,
+    mediaCache: options.mediaCache,
+    mediaUploadTimeoutMs: options.mediaUploadTimeoutMs
+  });
+}
+
+/**
+ * Dry-run half of sendInteractiveMessage: runs the complete build pipeline
+ * (strict validation, convertToInteractiveMessage, generateWAMessageFromContent,
+ * getButtonType / getButtonArgs, bot node, patchMessageForMdIfRequired) but
+ * never calls relayMessage.
  *
- * @param {import('./WhiskeySockets')} sock Active Baileys-like socket instance.
- * @param {string} jid Chat JID (individual or group) to send to.
+ * Useful for snapshot tests of menus, inspecting exactly what goes on the wire,
+ * or queueing fully prepared messages for a later
+ * `sock.relayMessage(jid, message.message, relayOptions)`.
+ * Note: header media (image / video / document) is still uploaded.
+ *
+ * @param {object} sock Baileys-like socket (user / authState for the sender JID; relayMessage not needed).
+ * @param {string} jid Chat JID (individual or group) the message is meant for.
  * @param {object} content High-level message content (may include interactiveButtons).
- * @param {object} [options] Additional Baileys send options (forwarding, status, etc.).
- * @returns {Promise<object>} The constructed full WAMessage object (same shape as sendMessage would resolve to).
- * @throws {Error} If required WhiskeySockets internals are unavailable.
+ * @param {object} [options] Same options as sendInteractiveMessage.
+ * @returns {Promise<{message: object, additionalNodes: Array<object>, relayOptions: object, isPrivate: boolean}>}
+ *   message is the full WAMessage; relayOptions is the exact third argument for relayMessage;
+ *   isPrivate is false for group JIDs.
+ * @throws {InteractiveValidationError} On invalid content or missing WhiskeySockets internals.
  */
-async function sendInteractiveMessage(sock, jid, content, options = {}) {
+async function buildInteractiveMessage(sock, jid, content, options = {}) {
   if (!sock) {
-  throw new InteractiveValidationError('Socket is required', { context: 'sendInteractiveMessage' });
+    throw new InteractiveValidationError('Socket is required', { context: 'buildInteractiveMessage' });
   }
+  const log = resolveLogger(sock, options);
 
   // Strict authoring validation if raw interactiveButtons provided (pre-conversion form).
   if (content && Array.isArray(content.interactiveButtons)) {
-    const strict = validateSendInteractiveMessagePayload(content);
+    content = encodePayloadButtonData(jid, content, options, 'sendInteractiveMessage');
+    const strict = validateSendInteractiveMessagePayload(content, options);
     if (!strict.valid) {
       throw new InteractiveValidationError('Interactive authoring payload invalid', {
         context: 'sendInteractiveMessage.validateSendInteractiveMessagePayload',
@@ -781,14 +1008,38 @@ async function sendInteractiveMessage(sock, jid, content, options = {}) {
         example: EXAMPLE_PAYLOADS.sendInteractiveMessage
       });
     }
-    if (strict.warnings.length) console.warn('sendInteractiveMessage warnings:', strict.warnings);
+    if (strict.warnings.length) log.warn({ warnings: strict.warnings }, 'sendInteractiveMessage warnings');
+    if (strict.changes.length) log.warn({ changes: strict.changes }, 'sendInteractiveMessage truncated text to WhatsApp limits');
+    content = strict.cleaned;
+  }
+
+  // Unknown profile names / invalid inline profiles are payload problems, not relay errors.
+  let profile;
+  try {
+    profile = resolveNodeProfile(options);
+  } catch (err) {
+    throw new InteractiveValidationError('Node profile invalid', {
+      context: 'sendInteractiveMessage.nodeProfile',
+      errors: [err.message]
+    });
   }
 
-  // Step 1: Convert authoring-time interactiveButtons to native_flow structure.
-  const convertedContent = convertToInteractiveMessage(content);
+  // Step 1: Obtain needed internal helper functions.
+  const {
+    generateWAMessageFromContent, normalizeMessageContent, isJidGroup, generateMessageIDV2, prepareWAMessageMedia
+  } = await loadBaileysInternals(options);
 
-  // Step 1a: Validate converted content (interactive portion only).
-  const { errors: contentErrors, warnings: contentWarnings, valid: contentValid } = validateInteractiveMessageContent(convertedContent);
+  // Step 2: Upload optional header media, then convert authoring-time interactiveButtons
+  // to native_flow structure (media ends up in interactiveMessage.header).
+  const headerMedia = content && Array.isArray(content.interactiveButtons)
+    ? await prepareInteractiveHeaderMedia(content, sock, prepareWAMessageMedia, options)
+    : null;
+  const convertedContent = convertToInteractiveMessage(content, headerMedia);
+
+  // Step 2a: Validate converted content (interactive portion only).
+  const { errors: contentErrors, warnings: contentWarnings, valid: contentValid } = validateInteractiveMessageContent(convertedContent, {
+    allowEmptyButtons: options.allowEmptyButtons === true
+  });
   if (!contentValid) {
     throw new InteractiveValidationError('Converted interactive content invalid', {
       context: 'sendInteractiveMessage.validateInteractiveMessageContent',
@@ -799,35 +1050,7 @@ async function sendInteractiveMessage(sock, jid, content, options = {}) {
   }
   if (contentWarnings.length) {
     // Non-fatal; surface in log for developer insight.
-    console.warn('Interactive content warnings:', contentWarnings);
-  }
-
-  // Step 2: Obtain needed internal helper functions.
-  let generateWAMessageFromContent, relayMessage, normalizeMessageContent, isJidGroup, generateMessageIDV2;
-  // Attempt to load from installed baileys package (modern WhiskeySockets fork published as 'baileys').
-  const candidatePkgs = ['baileys', '@whiskeysockets/baileys', '@adiwajshing/baileys'];
-  let loaded = false;
-  for (const pkg of candidatePkgs) {
-    if (loaded) break;
-    try {
-      const mod = require(pkg);
-      // Newer versions export these helpers at top-level or nested.
-      generateWAMessageFromContent = mod.generateWAMessageFromContent || mod.Utils?.generateWAMessageFromContent;
-      normalizeMessageContent = mod.normalizeMessageContent || mod.Utils?.normalizeMessageContent;
-      isJidGroup = mod.isJidGroup || mod.WABinary?.isJidGroup;
-      generateMessageIDV2 = mod.generateMessageIDV2 || mod.Utils?.generateMessageIDV2 || mod.generateMessageID || mod.Utils?.generateMessageID;
-      relayMessage = sock.relayMessage; // provided by socket instance
-      if (generateWAMessageFromContent && normalizeMessageContent && isJidGroup && relayMessage) {
-        loaded = true;
-      }
-    } catch (_) { /* try next */ }
-  }
-  if (!loaded) {
-    throw new InteractiveValidationError('Missing baileys internals', {
-      context: 'sendInteractiveMessage.dynamicImport',
-      errors: ['generateWAMessageFromContent or normalizeMessageContent not found in installed packages: baileys / @whiskeysockets/baileys / @adiwajshing/baileys'],
-      example: { install: 'npm i baileys', requireUsage: "const { generateWAMessageFromContent } = require('baileys')" }
-    });
+    log.warn({ warnings: contentWarnings }, 'Interactive content warnings');
   }
 
   // Step 3: Build the WAMessage manually.
@@ -847,46 +1070,95 @@ async function sendInteractiveMessage(sock, jid, content, options = {}) {
   // Step 4: Inspect content to decide which additionalNodes to attach.
   const normalizedContent = normalizeMessageContent(fullMsg.message);
   const buttonType = getButtonType(normalizedContent);
+  const isPrivate = !isJidGroup(jid);
   let additionalNodes = [...(options.additionalNodes || [])];
   if (buttonType) {
-    const buttonsNode = getButtonArgs(normalizedContent);
-    const isPrivate = !isJidGroup(jid);
+    const buttonsNode = getButtonArgs(normalizedContent, options);
     additionalNodes.push(buttonsNode);
-    // Private chats require a bot node for interactive functionality.
-    if (isPrivate) {
-      additionalNodes.push({ tag: 'bot', attrs: { biz_bot: '1' } });
+    // Private chats require a bot node for interactive functionality (profile.botNode, default 'private').
+    if (shouldAddBotNode(profile, { jid, isPrivate, buttonType, message: normalizedContent })) {
+      additionalNodes.push({ tag: 'bot', attrs: { ...profile.botAttrs } });
     }
     // Useful diagnostic log (keep concise to avoid leaking full content).
-    console.log('Interactive send: ', {
+    log.debug({
       type: buttonType,
       nodes: additionalNodes.map(n => ({ tag: n.tag, attrs: n.attrs })),
-      private: !isJidGroup(jid)
-    });
+      private: isPrivate,
+      profile: profile.name
+    }, 'Interactive send: injected binary nodes');
   }
 
-  if (options.mdPatch !== false) {
+  // Carousels are not wrapped by default: clients do not render a carousel inside
+  // documentWithCaptionMessage. An explicit mdPatch: true still applies the patch.
+  const isCarousel = !!normalizedContent?.interactiveMessage?.carouselMessage;
+  if (options.mdPatch ?? !isCarousel) {
     const patched = patchMessageForMdIfRequired(fullMsg.message);
     if (patched !== fullMsg.message) {
       fullMsg.message = patched;
     }
   }
 
-  // Step 5: Relay with injected nodes.
+  // Step 5: Assemble the relay options (the third relayMessage argument).
   const additionalAttributes = { ...(options.additionalAttributes || {}) };
   const aiEnabled = options.ai === true || options.AI === true;
-  await relayMessage(jid, fullMsg.message, {
+  const relayOptions = {
     messageId: fullMsg.key.id,
     useCachedGroupMetadata: options.useCachedGroupMetadata,
     additionalAttributes,
     statusJidList: options.statusJidList,
     additionalNodes,
     ...(aiEnabled ? { AI: true } : {})
-  });
+  };
+
+  return { message: fullMsg, additionalNodes, relayOptions, isPrivate };
+}
+
+/**
+ * Enhanced sendMessage function for WhiskeySockets that bypasses the internal sendMessage
+ * and creates interactiveMessage manually + relayMessage directly like itsukichan does
+ * This provides full control over additionalNodes for button functionality
+ */
+/**
+ * Low‑level power helper that sends any interactive message by:
+ *  1. Converting authoring content into interactiveMessage/nativeFlowMessage.
+ *  2. Building a WAMessage via generateWAMessageFromContent (skips unsupported validation).
+ *  3. Deriving & injecting required binary nodes (biz / interactive / bot) into relayMessage.
+ * Steps 1-3 live in buildInteractiveMessage; this function relays the result.
+ *
+ * Responsibility for retries / ack handling remains with the caller, identical to
+ * normal Baileys usage.
+ *
+ * @param {import('./WhiskeySockets')} sock Active Baileys-like socket instance.
+ * @param {string} jid Chat JID (individual or group) to send to.
+ * @param {object} content High-level message content (may include interactiveButtons).
+ * @param {object} [options] Additional Baileys send options (forwarding, status, etc.).
+ *   options.logger overrides the logger (see configure / resolveLogger).
+ *   options.strategy lists encodings to fall back through when the relay fails (see sendWithStrategy).
+ * @returns {Promise<object>} The constructed full WAMessage object (same shape as sendMessage would resolve to).
+ * @throws {Error} If required WhiskeySockets internals are unavailable.
+ */
+async function sendInteractiveMessage(sock, jid, content, options = {}) {
+  if (!sock) {
+  throw new InteractiveValidationError('Socket is required', { context: 'sendInteractiveMessage' });
+  }
+  if (options.strategy != null) {
+    return sendWithStrategy(sock, jid, content, options);
+  }
+  if (typeof sock.relayMessage !== 'function') {
+    throw new InteractiveValidationError('Socket cannot relay messages', {
+      context: 'sendInteractiveMessage',
+      errors: ['sock.relayMessage is not a function (pass a connected WhiskeySockets socket)']
+    });
+  }
+
+  const { message: fullMsg, relayOptions, isPrivate } = await buildInteractiveMessage(sock, jid, content, options);
 
-  // Step 6 (optional): Emit to local event stream so client consumers receive it immediately.
+  // Relay with injected nodes.
+  await sock.relayMessage(jid, fullMsg.message, relayOptions);
+
+  // Optional: Emit to local event stream so client consumers receive it immediately.
   // Disable for group messages to prevent duplicate message processing
-  const isPrivateChat = !isJidGroup(jid);
-  if (sock.config?.emitOwnEvents && isPrivateChat) {
+  if (sock.config?.emitOwnEvents && isPrivate) {
     process.nextTick(() => {
       if (sock.processingMutex?.mutex && sock.upsertMessage) {
         sock.processingMutex.mutex(() => sock.upsertMessage(fullMsg, 'append'));
@@ -897,6 +1169,186 @@ async function sendInteractiveMessage(sock, jid, content, options = {}) {
   return fullMsg;
 }
 
+const STRATEGY_ENCODINGS = ['native_flow', 'buttonsMessage', 'templateMessage', 'text'];
+
+// Parsed { name, params } of native flow buttons; unparsable entries are dropped.
+function parsedInteractiveButtons(interactiveButtons) {
+  return buildInteractiveButtons(interactiveButtons).flatMap(btn => {
+    try {
+      return [{ name: btn.name, params: JSON.parse(btn.buttonParamsJson) }];
+    } catch {
+      return [];
+    }
+  });
+}
+
+/**
+ * Re-encode an authoring payload ({ text, footer, title, interactiveButtons }) for one strategy step.
+ * Header media only travels with native_flow. Buttons the encoding cannot carry are dropped.
+ *
+ * @returns {{content: object, entries?: Array<object>}|null} null when nothing representable is left.
+ */
+function encodeForStrategy(encoding, content) {
+  const { text = '', footer, title, interactiveButtons } = content;
+  const buttons = parsedInteractiveButtons(interactiveButtons);
+  if (encoding === 'native_flow') {
+    return { content };
+  }
+  if (encoding === 'buttonsMessage') {
+    const quickReplies = buttons.filter(b => b.name === 'quick_reply');
+    if (!quickReplies.length) return null;
+    const buttonsMessage = {
+      contentText: text,
+      footerText: footer,
+      buttons: quickReplies.map(b => ({ buttonId: b.params.id, buttonText: { displayText: b.params.display_text }, type: 1 })),
+      headerType: 1
+    };
+    if (title) Object.assign(buttonsMessage, { text: title, headerType: 2 });
+    return { content: { buttonsMessage } };
+  }
+  if (encoding === 'templateMessage') {
+    const hydratedButtons = [];
+    for (const { name, params } of buttons) {
+      const index = hydratedButtons.length + 1;
+      if (name === 'quick_reply') hydratedButtons.push({ index, quickReplyButton: { displayText: params.display_text, id: params.id } });
+      if (name === 'cta_url') hydratedButtons.push({ index, urlButton: { displayText: params.display_text, url: params.url } });
+      if (name === 'cta_call') hydratedButtons.push({ index, callButton: { displayText: params.display_text, phoneNumber: params.phone_number } });
+    }
+    if (!hydratedButtons.length) return null;
+    const hydratedTemplate = { hydratedContentText: text, hydratedButtons };
+    if (footer) hydratedTemplate.hydratedFooterText = footer;
+    if (title) hydratedTemplate.hydratedTitleText = title;
+    return { content: { templateMessage: { fourRowTemplate: hydratedTemplate, hydratedTemplate } } };
+  }
+  // text
+  const menu = renderTextMenu({ title, text, footer, groups: menuGroupsFromInteractiveButtons(interactiveButtons ? buildInteractiveButtons(interactiveButtons) : []) });
+  return { content: { extendedTextMessage: { text: menu.text } }, entries: menu.entries };
+}
+
+/**
+ * Try a list of encodings in order until one relays (options.strategy).
+ *
+ * Each step is an encoding name ('native_flow' | 'buttonsMessage' | 'templateMessage' | 'text')
+ * or { encoding, mdPatch } to also toggle the MD patch for that step. Every step is rebuilt
+ * from the same authoring payload; validation errors are thrown at once, relay errors move on
+ * to the next step. The returned WAMessage carries `encoding` (the step that succeeded) and
+ * `encodingAttempts` ([{ encoding, error | skipped }] for the steps before it).
+ *
+ * @param {object} sock Active socket instance.
+ * @param {string} jid Destination chat JID.
+ * @param {object} content Authoring payload with interactiveButtons.
+ * @param {object} options sendInteractiveMessage options including strategy.
+ * @returns {Promise<object>} Resulting WAMessage.
+ * @throws {InteractiveValidationError} On an invalid strategy or when every step failed.
+ */
+async function sendWithStrategy(sock, jid, content, options) {
+  const { strategy, ...baseOptions } = options;
+  const steps = Array.isArray(strategy)
+    ? strategy.map(step => (typeof step === 'string' ? { encoding: step } : step))
+    : [];
+  const errors = [];
+  if (!steps.length) errors.push('strategy must be a non-empty array');
+  steps.forEach((step, i) => {
+    if (!step || !STRATEGY_ENCODINGS.includes(step.encoding)) {
+      errors.push(`strategy[${i}] must be one of ${STRATEGY_ENCODINGS.join(', ')} (or { encoding, mdPatch })`);
+    }
+  });
+  if (!content || !Array.isArray(content.interactiveButtons)) {
+    errors.push('strategy requires an authoring payload with interactiveButtons');
+  }
+  if (errors.length) {
+    throw new InteractiveValidationError('Send strategy invalid', { context: 'sendInteractiveMessage.strategy', errors });
+  }
+  const log = resolveLogger(sock, options);
+  // Encode once so every step carries the same signed ids.
+  content = encodePayloadButtonData(jid, content, options, 'sendInteractiveMessage');
+  const attempts = [];
+  for (const step of steps) {
+    const encoded = encodeForStrategy(step.encoding, content);
+    if (!encoded) {
+      attempts.push({ encoding: step.encoding, skipped: 'no buttons this encoding can carry' });
+      continue;
+    }
+    const stepOptions = step.mdPatch == null ? baseOptions : { ...baseOptions, mdPatch: step.mdPatch };
+    try {
+      const fullMsg = await sendInteractiveMessage(sock, jid, encoded.content, stepOptions);
+      if (encoded.entries) {
+        await rememberTextMenu(jid, { messageId: fullMsg.key.id, entries: encoded.entries }, options);
+      }
+      fullMsg.encoding = step.encoding;
+      fullMsg.encodingAttempts = attempts;
+      return fullMsg;
+    } catch (err) {
+      if (err instanceof InteractiveValidationError) throw err;
+      const message = err?.message || String(err);
+      attempts.push({ encoding: step.encoding, error: message });
+      log.warn({ encoding: step.encoding, err: message }, 'sendInteractiveMessage strategy step failed, trying next encoding');
+    }
+  }
+  throw new InteractiveValidationError('All send strategies failed', {
+    context: 'sendInteractiveMessage.strategy',
+    errors: attempts.map(a => `${a.encoding}: ${a.error || a.skipped}`)
+  });
+}
+
+/**
+ * Send a numbered text menu (options.fallback = 'text') and remember its number -> id
+ * mapping so resolveTextMenuReply / createInteractiveRouter can map replies back.
+ * Header media is not sent in this mode.
+ *
+ * @param {object} sock Active socket instance.
+ * @param {string} jid Destination chat JID.
+ * @param {object} menu { title?, text?, footer?, groups } (see renderTextMenu).
+ * @param {object} [options] Relay options plus menuHint / menuStore.
+ * @returns {Promise<object>} Resulting WAMessage.
+ */
+async function sendTextMenu(sock, jid, menu, options = {}) {
+  const { text, entries } = renderTextMenu(menu, options);
+  const fullMsg = await sendInteractiveMessage(sock, jid, { extendedTextMessage: { text } }, options);
+  await rememberTextMenu(jid, { messageId: fullMsg.key.id, entries }, options);
+  return fullMsg;
+}
+
+/**
+ * Encode { data } button / row entries into signed ids (see helpers/buttonData.js).
+ * Encoding failures (missing secret, id over the length limit) surface as
+ * InteractiveValidationError like any other payload problem. Ids are bound to the
+ * destination chat unless options.bindButtonData is false.
+ *
+ * @param {string} jid Destination chat JID.
+ * @param {object} data Authoring payload.
+ * @param {object} options Send options (buttonSecret, buttonDataTtl, bindButtonData).
+ * @param {string} context Helper name for the error context.
+ * @returns {object} Payload with ids filled in.
+ */
+function encodePayloadButtonData(jid, data, options, context) {
+  try {
+    return encodeButtonDataInPayload(data, { ...options, jid: options.bindButtonData === false ? undefined : jid });
+  } catch (err) {
+    if (!(err instanceof ButtonDataError)) throw err;
+    throw new InteractiveValidationError('Button data could not be encoded', {
+      context: `${context}.encodeButtonData`,
+      errors: [err.message]
+    });
+  }
+}
+
+/**
+ * Run an overflow step (helpers/overflow.js), reporting invalid options and pages
+ * that do not exist as InteractiveValidationError (context <helper>.overflow).
+ */
+function withOverflowErrors(context, fn) {
+  try {
+    return fn();
+  } catch (err) {
+    if (!(err instanceof OverflowError)) throw err;
+    throw new InteractiveValidationError('Overflow options invalid', {
+      context: `${context}.overflow`,
+      errors: [err.message]
+    });
+  }
+}
+
 /**
  * Simplified button sending function (template functionality removed as requested)
  * Uses the enhanced sendInteractiveMessage function that bypasses WhiskeySockets' sendMessage
@@ -915,17 +1367,26 @@ async function sendInteractiveMessage(sock, jid, content, options = {}) {
  * @param {string} [data.title] Header title (if provided becomes header title).
  * @param {string} [data.subtitle] Alternate header source if title absent.
  * @param {Array<object>} [data.buttons] Array of button descriptors (see buildInteractiveButtons docs).
- * @param {object} [options] Pass-through relay/send options.
+ * @param {Buffer|object} [data.image] Optional header image (Buffer, stream or { url }); likewise
+ *   data.video, data.document (+ mimetype / fileName) or data.location ({ degreesLatitude, degreesLongitude }).
+ * @param {object} [options] Pass-through relay/send options. options.overflow ('list' | 'paginate')
+ *   lays out more than options.maxButtons (default 3) buttons, see helpers/overflow.js;
+ *   options.fallback = 'text' sends a numbered text menu instead, see helpers/textMenu.js.
  * @returns {Promise<object>} Resulting WAMessage.
  */
 async function sendInteractiveButtonsBasic(sock, jid, data = {}, options = {}) {
   if (!sock) {
   throw new InteractiveValidationError('Socket is required', { context: 'sendButtons' });
   }
+  const log = resolveLogger(sock, options);
+  data = encodePayloadButtonData(jid, data, options, 'sendButtons');
 
-  const { text = '', footer = '', title, subtitle, buttons = [] } = data;
+  const overflow = withOverflowErrors('sendButtons', () => resolveOverflowOptions(options));
+  const { text = '', footer = '', title, subtitle, buttons = [], image, video, document, location, mimetype, fileName } = data;
+  const headerMedia = { image, video, document, location, mimetype, fileName };
+  Object.keys(headerMedia).forEach(k => headerMedia[k] == null && delete headerMedia[k]);
   // Strict payload validation for sendButtons format.
-  const strict = validateSendButtonsPayload({ text, buttons, title, subtitle, footer });
+  const strict = validateSendButtonsPayload({ text, buttons, title, subtitle, footer, ...headerMedia }, options);
   if (!strict.valid) {
     throw new InteractiveValidationError('Buttons payload invalid', {
       context: 'sendButtons.validateSendButtonsPayload',
@@ -934,9 +1395,10 @@ async function sendInteractiveButtonsBasic(sock, jid, data = {}, options = {}) {
       example: EXAMPLE_PAYLOADS.sendButtons
     });
   }
-  if (strict.warnings.length) console.warn('sendButtons warnings:', strict.warnings);
+  if (strict.warnings.length) log.warn({ warnings: strict.warnings }, 'sendButtons warnings');
+  if (strict.changes.length) log.warn({ changes: strict.changes }, 'sendButtons truncated text to WhatsApp limits');
   // Validate authoring buttons early to provide clearer feedback.
-  const { errors, warnings, cleaned } = validateAuthoringButtons(buttons);
+  const { errors, warnings, cleaned } = validateAuthoringButtons(strict.cleaned.buttons);
   if (errors.length) {
     throw new InteractiveValidationError('Authoring button objects invalid', {
       context: 'sendButtons.validateAuthoringButtons',
@@ -946,14 +1408,32 @@ async function sendInteractiveButtonsBasic(sock, jid, data = {}, options = {}) {
     });
   }
   if (warnings.length) {
-    console.warn('Button validation warnings:', warnings);
+    log.warn({ warnings }, 'Button validation warnings');
+  }
+  // Ids are assigned over the complete list, before any overflow / text layout.
+  let interactiveButtons = buildInteractiveButtons(cleaned);
+  if (options.fallback === 'text') {
+    return sendTextMenu(sock, jid, {
+      title: strict.cleaned.title || strict.cleaned.subtitle,
+      text: strict.cleaned.text,
+      footer: strict.cleaned.footer,
+      groups: menuGroupsFromInteractiveButtons(interactiveButtons)
+    }, options);
+  }
+  if (overflow && interactiveButtons.length > overflow.maxButtons) {
+    const buttonsToLayout = interactiveButtons;
+    interactiveButtons = withOverflowErrors('sendButtons', () => (overflow.mode === 'list'
+      ? layoutButtonsAsSingleSelect(buttonsToLayout, overflow)
+      : paginateItems(buttonsToLayout, overflow, nextPage => ({
+        name: 'quick_reply',
+        buttonParamsJson: JSON.stringify({ display_text: overflow.moreText, id: MORE_ID_PREFIX + nextPage })
+      })).items));
   }
-  const interactiveButtons = buildInteractiveButtons(cleaned);
 
   // Authoring payload (transformed later by convertToInteractiveMessage).
-  const payload = { text, footer, interactiveButtons };
-  if (title) payload.title = title;
-  if (subtitle) payload.subtitle = subtitle;
+  const payload = { text: strict.cleaned.text, footer: strict.cleaned.footer, interactiveButtons, ...headerMedia };
+  if (title) payload.title = strict.cleaned.title;
+  if (subtitle) payload.subtitle = strict.cleaned.subtitle;
 
   return sendInteractiveMessage(sock, jid, payload, options);
 }
@@ -962,21 +1442,38 @@ async function sendListMessage(sock, jid, data = {}, options = {}) {
   if (!sock) {
     throw new InteractiveValidationError('Socket is required', { context: 'sendListMessage' });
   }
-  const strict = validateListMessagePayload(data);
+  const log = resolveLogger(sock, options);
+  data = encodePayloadButtonData(jid, data, options, 'sendListMessage');
+  const strict = validateListMessagePayload(data, options);
   if (!strict.valid) {
     throw new InteractiveValidationError('List message payload invalid', {
       context: 'sendListMessage.validateListMessagePayload',
       errors: strict.errors,
+      warnings: strict.warnings,
       example: EXAMPLE_PAYLOADS.sendListMessage
     });
   }
+  if (strict.warnings.length) log.warn({ warnings: strict.warnings }, 'sendListMessage warnings');
+  if (strict.changes.length) log.warn({ changes: strict.changes }, 'sendListMessage truncated text to WhatsApp limits');
+  const list = strict.cleaned;
+  if (options.fallback === 'text') {
+    return sendTextMenu(sock, jid, {
+      title: list.title,
+      text: list.text,
+      footer: list.footer,
+      groups: list.sections.map(section => ({
+        title: section.title,
+        options: (section.rows || []).map(row => ({ id: row.rowId, label: row.title, description: row.description }))
+      }))
+    }, options);
+  }
   const listMessage = {
-    title: data.title,
-    description: data.text,
-    buttonText: data.buttonText,
-    listType: typeof data.listType === 'number' ? data.listType : 1,
-    sections: data.sections,
-    footerText: data.footer
+    title: list.title,
+    description: list.text,
+    buttonText: list.buttonText,
+    listType: typeof list.listType === 'number' ? list.listType : 1,
+    sections: list.sections,
+    footerText: list.footer
   };
   if (data.productListInfo) {
     listMessage.productListInfo = data.productListInfo;
@@ -991,24 +1488,42 @@ async function sendTemplateButtonsHydrated(sock, jid, data = {}, options = {}) {
   if (!sock) {
     throw new InteractiveValidationError('Socket is required', { context: 'sendTemplateButtonsHydrated' });
   }
+  const log = resolveLogger(sock, options);
+  data = encodePayloadButtonData(jid, data, options, 'sendTemplateButtonsHydrated');
   const templateButtons = data.templateButtons || data.buttons || [];
-  const { valid, errors, cleaned } = normalizeTemplateButtons(templateButtons);
-  if (!valid) {
+  const { valid, errors, warnings, changes, cleaned } = normalizeTemplateButtons(templateButtons, options);
+  // Body / footer share the interactive limits.
+  const limits = createLimitChecker(resolveLimitPolicy(options), errors, warnings);
+  const texts = limitTextFields({ text: data.text, footer: data.footer }, { text: 'bodyText', footer: 'footerText' }, limits);
+  changes.push(...limits.changes);
+  if (!valid || errors.length) {
     throw new InteractiveValidationError('Template buttons payload invalid', {
       context: 'sendTemplateButtonsHydrated.normalizeTemplateButtons',
       errors,
+      warnings,
       example: EXAMPLE_PAYLOADS.sendTemplateButtonsHydrated
     });
   }
+  if (warnings.length) log.warn({ warnings }, 'sendTemplateButtonsHydrated warnings');
+  if (changes.length) log.warn({ changes }, 'sendTemplateButtonsHydrated truncated text to WhatsApp limits');
+  if (options.fallback === 'text') {
+    const group = { options: [], info: [] };
+    for (const b of cleaned) {
+      if (b.quickReplyButton) group.options.push({ id: b.quickReplyButton.id, label: b.quickReplyButton.displayText });
+      if (b.urlButton) group.info.push(`${b.urlButton.displayText}: ${b.urlButton.url}`);
+      if (b.callButton) group.info.push(`${b.callButton.displayText}: ${b.callButton.phoneNumber}`);
+    }
+    return sendTextMenu(sock, jid, { text: texts.text, footer: texts.footer, groups: [group] }, options);
+  }
 
   const hydratedTemplate = {
     hydratedButtons: cleaned
   };
-  if (data.text) {
-    hydratedTemplate.hydratedContentText = data.text;
+  if (texts.text) {
+    hydratedTemplate.hydratedContentText = texts.text;
   }
-  if (data.footer) {
-    hydratedTemplate.hydratedFooterText = data.footer;
+  if (texts.footer) {
+    hydratedTemplate.hydratedFooterText = texts.footer;
   }
   if (data.headerMessage && typeof data.headerMessage === 'object') {
     Object.assign(hydratedTemplate, data.headerMessage);
@@ -1023,6 +1538,116 @@ async function sendTemplateButtonsHydrated(sock, jid, data = {}, options = {}) {
   return sendInteractiveMessage(sock, jid, content, options);
 }
 
+// WhatsApp carousel limits (mirrors the official Cloud API constraints).
+const CAROUSEL_MAX_CARDS = 10;
+const CAROUSEL_MAX_CARD_BUTTONS = 2;
+
+// Card text fields: the card title renders in the media header.
+const CARD_TEXT_LIMITS = { title: 'headerText', body: 'bodyText', footer: 'footerText' };
+
+/**
+ * Strict validator for sendCards carousel payloads.
+ * Format: { text?, footer?, cards: [{ id?, title?, body?, footer?, image?|video?|imageUrl?|videoUrl?, buttons? }] }
+ * Card buttons accept the sendButtons shapes (legacy quick reply or named native flow buttons).
+ * WhatsApp only renders carousel cards with a media header, so every card needs an image or
+ * video unless options.requireMedia is false (the text fallback has no headers).
+ * Card texts and button labels follow options.limitPolicy; returns `cleaned` / `changes`
+ * like validateSendButtonsPayload.
+ */
+function validateCardsPayload(data, options = {}) {
+  const { requireMedia = true } = options;
+  const errors = [];
+  const warnings = [];
+  if (!data || typeof data !== 'object') {
+    return { valid: false, errors: ['payload must be an object'], warnings, changes: [], cleaned: data };
+  }
+  const limits = createLimitChecker(resolveLimitPolicy(options), errors, warnings);
+  const cleaned = limitTextFields(data, { text: 'bodyText', footer: 'footerText' }, limits);
+  if (data.text != null && typeof data.text !== 'string') {
+    errors.push('text must be a string');
+  }
+  if (data.footer != null && typeof data.footer !== 'string') {
+    errors.push('footer must be a string');
+  }
+  const { cards } = data;
+  if (!Array.isArray(cards) || cards.length === 0) {
+    errors.push('cards must be non-empty array');
+    return { valid: false, errors, warnings, changes: limits.changes, cleaned };
+  }
+  if (cards.length > CAROUSEL_MAX_CARDS) {
+    errors.push(`cards count (${cards.length}) exceeds carousel limit of ${CAROUSEL_MAX_CARDS}`);
+  }
+  if (data.headerImage || data.headerVideo || data.headerImageUrl || data.headerVideoUrl) {
+    warnings.push('top-level header media is only used with options.fallback = \'buttons\'; set image/video per card instead');
+  }
+  const mediaKinds = new Set();
+  const buttonCounts = new Set();
+  cleaned.cards = cards.map((card, c) => {
+    if (!card || typeof card !== 'object') {
+      errors.push(`cards[${c}] must be an object`);
+      return card;
+    }
+    if (!card.title && !card.body) {
+      errors.push(`cards[${c}] requires title or body`);
+    }
+    if (card.document || card.location) {
+      errors.push(`cards[${c}] header supports only image or video`);
+    }
+    const media = cardMediaSource(card);
+    if (requireMedia && !media.image && !media.video) {
+      errors.push(`cards[${c}] requires an image or video header (carousel cards need media)`);
+    }
+    validateHeaderMedia(media, errors, warnings);
+    mediaKinds.add(media.image ? 'image' : media.video ? 'video' : 'none');
+    const cleanedCard = limitTextFields(card, CARD_TEXT_LIMITS, limits, `cards[${c}].`);
+    if (card.buttons != null) {
+      if (!Array.isArray(card.buttons)) {
+        errors.push(`cards[${c}].buttons must be an array`);
+        return cleanedCard;
+      }
+      if (card.buttons.length > CAROUSEL_MAX_CARD_BUTTONS) {
+        errors.push(`cards[${c}] has ${card.buttons.length} buttons; carousel cards allow at most ${CAROUSEL_MAX_CARD_BUTTONS}`);
+      }
+      cleanedCard.buttons = card.buttons.map((btn, i) => {
+        const path = `cards[${c}].button[${i}]`;
+        if (!btn || typeof btn !== 'object') {
+          errors.push(`${path} must be an object`);
+        } else if (btn.name && btn.buttonParamsJson) {
+          if (!isButtonTypeAllowed(btn.name, 'interactive')) {
+            errors.push(`${path} name '${btn.name}' not allowed`);
+          } else if (typeof btn.buttonParamsJson !== 'string') {
+            errors.push(`${path} buttonParamsJson must be string`);
+          } else {
+            const buttonErrors = [];
+            const parsed = parseButtonParams(btn.name, btn.buttonParamsJson, buttonErrors, warnings, i);
+            buttonErrors.forEach(e => errors.push(`cards[${c}].${e}`));
+            return limitNamedButton(btn, parsed, limits, path);
+          }
+        } else if (!(btn.id && btn.text)) {
+          errors.push(`${path} invalid shape (must be legacy quick reply { id, text } or named button)`);
+        } else if (typeof btn.id !== 'string' || typeof btn.text !== 'string') {
+          errors.push(`${path} legacy quick reply id/text must be strings`);
+        } else {
+          limits.id(`${path}.id`, btn.id, WA_LIMITS.buttonId);
+          return limitTextFields(btn, { text: 'buttonLabel' }, limits, `${path}.`);
+        }
+        return btn;
+      });
+      buttonCounts.add(card.buttons.length || 1);
+    } else {
+      buttonCounts.add(1);
+    }
+    return cleanedCard;
+  });
+  if (mediaKinds.size > 1) {
+    warnings.push('cards mix different header media types; WhatsApp expects all cards to share one header type');
+  }
+  if (buttonCounts.size > 1) {
+    warnings.push('cards have different button counts; WhatsApp expects the same number of buttons on every card');
+  }
+  return { valid: errors.length === 0, errors, warnings, changes: limits.changes, cleaned };
+}
+
 function normalizeButtonsForButtonsMessage(buttons = []) {
   return buttons.map((b, i) => {
     if (b && b.buttonId && b.buttonText && b.buttonText.displayText) {
@@ -1051,23 +1676,130 @@ function normalizeButtonsForButtonsMessage(buttons = []) {
   });
 }
 
+/**
+ * Send a plain buttonsMessage (legacy quick replies).
+ * options.overflow ('list' | 'paginate') lays out more than options.maxButtons (default 3)
+ * buttons as a listMessage or as pages with a "More…" button, see helpers/overflow.js.
+ *
+ * @param {object} sock Active socket instance.
+ * @param {string} jid Destination chat JID.
+ * @param {object} data { text?, footer?, buttons: [...] }
+ * @param {object} [options] Relay options plus overflow settings.
+ * @returns {Promise<object>} Resulting WAMessage.
+ */
 async function sendTemplateButtons(sock, jid, data = {}, options = {}) {
   if (!sock) {
     throw new InteractiveValidationError('Socket is required', { context: 'sendTemplateButtons' });
   }
+  data = encodePayloadButtonData(jid, data, options, 'sendTemplateButtons');
+  const overflow = withOverflowErrors('sendTemplateButtons', () => resolveOverflowOptions(options));
   const { text = '', footer = '', buttons = [] } = data;
   if (!Array.isArray(buttons) || buttons.length === 0) {
     throw new InteractiveValidationError('Buttons payload invalid', { context: 'sendTemplateButtons', errors: ['buttons must be non-empty array'] });
   }
-  const bmButtons = normalizeButtonsForButtonsMessage(buttons);
+  // Ids are assigned over the complete list, before any overflow layout.
+  let bmButtons = normalizeButtonsForButtonsMessage(buttons);
+  if (overflow && bmButtons.length > overflow.maxButtons) {
+    if (overflow.mode === 'list') {
+      const sections = withOverflowErrors('sendTemplateButtons', () => buttonsToListSections(bmButtons, overflow));
+      return sendListMessage(sock, jid, { text, footer, buttonText: overflow.listButtonText, sections }, options);
+    }
+    const buttonsToLayout = bmButtons;
+    bmButtons = withOverflowErrors('sendTemplateButtons', () => paginateItems(buttonsToLayout, overflow, nextPage => ({
+      buttonId: MORE_ID_PREFIX + nextPage,
+      buttonText: { displayText: overflow.moreText },
+      type: 1
+    })).items);
+  }
   const content = { buttonsMessage: { contentText: text, footerText: footer, buttons: bmButtons } };
   return sendInteractiveMessage(sock, jid, content, options);
 }
 
+/**
+ * Send a carousel of cards (interactiveMessage.carouselMessage).
+ * Each card gets its own media header, body, footer and native flow buttons;
+ * card media is uploaded individually through prepareWAMessageMedia.
+ *
+ * Pass options.fallback = 'buttons' for the legacy degraded rendering: one
+ * plain buttonsMessage with a quick reply per card (plus an optional separate
+ * media message built from data.headerImage / headerVideo / *Url / mediaCaption).
+ * options.fallback = 'text' sends the cards as one numbered text menu instead.
+ *
+ * @param {object} sock Active socket instance.
+ * @param {string} jid Destination chat JID.
+ * @param {object} data { text?, footer?, cards: [{ id?, title?, body?, footer?, image?|video?, buttons? }] }
+ * @param {object} [options] Relay options plus `fallback` ('buttons' | 'text').
+ * @returns {Promise<object>} Resulting WAMessage.
+ */
 async function sendCards(sock, jid, data = {}, options = {}) {
   if (!sock) {
     throw new InteractiveValidationError('Socket is required', { context: 'sendCards' });
   }
+  data = encodePayloadButtonData(jid, data, options, 'sendCards');
+  if (options.fallback === 'buttons') {
+    return sendCardsAsButtons(sock, jid, data, options);
+  }
+  const log = resolveLogger(sock, options);
+  const strict = validateCardsPayload(data, { ...options, requireMedia: options.fallback !== 'text' });
+  if (!strict.valid) {
+    throw new InteractiveValidationError('Cards payload invalid', {
+      context: 'sendCards.validateCardsPayload',
+      errors: strict.errors,
+      warnings: strict.warnings,
+      example: EXAMPLE_PAYLOADS.sendCards
+    });
+  }
+  if (strict.warnings.length) log.warn({ warnings: strict.warnings }, 'sendCards warnings');
+  if (strict.changes.length) log.warn({ changes: strict.changes }, 'sendCards truncated text to WhatsApp limits');
+
+  const { text = '', footer = '', cards } = strict.cleaned;
+  if (options.fallback === 'text') {
+    const groups = cards.flatMap((card, i) => menuGroupsFromInteractiveButtons(
+      buildInteractiveButtons(cardButtons(card, i)),
+      { title: card.title, text: [card.body, card.footer && `_${card.footer}_`].filter(Boolean).join('\n') }
+    ));
+    return sendTextMenu(sock, jid, { text, footer, groups }, options);
+  }
+  const needsUpload = cards.some(c => c.image || c.video || c.imageUrl || c.videoUrl);
+  const { prepareWAMessageMedia } = needsUpload ? await loadBaileysInternals(options) : {};
+  const carouselCards = [];
+  for (let i = 0; i < cards.length; i++) {
+    const card = cards[i];
+    const media = await prepareInteractiveHeaderMedia(cardMediaSource(card), sock, prepareWAMessageMedia, options);
+    const carouselCard = {
+      header: { title: card.title || '', hasMediaAttachment: !!media, ...(media || {}) },
+      body: { text: card.body || '' },
+      nativeFlowMessage: { buttons: buildInteractiveButtons(cardButtons(card, i)) }
+    };
+    if (card.footer) carouselCard.footer = { text: card.footer };
+    carouselCards.push(carouselCard);
+  }
+
+  const interactiveMessage = {
+    body: { text },
+    carouselMessage: { cards: carouselCards, messageVersion: 1 }
+  };
+  if (footer) interactiveMessage.footer = { text: footer };
+  return sendInteractiveMessage(sock, jid, { interactiveMessage }, options);
+}
+
+// Card buttons, defaulting to a single quick reply carrying the card id.
+function cardButtons(card, i) {
+  return Array.isArray(card.buttons) && card.buttons.length
+    ? card.buttons
+    : [{ id: card.id || ('card_' + (i + 1)), text: card.title || ('Card ' + (i + 1)) }];
+}
+
+// Map legacy imageUrl / videoUrl card keys onto the image / video header keys.
+function cardMediaSource(card) {
+  if (card.image || card.video) return { image: card.image, video: card.video };
+  if (card.imageUrl) return { image: { url: card.imageUrl } };
+  if (card.videoUrl) return { video: { url: card.videoUrl } };
+  return {};
+}
+
+// Legacy rendering kept for clients without carousel support (options.fallback = 'buttons').
+async function sendCardsAsButtons(sock, jid, data = {}, options = {}) {
   const { text = '', footer = '', cards = [], headerImageUrl, headerVideoUrl, headerImage, headerVideo, mediaCaption } = data;
   if (!Array.isArray(cards) || cards.length === 0) {
     throw new InteractiveValidationError('Cards payload invalid', { context: 'sendCards', errors: ['cards must be non-empty array'] });
@@ -1081,7 +1813,7 @@ async function sendCards(sock, jid, data = {}, options = {}) {
       await sock.sendMessage(jid, { video: headerVideo ? headerVideo : { url: headerVideoUrl }, caption }, options);
     }
   } catch (e) {
-    console.warn('sendCards header media failed:', e?.message || e);
+    resolveLogger(sock, options).warn({ err: e?.message || e }, 'sendCards header media failed');
   }
   const buttons = cards.map((c, i) => ({ id: c.id || ('card_' + (i + 1)), text: c.title || c.body || ('Card ' + (i + 1)) }));
   const bmButtons = normalizeButtonsForButtonsMessage(buttons);
@@ -1098,6 +1830,8 @@ module.exports = {
   sendTemplateButtonsHydrated,
   sendCards,
   sendInteractiveMessage,
+  buildInteractiveMessage,
+  nativeFlowButton,
   getButtonType,
   getButtonArgs,
   patchMessageForMdIfRequired,
@@ -1108,5 +1842,17 @@ module.exports = {
   validateListMessagePayload,
   validateSendButtonsPayload,
   validateSendInteractiveMessagePayload,
-  normalizeTemplateButtons
+  validateCardsPayload,
+  normalizeTemplateButtons,
+  // Button type registry (drives validation + binary node selection).
+  registerButtonType,
+  unregisterButtonType,
+  getButtonTypeDefinition,
+  listButtonTypes,
+  // Live read-only view of requiredFields per registered type.
+  REQUIRED_FIELDS_MAP,
+  // WhatsApp text / count limits applied by the validators (see limitPolicy).
+  WA_LIMITS,
+  // "More…" reply id -> page number for options.overflow = 'paginate'.
+  parseOverflowPage
 };
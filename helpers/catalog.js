@@ -0,0 +1,303 @@
+/**
+ * Catalog messages: product lists, single products and the catalog button.
+ *
+ * A product list is a listMessage with listType 2 (PRODUCT_LIST) whose
+ * productListInfo names the catalog owner, the product sections and an optional
+ * header thumbnail; getButtonArgs already adds the biz > list[type=product_list]
+ * node for it. sendProductList builds that structure from a flat payload,
+ * enforces the product list limits and turns `header.image` into the
+ * jpegThumbnail WhatsApp expects.
+ *
+ * Usage:
+ *  await sendProductList(sock, jid, {
+ *    catalogOwner: '5511999999999',
+ *    header: { title: 'Summer sale', image: { url: 'https://example.com/banner.jpg' } },
+ *    text: 'Pick what you like',
+ *    sections: [{ title: 'Shirts', productIds: ['sku-1', 'sku-2'] }, { title: 'Caps', productIds: ['sku-9'] }]
+ *  });
+ *  await sendSingleProduct(sock, jid, { catalogOwner, productId: 'sku-1', image: { url }, title: 'T-shirt', price: 59.9, currency: 'BRL' });
+ *  await sendCatalogButton(sock, jid, { catalogOwner, text: 'Browse our catalog', thumbnailProductId: 'sku-1' });
+ */
+
+const { InteractiveValidationError, sendInteractiveMessage } = require('./buttons');
+const { resolveBaileysInternals } = require('./baileys');
+const { resolveLogger } = require('./config');
+const { WA_LIMITS, resolveLimitPolicy, createLimitChecker, limitTextFields } = require('./limits');
+const { toMoney } = require('./payments');
+
+// WAProto ListMessage.ListType.PRODUCT_LIST
+const PRODUCT_LIST_TYPE = 2;
+
+const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Catalog owner as a user JID. Accepts a JID or a phone number in any format.
+ * @param {string} owner
+ * @returns {string|null} null when no digits / JID could be derived.
+ */
+function toOwnerJid(owner) {
+  if (typeof owner !== 'string') return null;
+  // Drop the device suffix of own-account JIDs (5511999999999:12@s.whatsapp.net).
+  if (owner.includes('@')) return owner.replace(/:\d+(?=@)/, '');
+  const digits = owner.replace(/\D/g, '');
+  return digits ? `${digits}@s.whatsapp.net` : null;
+}
+
+/**
+ * Strict validator for sendProductList payloads.
+ * Returns `cleaned` / `changes` like validateListMessagePayload.
+ *
+ * @param {object} data
+ * @param {object} [options] options.limitPolicy.
+ * @returns {{valid: boolean, errors: string[], warnings: string[], changes: Array<object>, cleaned: object}}
+ */
+function validateProductListPayload(data, options = {}) {
+  const errors = [];
+  const warnings = [];
+  if (!data || typeof data !== 'object') {
+    return { valid: false, errors: ['payload must be an object'], warnings, changes: [], cleaned: data };
+  }
+  const { catalogOwner, header, sections } = data;
+  if (!toOwnerJid(catalogOwner)) errors.push('catalogOwner must be the business JID or phone number');
+  if (!header || typeof header !== 'object' || !isNonEmptyString(header.title)) {
+    errors.push('header.title is mandatory and must be a non-empty string');
+  } else if (header.productId != null && !isNonEmptyString(header.productId)) {
+    errors.push('header.productId must be a non-empty string');
+  }
+  for (const key of ['text', 'footer', 'buttonText']) {
+    if (data[key] != null && typeof data[key] !== 'string') errors.push(`${key} must be a string`);
+  }
+  const limits = createLimitChecker(resolveLimitPolicy(options), errors, warnings);
+  const cleaned = limitTextFields(data, { text: 'bodyText', footer: 'footerText', buttonText: 'listButtonText' }, limits);
+  if (header && typeof header === 'object') {
+    cleaned.header = limitTextFields(header, { title: 'headerText' }, limits, 'header.');
+  }
+  if (!Array.isArray(sections) || sections.length === 0) {
+    errors.push('sections must be a non-empty array');
+    return { valid: false, errors, warnings, changes: limits.changes, cleaned };
+  }
+  limits.count('sections', sections.length, WA_LIMITS.productSections);
+  const seen = new Set();
+  let total = 0;
+  cleaned.sections = sections.map((section, s) => {
+    const path = `sections[${s}]`;
+    if (!section || typeof section !== 'object') {
+      errors.push(`${path} must be an object`);
+      return section;
+    }
+    if (!isNonEmptyString(section.title)) errors.push(`${path}.title is mandatory and must be a non-empty string`);
+    if (!Array.isArray(section.productIds) || section.productIds.length === 0) {
+      errors.push(`${path}.productIds must be a non-empty array`);
+      return section;
+    }
+    section.productIds.forEach((id, p) => {
+      if (!isNonEmptyString(id)) errors.push(`${path}.productIds[${p}] must be a non-empty string`);
+      else if (seen.has(id)) errors.push(`${path}.productIds[${p}] '${id}' is listed more than once`);
+      else seen.add(id);
+    });
+    total += section.productIds.length;
+    return limitTextFields(section, { title: 'sectionTitle' }, limits, `${path}.`);
+  });
+  limits.count('sections[*].productIds', total, WA_LIMITS.productsPerList);
+  return { valid: errors.length === 0, errors, warnings, changes: limits.changes, cleaned };
+}
+
+// header.jpegThumbnail wins; header.image is uploaded so Baileys generates the thumbnail.
+async function resolveHeaderThumbnail(sock, header, options, log) {
+  if (header.jpegThumbnail) return header.jpegThumbnail;
+  if (header.image == null) return null;
+  const { internals, report } = await resolveBaileysInternals(options);
+  if (typeof internals?.prepareWAMessageMedia !== 'function') {
+    throw new InteractiveValidationError('Missing baileys internals', {
+      context: 'sendProductList.headerThumbnail',
+      errors: [...report, 'prepareWAMessageMedia not found in installed baileys package (required for header.image)']
+    });
+  }
+  const media = await internals.prepareWAMessageMedia({ image: header.image }, {
+    upload: sock.waUploadToServer,
+    logger: sock.logger,
+    mediaCache: options.mediaCache,
+    mediaUploadTimeoutMs: options.mediaUploadTimeoutMs
+  });
+  const thumbnail = media?.imageMessage?.jpegThumbnail;
+  if (!thumbnail) {
+    log.warn('sendProductList: no thumbnail generated for header.image (install sharp or jimp, or pass header.jpegThumbnail)');
+  }
+  return thumbnail || null;
+}
+
+/**
+ * Send a product list (listMessage listType 2) from the business catalog.
+ *
+ * @param {object} sock Active socket instance.
+ * @param {string} jid Destination chat JID.
+ * @param {object} data
+ * @param {string} data.catalogOwner Business JID or phone number owning the catalog.
+ * @param {{title: string, productId?: string, image?: object, jpegThumbnail?: Buffer}} data.header
+ *   Header text plus optional thumbnail; productId defaults to the first listed product.
+ * @param {Array<{title: string, productIds: string[]}>} data.sections Up to 10 sections, 30 products in total.
+ * @param {string} [data.text] Body text.
+ * @param {string} [data.footer] Footer text.
+ * @param {string} [data.buttonText='View items'] List button label.
+ * @param {object} [options] Options forwarded to sendInteractiveMessage (limitPolicy, mediaCache, ...).
+ * @returns {Promise<object>} Resulting WAMessage.
+ * @throws {InteractiveValidationError} On invalid payloads (context sendProductList.validateProductListPayload).
+ */
+async function sendProductList(sock, jid, data = {}, options = {}) {
+  if (!sock) {
+    throw new InteractiveValidationError('Socket is required', { context: 'sendProductList' });
+  }
+  const log = resolveLogger(sock, options);
+  const strict = validateProductListPayload(data, options);
+  if (!strict.valid) {
+    throw new InteractiveValidationError('Product list payload invalid', {
+      context: 'sendProductList.validateProductListPayload',
+      errors: strict.errors,
+      warnings: strict.warnings,
+      example: {
+        catalogOwner: '5511999999999',
+        header: { title: 'Summer sale' },
+        text: 'Pick what you like',
+        sections: [{ title: 'Shirts', productIds: ['sku-1', 'sku-2'] }]
+      }
+    });
+  }
+  if (strict.warnings.length) log.warn({ warnings: strict.warnings }, 'sendProductList warnings');
+  if (strict.changes.length) log.warn({ changes: strict.changes }, 'sendProductList truncated text to WhatsApp limits');
+  const { header, sections, text, footer, buttonText = 'View items' } = strict.cleaned;
+  const productListInfo = {
+    productSections: sections.map(section => ({
+      title: section.title,
+      products: section.productIds.map(productId => ({ productId }))
+    })),
+    businessOwnerJid: toOwnerJid(data.catalogOwner)
+  };
+  const jpegThumbnail = await resolveHeaderThumbnail(sock, header, options, log);
+  if (jpegThumbnail) {
+    productListInfo.headerImage = { productId: header.productId || sections[0].productIds[0], jpegThumbnail };
+  }
+  const listMessage = {
+    title: header.title,
+    description: text,
+    buttonText,
+    listType: PRODUCT_LIST_TYPE,
+    footerText: footer,
+    productListInfo
+  };
+  return sendInteractiveMessage(sock, jid, { listMessage }, options);
+}
+
+/**
+ * Send one catalog product (productMessage) through sock.sendMessage, which
+ * uploads `image` as the product image.
+ *
+ * @param {object} sock Active socket instance (sendMessage required).
+ * @param {string} jid Destination chat JID.
+ * @param {object} data
+ * @param {string} data.catalogOwner Business JID or phone number owning the catalog.
+ * @param {string} data.productId Catalog product id.
+ * @param {object} data.image Product image (Buffer, stream or { url }).
+ * @param {string} [data.title] Product name; data.description / url / retailerId likewise.
+ * @param {number|{value: number, offset: number}} [data.price] Requires data.currency; salePrice likewise.
+ * @param {string} [data.currency] ISO 4217 code.
+ * @param {string} [data.text] Body text.
+ * @param {string} [data.footer] Footer text.
+ * @param {object} [options] Options forwarded to sock.sendMessage.
+ * @returns {Promise<object>} Resulting WAMessage.
+ */
+async function sendSingleProduct(sock, jid, data = {}, options = {}) {
+  if (!sock || typeof sock.sendMessage !== 'function') {
+    throw new InteractiveValidationError('Socket is required', {
+      context: 'sendSingleProduct',
+      errors: ['sock.sendMessage is not a function']
+    });
+  }
+  const errors = [];
+  const warnings = [];
+  const { catalogOwner, productId, image, title, description, url, retailerId, currency, text, footer } = data;
+  if (!toOwnerJid(catalogOwner)) errors.push('catalogOwner must be the business JID or phone number');
+  if (!isNonEmptyString(productId)) errors.push('productId must be a non-empty string');
+  if (image == null) errors.push('image is required (product image)');
+  const product = { productImage: image, productId, productImageCount: 1 };
+  for (const [key, value] of Object.entries({ title, description, url, retailerId })) {
+    if (value == null) continue;
+    if (!isNonEmptyString(value)) errors.push(`${key} must be a non-empty string`);
+    product[key] = value;
+  }
+  if ((data.price != null || data.salePrice != null) && !/^[A-Z]{3}$/.test(currency || '')) {
+    errors.push('currency must be an ISO 4217 code when price / salePrice is set');
+  }
+  for (const [key, target] of [['price', 'priceAmount1000'], ['salePrice', 'salePriceAmount1000']]) {
+    if (data[key] == null) continue;
+    try {
+      product[target] = toMoney(data[key], 1000).value;
+    } catch (err) {
+      errors.push(`${key}: ${err.message}`);
+    }
+  }
+  if (product.salePriceAmount1000 != null && product.priceAmount1000 != null && product.salePriceAmount1000 > product.priceAmount1000) {
+    errors.push('salePrice must not exceed price');
+  }
+  if (currency != null) product.currencyCode = currency;
+  const limits = createLimitChecker(resolveLimitPolicy(options), errors, warnings);
+  const texts = limitTextFields({ text, footer }, { text: 'bodyText', footer: 'footerText' }, limits);
+  if (errors.length) {
+    throw new InteractiveValidationError('Single product payload invalid', {
+      context: 'sendSingleProduct',
+      errors,
+      warnings,
+      example: { catalogOwner: '5511999999999', productId: 'sku-1', image: { url: 'https://example.com/p.jpg' }, title: 'T-shirt' }
+    });
+  }
+  const log = resolveLogger(sock, options);
+  if (warnings.length) log.warn({ warnings }, 'sendSingleProduct warnings');
+  if (limits.changes.length) log.warn({ changes: limits.changes }, 'sendSingleProduct truncated text to WhatsApp limits');
+  const content = { product, businessOwnerJid: toOwnerJid(catalogOwner) };
+  if (texts.text) content.body = texts.text;
+  if (texts.footer) content.footer = texts.footer;
+  return sock.sendMessage(jid, content, options);
+}
+
+/**
+ * Send a message with a "View catalog" (cta_catalog) button.
+ *
+ * @param {object} sock Active socket instance.
+ * @param {string} jid Destination chat JID.
+ * @param {object} data
+ * @param {string} data.catalogOwner Business JID or phone number owning the catalog.
+ * @param {string} data.text Body text.
+ * @param {string} [data.thumbnailProductId] Product whose image heads the catalog preview.
+ * @param {string} [data.footer] Footer text; data.title / image / video / document add a header.
+ * @param {object} [options] Options forwarded to sendInteractiveMessage.
+ * @returns {Promise<object>} Resulting WAMessage.
+ */
+async function sendCatalogButton(sock, jid, data = {}, options = {}) {
+  if (!sock) {
+    throw new InteractiveValidationError('Socket is required', { context: 'sendCatalogButton' });
+  }
+  const { catalogOwner, text, thumbnailProductId, footer, title, image, video, document, mimetype, fileName } = data;
+  const errors = [];
+  const owner = toOwnerJid(catalogOwner);
+  if (!owner) errors.push('catalogOwner must be the business JID or phone number');
+  if (!isNonEmptyString(text)) errors.push('text is mandatory and must be a non-empty string');
+  if (thumbnailProductId != null && !isNonEmptyString(thumbnailProductId)) errors.push('thumbnailProductId must be a non-empty string');
+  if (errors.length) {
+    throw new InteractiveValidationError('Catalog button payload invalid', { context: 'sendCatalogButton', errors });
+  }
+  const params = { business_phone_number: owner.split('@')[0] };
+  if (thumbnailProductId) params.catalog_product_id = thumbnailProductId;
+  const content = { text, interactiveButtons: [{ name: 'cta_catalog', buttonParamsJson: JSON.stringify(params) }] };
+  const optional = { footer, title, image, video, document, mimetype, fileName };
+  for (const [key, value] of Object.entries(optional)) {
+    if (value != null) content[key] = value;
+  }
+  return sendInteractiveMessage(sock, jid, content, options);
+}
+
+module.exports = {
+  sendProductList,
+  sendSingleProduct,
+  sendCatalogButton,
+  validateProductListPayload,
+  PRODUCT_LIST_TYPE
+};
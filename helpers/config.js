@@ -0,0 +1,130 @@
+/**
+ * Package wide configuration shared by all helpers.
+ *
+ * Holds settings that would otherwise need to be passed on every call:
+ *  - logger, logLevel  helper logger and its minimum level
+ *  - baileys           Baileys module (helpers/baileys.js)
+ *  - limitPolicy       WhatsApp text limit handling (helpers/limits.js)
+ *  - menuStore         text menu store (helpers/textMenu.js)
+ *  - buttonSecret      signed button data secret (helpers/buttonData.js)
+ *  - nodeProfile       binary node profile (helpers/nodeProfiles.js)
+ * Per-call options always win over values set here.
+ *
+ * Usage:
+ *  const { configure } = require('zqbaileys_helper');
+ *  configure({ logger: pino({ level: 'info' }), logLevel: 'warn' });
+ */
+
+// Ordered from most to least verbose; 'silent' disables helper logging entirely.
+const LOG_LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'silent'];
+
+// How WhatsApp text / count limits are enforced, see helpers/limits.js.
+const LIMIT_POLICIES = ['error', 'warn', 'truncate'];
+
+const settings = {
+  logger: null,
+  logLevel: 'debug',
+  baileys: null,
+  limitPolicy: 'warn',
+  menuStore: null,
+  buttonSecret: null,
+  nodeProfile: null
+};
+
+/**
+ * Update package wide settings. Keys that are omitted keep their current value;
+ * pass `null` to reset a key to its default.
+ *
+ * @param {object} [next]
+ * @param {object|null} [next.logger] pino-compatible logger ({ debug, info, warn, error }).
+ * @param {'trace'|'debug'|'info'|'warn'|'error'|'silent'|null} [next.logLevel] Minimum level forwarded to the logger.
+ * @param {object|null} [next.baileys] Baileys module instance (CommonJS exports or ESM namespace) to use
+ *   instead of looking up the installed packages.
+ * @param {'error'|'warn'|'truncate'|null} [next.limitPolicy] Handling of payloads over WhatsApp limits (default 'warn').
+ * @param {{get: Function, set: Function, delete?: Function}|null} [next.menuStore] Store for fallback: 'text'
+ *   number -> id mappings (default: in-memory, see helpers/textMenu.js).
+ * @param {string|Buffer|null} [next.buttonSecret] HMAC secret for signed button data ids (see helpers/buttonData.js).
+ * @param {string|object|null} [next.nodeProfile] Binary node profile name or inline profile (see helpers/nodeProfiles.js).
+ * @returns {object} Snapshot of the resulting settings.
+ */
+function configure(next = {}) {
+  if ('logger' in next) {
+    settings.logger = next.logger || null;
+  }
+  if ('logLevel' in next) {
+    if (next.logLevel != null && !LOG_LEVELS.includes(next.logLevel)) {
+      throw new TypeError(`logLevel must be one of ${LOG_LEVELS.join(', ')}`);
+    }
+    settings.logLevel = next.logLevel || 'debug';
+  }
+  if ('baileys' in next) {
+    if (next.baileys != null && typeof next.baileys !== 'object' && typeof next.baileys !== 'function') {
+      throw new TypeError('baileys must be the Baileys module object');
+    }
+    settings.baileys = next.baileys || null;
+  }
+  if ('limitPolicy' in next) {
+    if (next.limitPolicy != null && !LIMIT_POLICIES.includes(next.limitPolicy)) {
+      throw new TypeError(`limitPolicy must be one of ${LIMIT_POLICIES.join(', ')}`);
+    }
+    settings.limitPolicy = next.limitPolicy || 'warn';
+  }
+  if ('menuStore' in next) {
+    const store = next.menuStore;
+    if (store != null && (typeof store.get !== 'function' || typeof store.set !== 'function')) {
+      throw new TypeError('menuStore must implement get(jid) and set(jid, menu)');
+    }
+    settings.menuStore = store || null;
+  }
+  if ('buttonSecret' in next) {
+    const secret = next.buttonSecret;
+    if (secret != null && !(typeof secret === 'string' && secret) && !Buffer.isBuffer(secret)) {
+      throw new TypeError('buttonSecret must be a non-empty string or Buffer');
+    }
+    settings.buttonSecret = secret || null;
+  }
+  if ('nodeProfile' in next) {
+    const profile = next.nodeProfile;
+    if (profile != null && !(typeof profile === 'string' && profile) && typeof profile !== 'object') {
+      throw new TypeError('nodeProfile must be a profile name or a profile object');
+    }
+    settings.nodeProfile = profile || null;
+  }
+  return { ...settings };
+}
+
+/**
+ * Read the current settings (copy).
+ * @returns {object}
+ */
+function getConfig() {
+  return { ...settings };
+}
+
+/**
+ * Resolve the logger for one helper call and wrap it with the level filter.
+ * Priority: options.logger -> configure({ logger }) -> sock.logger -> no-op.
+ * Calls use the pino argument order: log.warn({ ...details }, 'message').
+ *
+ * @param {object} [sock] Socket (its .logger is the implicit fallback).
+ * @param {object} [options] Per-call options (options.logger / options.logLevel).
+ * @returns {{trace: Function, debug: Function, info: Function, warn: Function, error: Function}}
+ */
+function resolveLogger(sock, options = {}) {
+  const target = options.logger || settings.logger || sock?.logger || null;
+  const minLevel = LOG_LEVELS.indexOf(options.logLevel || settings.logLevel);
+  const log = {};
+  for (const level of LOG_LEVELS.slice(0, -1)) {
+    const enabled = !!target && LOG_LEVELS.indexOf(level) >= minLevel && typeof target[level] === 'function';
+    log[level] = enabled ? (obj, msg) => target[level](obj, msg) : () => {};
+  }
+  return log;
+}
+
+module.exports = {
+  configure,
+  getConfig,
+  resolveLogger,
+  LOG_LEVELS,
+  LIMIT_POLICIES
+};
@@ -0,0 +1,155 @@
+/**
+ * Editing sent interactive messages (protocol MESSAGE_EDIT).
+ *
+ * Buttons stay clickable long after the user picked one. editInteractiveMessage
+ * rebuilds new content through buildInteractiveMessage (same validation,
+ * conversion and biz nodes as sendInteractiveMessage) and relays it as an edit of
+ * the original key; disableInteractiveButtons replaces the buttons with a note
+ * such as "You selected: Pizza", keeping the original body text.
+ *
+ * WhatsApp only applies edits of recent messages (about 15 minutes), so disable
+ * buttons as soon as the reply arrives, e.g. with the router option
+ * createInteractiveRouter(sock, { disableButtons: true }).
+ *
+ * Usage:
+ *  const sent = await sendButtons(sock, jid, { text: 'Pick one', buttons });
+ *  await editInteractiveMessage(sock, sent.key, { text: 'Pick again', interactiveButtons: [...] });
+ *  await disableInteractiveButtons(sock, sent, { note: 'You selected: Pizza' });
+ */
+
+const { InteractiveValidationError, buildInteractiveMessage } = require('./buttons');
+const { unwrapMessageContent } = require('./responses');
+
+// WAProto Message.ProtocolMessage.Type.MESSAGE_EDIT
+const MESSAGE_EDIT = 14;
+
+/**
+ * Body / title / footer of a sent interactive message (any encoding).
+ * @param {object} content WAMessage.message or unwrapped content.
+ * @returns {{text: string|null, title: string|null, footer: string|null}}
+ */
+function extractInteractiveText(content) {
+  const c = unwrapMessageContent(content) || {};
+  if (c.interactiveMessage) {
+    const im = c.interactiveMessage;
+    return { text: im.body?.text ?? null, title: im.header?.title ?? null, footer: im.footer?.text ?? null };
+  }
+  if (c.buttonsMessage) {
+    const bm = c.buttonsMessage;
+    return { text: bm.contentText ?? null, title: bm.text ?? null, footer: bm.footerText ?? null };
+  }
+  if (c.listMessage) {
+    const lm = c.listMessage;
+    return { text: lm.description ?? null, title: lm.title ?? null, footer: lm.footerText ?? null };
+  }
+  if (c.templateMessage) {
+    const tpl = c.templateMessage.hydratedTemplate || c.templateMessage.fourRowTemplate || {};
+    return {
+      text: tpl.hydratedContentText ?? null,
+      title: tpl.hydratedTitleText ?? null,
+      footer: tpl.hydratedFooterText ?? null
+    };
+  }
+  return { text: c.conversation ?? c.extendedTextMessage?.text ?? null, title: null, footer: null };
+}
+
+function assertEditableKey(key, context) {
+  const errors = [];
+  if (!key || typeof key !== 'object') {
+    errors.push('key must be the message key ({ remoteJid, id }) of a sent message');
+  } else {
+    if (typeof key.remoteJid !== 'string' || !key.remoteJid) errors.push('key.remoteJid is required');
+    if (typeof key.id !== 'string' || !key.id) errors.push('key.id is required');
+    if (key.fromMe === false) errors.push('only messages sent by this account can be edited (key.fromMe is false)');
+  }
+  if (errors.length) {
+    throw new InteractiveValidationError('Message key invalid', { context, errors });
+  }
+}
+
+/**
+ * Replace a sent interactive message with new content.
+ *
+ * @param {object} sock Active socket instance.
+ * @param {{remoteJid: string, id: string, fromMe?: boolean, participant?: string}} key Key of the
+ *   message to edit (WAMessage.key as returned by sendInteractiveMessage / sendButtons / ...).
+ * @param {object} newContent Same content sendInteractiveMessage accepts (interactiveButtons, listMessage, ...).
+ * @param {object} [options] Same options as sendInteractiveMessage (strategy / fallback are not applied).
+ * @returns {Promise<object>} The edit WAMessage (message.protocolMessage.editedMessage holds the new content).
+ * @throws {InteractiveValidationError} On invalid keys or content.
+ */
+async function editInteractiveMessage(sock, key, newContent, options = {}) {
+  if (!sock) {
+    throw new InteractiveValidationError('Socket is required', { context: 'editInteractiveMessage' });
+  }
+  if (typeof sock.relayMessage !== 'function') {
+    throw new InteractiveValidationError('Socket cannot relay messages', {
+      context: 'editInteractiveMessage',
+      errors: ['sock.relayMessage is not a function (pass a connected WhiskeySockets socket)']
+    });
+  }
+  assertEditableKey(key, 'editInteractiveMessage');
+  const jid = key.remoteJid;
+  const { message: built, relayOptions } = await buildInteractiveMessage(sock, jid, newContent, options);
+  const editKey = { remoteJid: jid, fromMe: true, id: key.id };
+  if (key.participant) editKey.participant = key.participant;
+  const message = {
+    protocolMessage: {
+      key: editKey,
+      type: MESSAGE_EDIT,
+      editedMessage: built.message,
+      timestampMs: Date.now()
+    }
+  };
+  await sock.relayMessage(jid, message, {
+    ...relayOptions,
+    additionalAttributes: { ...relayOptions.additionalAttributes, edit: '1' }
+  });
+  return { ...built, message };
+}
+
+/**
+ * Edit a sent interactive message so it keeps its text but has no buttons.
+ *
+ * The original text comes from `target` when it is a full WAMessage, else from
+ * options.original / options.text, else from sock.config.getMessage(key) (the
+ * Baileys message store hook).
+ *
+ * @param {object} sock Active socket instance.
+ * @param {object} target WAMessage returned by a send helper, or its key.
+ * @param {object} [options]
+ * @param {string} [options.note] Footer replacing the buttons (default: the original footer).
+ * @param {string} [options.text] Body text override.
+ * @param {object} [options.original] Original WAMessage or message content.
+ * @returns {Promise<object>} The edit WAMessage.
+ * @throws {InteractiveValidationError} When the original text cannot be found (context disableInteractiveButtons).
+ */
+async function disableInteractiveButtons(sock, target, options = {}) {
+  const { note, text: textOverride, original, ...sendOptions } = options;
+  const isFullMessage = !!(target?.key && target.message);
+  const key = isFullMessage ? target.key : target;
+  assertEditableKey(key, 'disableInteractiveButtons');
+  let content = isFullMessage ? target.message : (original?.message || original);
+  if (!content && textOverride == null && typeof sock?.config?.getMessage === 'function') {
+    content = await sock.config.getMessage(key);
+  }
+  const info = extractInteractiveText(content);
+  const text = textOverride ?? info.text;
+  if (typeof text !== 'string' || !text) {
+    throw new InteractiveValidationError('Original message text unavailable', {
+      context: 'disableInteractiveButtons',
+      errors: ['pass the sent WAMessage, options.text or options.original, or provide sock.config.getMessage']
+    });
+  }
+  const interactiveMessage = { body: { text }, nativeFlowMessage: { buttons: [] } };
+  const footer = note ?? info.footer;
+  if (footer) interactiveMessage.footer = { text: footer };
+  if (info.title) interactiveMessage.header = { title: info.title, hasMediaAttachment: false };
+  return editInteractiveMessage(sock, key, { interactiveMessage }, { ...sendOptions, allowEmptyButtons: true });
+}
+
+module.exports = {
+  editInteractiveMessage,
+  disableInteractiveButtons,
+  extractInteractiveText
+};
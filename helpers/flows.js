@@ -0,0 +1,185 @@
+/**
+ * WhatsApp Flows (galaxy_message) sending and response decoding.
+ *
+ * sendFlowMessage builds the galaxy_message native flow button (message version,
+ * action, first screen / data, CTA, draft or published mode) from a flat payload
+ * and sends it through sendInteractiveMessage. When the user submits the flow,
+ * WhatsApp answers with an interactiveResponseMessage whose nativeFlowResponseMessage
+ * carries the form as JSON (the `nfm_reply` response_json); parseFlowResponse turns
+ * it into a plain object keyed by the flow_token the flow was sent with.
+ *
+ * Usage:
+ *  await sendFlowMessage(sock, jid, {
+ *    text: 'Book your appointment',
+ *    flowId: '1234567890', flowToken: `booking:${orderId}`, cta: 'Book now',
+ *    screen: 'APPOINTMENT', data: { service: 'haircut' }
+ *  });
+ *  router.on({ flowToken: /^booking:/ }, ctx => saveBooking(ctx.flow.flowToken, ctx.flow.data));
+ *  // without the router: const { flowToken, data } = parseFlowResponse(msg);
+ */
+
+const { InteractiveValidationError, sendInteractiveMessage } = require('./buttons');
+const { parseInteractiveResponse } = require('./responses');
+const { resolveLogger } = require('./config');
+
+const FLOW_ACTIONS = ['navigate', 'data_exchange'];
+const FLOW_MODES = ['draft', 'published'];
+const FLOW_MESSAGE_VERSION = '3';
+
+// nativeFlowResponseMessage names used for submitted flows.
+const FLOW_RESPONSE_NAMES = ['galaxy_message', 'flow'];
+
+const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value) &&
+  (Object.getPrototypeOf(value) === Object.prototype || Object.getPrototypeOf(value) === null);
+
+/**
+ * Strict validator for sendFlowMessage payloads.
+ * @param {object} data
+ * @returns {{valid: boolean, errors: string[], warnings: string[]}}
+ */
+function validateFlowPayload(data) {
+  const errors = [];
+  const warnings = [];
+  if (!data || typeof data !== 'object') {
+    return { valid: false, errors: ['payload must be an object'], warnings };
+  }
+  const { text, flowId, flowToken, cta, action = 'navigate', screen, mode = 'published', messageVersion } = data;
+  if (!isNonEmptyString(text)) errors.push('text is mandatory and must be a non-empty string');
+  if (!isNonEmptyString(flowId) && !(Number.isInteger(flowId) && flowId > 0)) {
+    errors.push('flowId must be a non-empty string (the flow id from WhatsApp Manager)');
+  }
+  if (!isNonEmptyString(flowToken)) errors.push('flowToken must be a non-empty string');
+  if (!isNonEmptyString(cta)) errors.push('cta must be a non-empty string');
+  if (!FLOW_ACTIONS.includes(action)) errors.push(`action must be one of ${FLOW_ACTIONS.join(', ')}`);
+  if (!FLOW_MODES.includes(mode)) errors.push(`mode must be one of ${FLOW_MODES.join(', ')}`);
+  if (messageVersion != null && !isNonEmptyString(String(messageVersion))) errors.push('messageVersion must be a non-empty string');
+  if (action === 'navigate') {
+    if (!isNonEmptyString(screen)) errors.push("screen is required for action 'navigate' (id of the first screen)");
+    if (data.data !== undefined) {
+      if (!isPlainObject(data.data)) errors.push('data must be a plain object');
+      else if (!Object.keys(data.data).length) errors.push('data must not be empty (omit it instead)');
+    }
+  } else if (action === 'data_exchange' && (screen != null || data.data !== undefined)) {
+    errors.push("screen / data are only used with action 'navigate'; with 'data_exchange' your endpoint returns the first screen");
+  }
+  if (mode === 'draft') warnings.push("mode 'draft' only opens for the flow's testers");
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Build the galaxy_message native flow button for a flow payload (no validation).
+ * @param {object} data sendFlowMessage payload.
+ * @returns {{name: 'galaxy_message', buttonParamsJson: string}}
+ */
+function buildFlowButton(data) {
+  const { flowId, flowToken, cta, action = 'navigate', screen, mode = 'published', messageVersion = FLOW_MESSAGE_VERSION } = data;
+  const params = {
+    flow_message_version: String(messageVersion),
+    flow_token: flowToken,
+    flow_id: String(flowId),
+    flow_cta: cta,
+    flow_action: action,
+    mode
+  };
+  if (action === 'navigate') {
+    params.flow_action_payload = data.data !== undefined ? { screen, data: data.data } : { screen };
+  }
+  return { name: 'galaxy_message', buttonParamsJson: JSON.stringify(params) };
+}
+
+/**
+ * Send a WhatsApp Flow.
+ *
+ * @param {object} sock Active socket instance.
+ * @param {string} jid Destination chat JID.
+ * @param {object} data
+ * @param {string} data.text Body text.
+ * @param {string|number} data.flowId Flow id (WhatsApp Manager).
+ * @param {string} data.flowToken Token echoed back in the response; use it to tie answers to your records.
+ * @param {string} data.cta Button label (max 30 characters).
+ * @param {'navigate'|'data_exchange'} [data.action='navigate'] navigate opens `screen` with `data`;
+ *   data_exchange asks your flow endpoint for the first screen.
+ * @param {string} [data.screen] First screen id (required for navigate).
+ * @param {object} [data.data] Initial screen data (navigate only).
+ * @param {'draft'|'published'} [data.mode='published'] Draft flows only open for testers.
+ * @param {string} [data.messageVersion='3'] flow_message_version.
+ * @param {string} [data.footer] Footer text.
+ * @param {string} [data.title] Header title; data.image / video / document add a media header.
+ * @param {object} [options] Options forwarded to sendInteractiveMessage.
+ * @returns {Promise<object>} Resulting WAMessage.
+ * @throws {InteractiveValidationError} On invalid payloads (context sendFlowMessage.validateFlowPayload).
+ */
+async function sendFlowMessage(sock, jid, data = {}, options = {}) {
+  if (!sock) {
+    throw new InteractiveValidationError('Socket is required', { context: 'sendFlowMessage' });
+  }
+  const strict = validateFlowPayload(data);
+  if (!strict.valid) {
+    throw new InteractiveValidationError('Flow payload invalid', {
+      context: 'sendFlowMessage.validateFlowPayload',
+      errors: strict.errors,
+      warnings: strict.warnings,
+      example: {
+        text: 'Book your appointment',
+        flowId: '1234567890',
+        flowToken: 'booking:42',
+        cta: 'Book now',
+        screen: 'APPOINTMENT',
+        data: { service: 'haircut' }
+      }
+    });
+  }
+  if (strict.warnings.length) resolveLogger(sock, options).warn({ warnings: strict.warnings }, 'sendFlowMessage warnings');
+  const { text, footer, title, subtitle, image, video, document, mimetype, fileName } = data;
+  const content = { text, interactiveButtons: [buildFlowButton(data)] };
+  const optional = { footer, title, subtitle, image, video, document, mimetype, fileName };
+  for (const [key, value] of Object.entries(optional)) {
+    if (value != null) content[key] = value;
+  }
+  return sendInteractiveMessage(sock, jid, content, options);
+}
+
+/**
+ * Decode a submitted flow (nfm_reply) into a plain object.
+ *
+ * @param {object} msg WAMessage from messages.upsert (or bare message content).
+ * @returns {{flowToken: string|null, data: object, name: string|null, displayText: string|null,
+ *   from: string|null, quotedMessageId: string|null, messageId: string|null}|null}
+ *   null when the message is not a flow response.
+ */
+function parseFlowResponse(msg) {
+  const reply = parseInteractiveResponse(msg);
+  if (!reply || reply.kind !== 'native_flow') return null;
+  let params = reply.params;
+  // Some clients nest the form as a JSON string under response_json.
+  if (typeof params.response_json === 'string') {
+    try {
+      const { response_json: raw, ...rest } = params;
+      params = { ...rest, ...JSON.parse(raw) };
+    } catch {
+      // Keep the undecoded string in data.response_json.
+    }
+  }
+  if (typeof params.flow_token !== 'string' && !FLOW_RESPONSE_NAMES.includes(reply.name)) return null;
+  const { flow_token: flowToken = null, ...fields } = params;
+  return {
+    flowToken,
+    data: fields,
+    name: reply.name,
+    displayText: reply.displayText,
+    from: reply.from,
+    quotedMessageId: reply.quotedMessageId,
+    messageId: msg?.key?.id ?? null
+  };
+}
+
+module.exports = {
+  sendFlowMessage,
+  validateFlowPayload,
+  buildFlowButton,
+  parseFlowResponse,
+  FLOW_ACTIONS,
+  FLOW_MODES
+};
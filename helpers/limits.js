@@ -0,0 +1,183 @@
+/**
+ * WhatsApp text-length and count limits for interactive payloads.
+ *
+ * Oversized fields do not fail on send; the phone silently drops or clips the
+ * message. The strict validators run every payload through a limit checker
+ * which applies one of three policies (options.limitPolicy or configure):
+ *  - 'warn'     (default) violations become warnings, payload is sent unchanged
+ *  - 'error'    limit violations are validation errors
+ *  - 'truncate' text is shortened with an ellipsis and every change is reported
+ *               in `changes`; ids and item counts cannot be shortened safely and
+ *               stay errors
+ *
+ * 'warn' is the default so payloads that were accepted before the limits existed
+ * keep sending; opt into 'error' to fail fast.
+ */
+
+const { getConfig, LIMIT_POLICIES } = require('./config');
+
+// Values follow the limits documented for WhatsApp interactive messages.
+const WA_LIMITS = Object.freeze({
+  bodyText: 1024,
+  footerText: 60,
+  headerText: 60,
+  buttonLabel: 20,
+  flowCta: 30,
+  buttonId: 256,
+  listButtonText: 20,
+  sectionTitle: 24,
+  rowTitle: 24,
+  rowDescription: 72,
+  rowId: 200,
+  sectionsPerList: 10,
+  rowsPerList: 10,
+  productSections: 10,
+  productsPerList: 30,
+  nativeFlowButtons: 10,
+  templateButtons: 3
+});
+
+const ELLIPSIS = '…';
+
+/**
+ * Resolve the active policy for one call.
+ * @param {object} [options] Per-call options (options.limitPolicy).
+ * @returns {'error'|'warn'|'truncate'}
+ */
+function resolveLimitPolicy(options = {}) {
+  const policy = options.limitPolicy || getConfig().limitPolicy || 'warn';
+  if (!LIMIT_POLICIES.includes(policy)) {
+    throw new TypeError(`limitPolicy must be one of ${LIMIT_POLICIES.join(', ')}`);
+  }
+  return policy;
+}
+
+/**
+ * Create a checker that records violations into the caller's errors / warnings arrays.
+ * Lengths are counted in code points so emoji are never split in half.
+ *
+ * @param {'error'|'warn'|'truncate'} policy
+ * @param {string[]} errors Validator errors array (appended to).
+ * @param {string[]} warnings Validator warnings array (appended to).
+ * @returns {{text: Function, id: Function, count: Function, changes: Array<{path: string, limit: number, from: string, to: string}>}}
+ */
+function createLimitChecker(policy, errors, warnings) {
+  const changes = [];
+  const violation = (path, message, truncatable) => {
+    if (policy === 'warn') warnings.push(`${path} ${message}`);
+    else if (policy === 'error' || !truncatable) errors.push(`${path} ${message}`);
+  };
+  return {
+    changes,
+    /** Check a text field; returns the (possibly truncated) value. */
+    text(path, value, max) {
+      if (typeof value !== 'string') return value;
+      const chars = Array.from(value);
+      if (chars.length <= max) return value;
+      if (policy === 'truncate') {
+        const to = chars.slice(0, max - 1).join('') + ELLIPSIS;
+        changes.push({ path, limit: max, from: value, to });
+        return to;
+      }
+      violation(path, `exceeds ${max} characters (${chars.length})`, true);
+      return value;
+    },
+    /** Check an id; ids are never truncated because replies are matched on them. */
+    id(path, value, max) {
+      if (typeof value === 'string' && Array.from(value).length > max) {
+        violation(path, `exceeds ${max} characters (ids cannot be truncated)`, false);
+      }
+      return value;
+    },
+    /** Check an item count; surplus items are never dropped silently. */
+    count(path, count, max) {
+      if (count > max) {
+        violation(path, `count (${count}) exceeds limit of ${max}`, false);
+      }
+    }
+  };
+}
+
+/**
+ * Apply text limits to plain top-level fields and return a shallow copy.
+ *
+ * @param {object} data Payload.
+ * @param {Object<string, string>} fields Map of payload key -> WA_LIMITS key.
+ * @param {ReturnType<typeof createLimitChecker>} checker
+ * @param {string} [prefix] Path prefix for messages.
+ * @returns {object}
+ */
+function limitTextFields(data, fields, checker, prefix = '') {
+  const next = { ...data };
+  for (const [key, limitKey] of Object.entries(fields)) {
+    if (typeof next[key] === 'string') {
+      next[key] = checker.text(prefix + key, next[key], WA_LIMITS[limitKey]);
+    }
+  }
+  return next;
+}
+
+/**
+ * Apply limits to list sections (listMessage sections or single_select sections).
+ * Returns a copy with truncated titles / descriptions.
+ *
+ * @param {Array<object>} sections
+ * @param {ReturnType<typeof createLimitChecker>} checker
+ * @param {string} path Path prefix for messages.
+ * @param {string} [rowIdKey='id'] Row id key ('rowId' for listMessage, 'id' for single_select).
+ * @returns {Array<object>}
+ */
+function limitSections(sections, checker, path, rowIdKey = 'id') {
+  if (!Array.isArray(sections)) return sections;
+  checker.count(`${path}`, sections.length, WA_LIMITS.sectionsPerList);
+  const totalRows = sections.reduce((n, s) => n + (Array.isArray(s?.rows) ? s.rows.length : 0), 0);
+  checker.count(`${path}[*].rows`, totalRows, WA_LIMITS.rowsPerList);
+  return sections.map((section, s) => {
+    if (!section || typeof section !== 'object') return section;
+    const next = limitTextFields(section, { title: 'sectionTitle' }, checker, `${path}[${s}].`);
+    if (Array.isArray(section.rows)) {
+      next.rows = section.rows.map((row, r) => {
+        if (!row || typeof row !== 'object') return row;
+        const rowPath = `${path}[${s}].rows[${r}].`;
+        checker.id(rowPath + rowIdKey, row[rowIdKey], WA_LIMITS.rowId);
+        return limitTextFields(row, { title: 'rowTitle', description: 'rowDescription' }, checker, rowPath);
+      });
+    }
+    return next;
+  });
+}
+
+/**
+ * Apply limits to parsed native flow button params (display_text, id, single_select sections).
+ *
+ * @param {string} name Button name.
+ * @param {object} params Parsed buttonParamsJson.
+ * @param {ReturnType<typeof createLimitChecker>} checker
+ * @param {string} path Path prefix for messages, e.g. 'button[0]'.
+ * @returns {object} Possibly modified copy of params.
+ */
+function limitButtonParams(name, params, checker, path) {
+  if (!params || typeof params !== 'object') return params;
+  let next = limitTextFields(params, { display_text: 'buttonLabel' }, checker, `${path}.`);
+  if (name === 'quick_reply') {
+    checker.id(`${path}.id`, next.id, WA_LIMITS.buttonId);
+  }
+  if (name === 'galaxy_message') {
+    next = limitTextFields(next, { flow_cta: 'flowCta' }, checker, `${path}.`);
+  }
+  if (name === 'single_select') {
+    next = limitTextFields(next, { title: 'listButtonText' }, checker, `${path}.`);
+    next.sections = limitSections(next.sections, checker, `${path}.sections`);
+  }
+  return next;
+}
+
+module.exports = {
+  WA_LIMITS,
+  LIMIT_POLICIES,
+  resolveLimitPolicy,
+  createLimitChecker,
+  limitTextFields,
+  limitSections,
+  limitButtonParams
+};
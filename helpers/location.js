@@ -0,0 +1,265 @@
+/**
+ * Location requests and address forms, plus decoders for what users send back.
+ *
+ * sendLocationRequest sends a send_location button; the user answers with a
+ * regular locationMessage that quotes the request. sendAddressRequest sends an
+ * address_message form (India and Singapore); the filled form comes back as an
+ * nfm_reply (interactiveResponseMessage named address_message) whose JSON holds
+ * the values or the id of a saved address. parseLocationReply / parseAddressResponse
+ * turn both into plain objects whose quotedMessageId is the key.id of the request.
+ *
+ * Usage:
+ *  const request = await sendLocationRequest(sock, jid, { text: 'Where should we deliver?' });
+ *  const location = parseLocationReply(msg); // { latitude, longitude, name, quotedMessageId: request.key.id, ... }
+ *  await sendAddressRequest(sock, jid, { text: 'Delivery address', country: 'IN', prefill: { name: 'Asha', in_pin_code: '400001' } });
+ *  router.flow('address_message', ctx => saveAddress(ctx.address.address));
+ */
+
+const { InteractiveValidationError, sendInteractiveMessage } = require('./buttons');
+const { parseInteractiveResponse, unwrapMessageContent } = require('./responses');
+const { resolveLogger } = require('./config');
+
+// Form fields per supported country (address_message `values` keys).
+const ADDRESS_FIELDS = Object.freeze({
+  IN: Object.freeze(['name', 'phone_number', 'in_pin_code', 'house_number', 'floor_number', 'tower_number',
+    'building_name', 'address', 'landmark_area', 'city', 'state']),
+  SG: Object.freeze(['name', 'phone_number', 'sg_post_code', 'floor_number', 'unit_number', 'building_name', 'address'])
+});
+
+const FIELD_RULES = {
+  phone_number: [/^\+?\d{6,15}$/, 'a phone number (digits, optional +)'],
+  in_pin_code: [/^\d{6}$/, '6 digits'],
+  sg_post_code: [/^\d{6}$/, '6 digits']
+};
+
+// values key -> structured address key (postal codes share one key).
+const ADDRESS_KEYS = {
+  name: 'name',
+  phone_number: 'phoneNumber',
+  in_pin_code: 'postalCode',
+  sg_post_code: 'postalCode',
+  house_number: 'houseNumber',
+  floor_number: 'floorNumber',
+  tower_number: 'towerNumber',
+  unit_number: 'unitNumber',
+  building_name: 'buildingName',
+  address: 'address',
+  landmark_area: 'landmarkArea',
+  city: 'city',
+  state: 'state'
+};
+
+const ADDRESS_RESPONSE_NAME = 'address_message';
+
+const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+function checkAddressValues(values, fields, path, errors) {
+  if (!isPlainObject(values)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  for (const [key, value] of Object.entries(values)) {
+    if (!fields.includes(key)) {
+      errors.push(`${path}.${key} is not an address field for this country (${fields.join(', ')})`);
+    } else if (typeof value !== 'string') {
+      errors.push(`${path}.${key} must be a string`);
+    } else if (FIELD_RULES[key] && value && !FIELD_RULES[key][0].test(value)) {
+      errors.push(`${path}.${key} must be ${FIELD_RULES[key][1]}`);
+    }
+  }
+}
+
+/**
+ * Strict validator for sendAddressRequest payloads.
+ * @param {object} data
+ * @returns {{valid: boolean, errors: string[], warnings: string[]}}
+ */
+function validateAddressRequest(data) {
+  const errors = [];
+  const warnings = [];
+  if (!data || typeof data !== 'object') {
+    return { valid: false, errors: ['payload must be an object'], warnings };
+  }
+  const { text, country, prefill, savedAddresses, validationErrors } = data;
+  if (!isNonEmptyString(text)) errors.push('text is mandatory and must be a non-empty string');
+  const fields = ADDRESS_FIELDS[country];
+  if (!fields) {
+    errors.push(`country must be one of ${Object.keys(ADDRESS_FIELDS).join(', ')}`);
+    return { valid: false, errors, warnings };
+  }
+  if (prefill != null) checkAddressValues(prefill, fields, 'prefill', errors);
+  if (savedAddresses != null) {
+    if (!Array.isArray(savedAddresses)) {
+      errors.push('savedAddresses must be an array of { id, value }');
+    } else {
+      const ids = new Set();
+      savedAddresses.forEach((saved, i) => {
+        const path = `savedAddresses[${i}]`;
+        if (!saved || !isNonEmptyString(saved.id)) errors.push(`${path}.id must be a non-empty string`);
+        else if (ids.has(saved.id)) errors.push(`${path}.id '${saved.id}' is used more than once`);
+        else ids.add(saved.id);
+        checkAddressValues(saved?.value, fields, `${path}.value`, errors);
+      });
+    }
+  }
+  if (validationErrors != null) {
+    if (!isPlainObject(validationErrors)) {
+      errors.push('validationErrors must be an object of { field: message }');
+    } else {
+      for (const [key, message] of Object.entries(validationErrors)) {
+        if (!fields.includes(key)) errors.push(`validationErrors.${key} is not an address field for this country`);
+        else if (!isNonEmptyString(message)) errors.push(`validationErrors.${key} must be a non-empty string`);
+      }
+      if (prefill == null) warnings.push('validationErrors are shown next to prefilled values; pass prefill as well');
+    }
+  }
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Send a message with a "Send location" button (send_location).
+ *
+ * @param {object} sock Active socket instance.
+ * @param {string} jid Destination chat JID.
+ * @param {object} data
+ * @param {string} data.text Body text.
+ * @param {string} [data.footer] Footer text.
+ * @param {string} [data.buttonText] Button label (WhatsApp shows its own when omitted).
+ * @param {object} [options] Options forwarded to sendInteractiveMessage.
+ * @returns {Promise<object>} Resulting WAMessage; its key.id is the reply's quotedMessageId.
+ */
+async function sendLocationRequest(sock, jid, data = {}, options = {}) {
+  if (!sock) {
+    throw new InteractiveValidationError('Socket is required', { context: 'sendLocationRequest' });
+  }
+  const { text, footer, buttonText } = data;
+  const errors = [];
+  if (!isNonEmptyString(text)) errors.push('text is mandatory and must be a non-empty string');
+  if (buttonText != null && !isNonEmptyString(buttonText)) errors.push('buttonText must be a non-empty string');
+  if (errors.length) {
+    throw new InteractiveValidationError('Location request payload invalid', {
+      context: 'sendLocationRequest',
+      errors,
+      example: { text: 'Where should we deliver?' }
+    });
+  }
+  const params = buttonText ? { display_text: buttonText } : {};
+  const content = { text, interactiveButtons: [{ name: 'send_location', buttonParamsJson: JSON.stringify(params) }] };
+  if (footer) content.footer = footer;
+  return sendInteractiveMessage(sock, jid, content, options);
+}
+
+/**
+ * Send an address form (address_message).
+ *
+ * @param {object} sock Active socket instance.
+ * @param {string} jid Destination chat JID.
+ * @param {object} data
+ * @param {string} data.text Body text.
+ * @param {'IN'|'SG'} data.country Decides the form fields (see ADDRESS_FIELDS).
+ * @param {object} [data.prefill] Initial values keyed by form field (in_pin_code, city, ...).
+ * @param {Array<{id: string, value: object}>} [data.savedAddresses] Addresses the user can pick instead.
+ * @param {object} [data.validationErrors] { field: message } shown next to prefilled values.
+ * @param {string} [data.buttonText='Provide address'] Button label.
+ * @param {string} [data.footer] Footer text.
+ * @param {object} [options] Options forwarded to sendInteractiveMessage.
+ * @returns {Promise<object>} Resulting WAMessage; its key.id is the reply's quotedMessageId.
+ * @throws {InteractiveValidationError} On invalid payloads (context sendAddressRequest.validateAddressRequest).
+ */
+async function sendAddressRequest(sock, jid, data = {}, options = {}) {
+  if (!sock) {
+    throw new InteractiveValidationError('Socket is required', { context: 'sendAddressRequest' });
+  }
+  const strict = validateAddressRequest(data);
+  if (!strict.valid) {
+    throw new InteractiveValidationError('Address request payload invalid', {
+      context: 'sendAddressRequest.validateAddressRequest',
+      errors: strict.errors,
+      warnings: strict.warnings,
+      example: { text: 'Delivery address', country: 'IN', prefill: { name: 'Asha', in_pin_code: '400001' } }
+    });
+  }
+  if (strict.warnings.length) resolveLogger(sock, options).warn({ warnings: strict.warnings }, 'sendAddressRequest warnings');
+  const { text, footer, country, prefill, savedAddresses, validationErrors, buttonText = 'Provide address' } = data;
+  const params = { display_text: buttonText, country };
+  if (prefill) params.values = prefill;
+  if (savedAddresses?.length) params.saved_addresses = savedAddresses;
+  if (validationErrors) params.validation_errors = validationErrors;
+  const content = { text, interactiveButtons: [{ name: 'address_message', buttonParamsJson: JSON.stringify(params) }] };
+  if (footer) content.footer = footer;
+  return sendInteractiveMessage(sock, jid, content, options);
+}
+
+/**
+ * Decode a shared location (locationMessage / liveLocationMessage).
+ *
+ * @param {object} msg WAMessage from messages.upsert (or bare message content).
+ * @returns {{latitude: number, longitude: number, name: string|null, address: string|null, url: string|null,
+ *   live: boolean, from: string|null, quotedMessageId: string|null, messageId: string|null}|null}
+ *   null when the message is not a location; quotedMessageId is the location request's id.
+ */
+function parseLocationReply(msg) {
+  if (!msg || typeof msg !== 'object') return null;
+  const isFullMessage = !!(msg.key || msg.message);
+  const content = unwrapMessageContent(isFullMessage ? msg.message : msg);
+  const location = content?.locationMessage || content?.liveLocationMessage;
+  if (!location || typeof location.degreesLatitude !== 'number' || typeof location.degreesLongitude !== 'number') return null;
+  return {
+    latitude: location.degreesLatitude,
+    longitude: location.degreesLongitude,
+    name: location.name || null,
+    address: location.address || null,
+    url: location.url || null,
+    live: !!content.liveLocationMessage,
+    from: isFullMessage ? (msg.key?.participant || msg.participant || msg.key?.remoteJid || null) : null,
+    quotedMessageId: location.contextInfo?.stanzaId || null,
+    messageId: msg.key?.id ?? null
+  };
+}
+
+/**
+ * Decode a submitted address form (address_message nfm_reply).
+ *
+ * @param {object} msg WAMessage from messages.upsert (or bare message content).
+ * @returns {{address: object, values: object, savedAddressId: string|null, displayText: string|null,
+ *   from: string|null, quotedMessageId: string|null, messageId: string|null}|null}
+ *   null when the message is not an address response. `address` uses camelCase keys
+ *   (postalCode for in_pin_code / sg_post_code); `values` keeps the raw form fields.
+ */
+function parseAddressResponse(msg) {
+  const reply = parseInteractiveResponse(msg);
+  if (!reply || reply.kind !== 'native_flow' || reply.name !== ADDRESS_RESPONSE_NAME) return null;
+  let params = reply.params;
+  if (typeof params.response_json === 'string') {
+    try {
+      params = { ...params, ...JSON.parse(params.response_json) };
+    } catch {
+      // Fall back to the top-level params.
+    }
+  }
+  const values = isPlainObject(params.values) ? params.values : {};
+  const address = {};
+  for (const [key, value] of Object.entries(values)) {
+    address[ADDRESS_KEYS[key] || key] = value;
+  }
+  return {
+    address,
+    values,
+    savedAddressId: typeof params.saved_address_id === 'string' ? params.saved_address_id : null,
+    displayText: reply.displayText,
+    from: reply.from,
+    quotedMessageId: reply.quotedMessageId,
+    messageId: msg?.key?.id ?? null
+  };
+}
+
+module.exports = {
+  sendLocationRequest,
+  sendAddressRequest,
+  validateAddressRequest,
+  parseLocationReply,
+  parseAddressResponse,
+  ADDRESS_FIELDS
+};
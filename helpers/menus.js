@@ -0,0 +1,246 @@
+/**
+ * Declarative menu trees on top of sendButtons / sendListMessage.
+ *
+ * A menu is { id, text, buttons | sections, children }. When a reply carries the
+ * id of a menu node (a button id or list row id equal to the node id) the runtime
+ * sends that node, appends "Back" / "Home" navigation and records the chat's
+ * position in a state store (see helpers/stores.js).
+ *
+ * Usage:
+ *  const shop = defineMenu({
+ *    id: 'main', text: 'Welcome!',
+ *    children: [
+ *      { id: 'shirts', label: 'Shirts', text: 'Pick a shirt', sections: [...] },
+ *      { id: 'support', label: 'Support', text: 'How can we help?', buttons: [...] }
+ *    ]
+ *  });
+ *  const menus = createMenuRuntime(sock, shop, { store: createJsonFileStateStore('./menu-state.json') });
+ *  const router = createInteractiveRouter(sock).use(menus.middleware());
+ *  await menus.send(jid); // root menu
+ */
+
+const { InteractiveValidationError, sendButtons, sendListMessage } = require('./buttons');
+const { createMemoryStateStore } = require('./stores');
+
+// Reply ids of the generated navigation buttons / rows.
+const MENU_BACK_ID = 'zq_menu:back';
+const MENU_HOME_ID = 'zq_menu:home';
+
+/**
+ * Validate a menu definition (recursively) and return a frozen node.
+ * Without buttons / sections a node gets one button per child (label || title || id).
+ *
+ * @param {object} definition
+ * @param {string} definition.id Unique id; replies carrying it open this menu.
+ * @param {string} definition.text Body text.
+ * @param {string} [definition.label] Button / row label used when the parent generates its buttons.
+ * @param {string} [definition.title] Header title.
+ * @param {string} [definition.footer] Footer text.
+ * @param {Array<object>} [definition.buttons] sendButtons buttons (ids of children navigate).
+ * @param {Array<object>} [definition.sections] sendListMessage sections (row ids of children navigate).
+ * @param {string} [definition.buttonText='Options'] List button label (sections only).
+ * @param {Array<object>} [definition.children] Child menus (plain objects or defineMenu results).
+ * @param {object} [definition.sendOptions] Options passed to the send helper for this node.
+ * @returns {object} Frozen menu node.
+ * @throws {InteractiveValidationError} On invalid definitions or duplicate ids.
+ */
+function defineMenu(definition) {
+  const errors = [];
+  const node = buildNode(definition, 'menu', errors);
+  if (node) {
+    const seen = new Set();
+    walk(node, child => {
+      if (seen.has(child.id)) errors.push(`duplicate menu id '${child.id}'`);
+      seen.add(child.id);
+    });
+  }
+  if (errors.length) {
+    throw new InteractiveValidationError('Menu definition invalid', { context: 'defineMenu', errors });
+  }
+  return node;
+}
+
+function buildNode(definition, path, errors) {
+  if (!definition || typeof definition !== 'object') {
+    errors.push(`${path} must be an object`);
+    return null;
+  }
+  const { id, text, label, title, footer, buttons, sections, buttonText, children = [], sendOptions } = definition;
+  if (typeof id !== 'string' || !id) errors.push(`${path}.id must be a non-empty string`);
+  if (typeof text !== 'string' || !text) errors.push(`${path}.text must be a non-empty string`);
+  if (buttons != null && sections != null) errors.push(`${path} must use either buttons or sections, not both`);
+  if (buttons != null && (!Array.isArray(buttons) || !buttons.length)) errors.push(`${path}.buttons must be a non-empty array`);
+  if (sections != null && (!Array.isArray(sections) || !sections.length)) errors.push(`${path}.sections must be a non-empty array`);
+  if (!Array.isArray(children)) {
+    errors.push(`${path}.children must be an array`);
+    return null;
+  }
+  if (buttons == null && sections == null && !children.length) {
+    errors.push(`${path} needs buttons, sections or children`);
+  }
+  const childPath = typeof id === 'string' && id ? id : path;
+  const builtChildren = children.map((child, i) => buildNode(child, `${childPath}.children[${i}]`, errors));
+  return Object.freeze({
+    id,
+    text,
+    label,
+    title,
+    footer,
+    buttons: buttons ?? null,
+    sections: sections ?? null,
+    buttonText,
+    children: Object.freeze(builtChildren.filter(Boolean)),
+    sendOptions: sendOptions || {}
+  });
+}
+
+function walk(node, visit, parent = null) {
+  visit(node, parent);
+  node.children.forEach(child => walk(child, visit, node));
+}
+
+/**
+ * Create the navigation runtime for a menu tree.
+ *
+ * State per chat: { menuId, history: string[], updatedAt }. history is the path of
+ * ancestor ids from the root; "Back" opens the parent of the chat's current menu,
+ * so taps on older messages still navigate consistently.
+ *
+ * @param {object} sock Active socket instance.
+ * @param {object} root Root menu (defineMenu result or plain definition).
+ * @param {object} [options]
+ * @param {object} [options.store] State store { get, set, delete } (default: createMemoryStateStore()).
+ * @param {string} [options.backText='Back'] Label of the Back button / row.
+ * @param {string} [options.homeText='Home'] Label of the Home button / row (shown two levels deep and below).
+ * @param {string} [options.navTitle='Navigation'] Section title of the navigation rows in list menus.
+ * @param {object} [options.sendOptions] Options passed to every send (logger, fallback, overflow, ...).
+ * @returns {{send: Function, handle: Function, middleware: Function, getState: Function, reset: Function, root: object}}
+ */
+function createMenuRuntime(sock, root, options = {}) {
+  if (!sock) {
+    throw new InteractiveValidationError('Socket is required', { context: 'createMenuRuntime' });
+  }
+  const tree = defineMenu(root);
+  const {
+    store = createMemoryStateStore(),
+    backText = 'Back',
+    homeText = 'Home',
+    navTitle = 'Navigation',
+    sendOptions = {}
+  } = options;
+  const nodes = new Map();
+  walk(tree, (node, parent) => nodes.set(node.id, { node, parentId: parent ? parent.id : null }));
+
+  const ancestorsOf = id => {
+    const path = [];
+    for (let parentId = nodes.get(id)?.parentId; parentId; parentId = nodes.get(parentId).parentId) {
+      path.unshift(parentId);
+    }
+    return path;
+  };
+
+  const render = (jid, node, history) => {
+    const nav = [];
+    if (history.length) nav.push({ id: MENU_BACK_ID, text: backText });
+    if (history.length > 1) nav.push({ id: MENU_HOME_ID, text: homeText });
+    const opts = { ...sendOptions, ...node.sendOptions };
+    if (node.sections) {
+      const sections = nav.length
+        ? [...node.sections, { title: navTitle, rows: nav.map(n => ({ rowId: n.id, title: n.text })) }]
+        : node.sections;
+      return sendListMessage(sock, jid, {
+        title: node.title,
+        text: node.text,
+        footer: node.footer,
+        buttonText: node.buttonText || 'Options',
+        sections
+      }, opts);
+    }
+    const buttons = node.buttons || node.children.map(child => ({ id: child.id, text: child.label || child.title || child.id }));
+    const payload = { text: node.text, buttons: [...buttons, ...nav] };
+    if (node.title) payload.title = node.title;
+    if (node.footer) payload.footer = node.footer;
+    return sendButtons(sock, jid, payload, opts);
+  };
+
+  // Send first, then record the position, so a failed send leaves the state untouched.
+  const show = async (jid, node, history) => {
+    const sent = await render(jid, node, history);
+    await store.set(jid, { menuId: node.id, history, updatedAt: Date.now() });
+    return sent;
+  };
+
+  const runtime = {
+    root: tree,
+
+    /**
+     * Send a menu (default: root) and make it the chat's current position.
+     * @param {string} jid
+     * @param {string} [menuId]
+     * @returns {Promise<object>} Resulting WAMessage.
+     */
+    async send(jid, menuId = tree.id) {
+      const entry = nodes.get(menuId);
+      if (!entry) {
+        throw new InteractiveValidationError('Unknown menu id', { context: 'createMenuRuntime.send', errors: [`no menu with id '${menuId}'`] });
+      }
+      return show(jid, entry.node, ancestorsOf(menuId));
+    },
+
+    /**
+     * Navigate for a reply id. Resolves to true when the id belonged to the menu tree
+     * (a node, Back or Home) and a menu was sent; false otherwise.
+     * @param {string} jid Chat the reply came from.
+     * @param {string} id Reply id (button id / row id).
+     * @returns {Promise<boolean>}
+     */
+    async handle(jid, id) {
+      if (!jid || typeof id !== 'string') return false;
+      if (id === MENU_HOME_ID) {
+        await show(jid, tree, []);
+        return true;
+      }
+      if (id === MENU_BACK_ID) {
+        const state = await store.get(jid);
+        // Unknown positions (no state, menu removed since) go back to the root.
+        const parentId = nodes.get(state?.menuId)?.parentId;
+        const target = parentId ? nodes.get(parentId).node : tree;
+        await show(jid, target, ancestorsOf(target.id));
+        return true;
+      }
+      const entry = nodes.get(id);
+      if (!entry) return false;
+      await show(jid, entry.node, ancestorsOf(id));
+      return true;
+    },
+
+    /**
+     * Router middleware: menu ids are handled here, everything else continues to the routes.
+     * Usage: createInteractiveRouter(sock).use(menus.middleware())
+     */
+    middleware() {
+      return async (ctx, next) => {
+        if (await runtime.handle(ctx.jid, ctx.id)) return;
+        await next();
+      };
+    },
+
+    /** Current state of a chat ({ menuId, history, updatedAt } or null). */
+    getState(jid) {
+      return store.get(jid);
+    },
+
+    /** Forget a chat's position. */
+    reset(jid) {
+      return store.delete(jid);
+    }
+  };
+  return runtime;
+}
+
+module.exports = {
+  defineMenu,
+  createMenuRuntime,
+  MENU_BACK_ID,
+  MENU_HOME_ID
+};
@@ -0,0 +1,188 @@
+/**
+ * Binary node profiles used by getButtonArgs / buildInteractiveMessage.
+ *
+ * The biz / interactive / native_flow tag versions, the "mixed" flow name, the
+ * list node and the rule for the extra `bot` node are empirically derived from
+ * official client traffic. When WhatsApp changes them, register a profile
+ * instead of forking the package:
+ *
+ *  registerNodeProfile('wa-2025-06', { nativeFlowVersion: '10', botNode: 'always' });
+ *  configure({ nodeProfile: 'wa-2025-06' });                  // every send
+ *  await sendButtons(sock, jid, data, { nodeProfile: 'wa-2025-06' }); // one send
+ *
+ * Profiles extend 'default' (or `extends`) and only list what differs.
+ * Per button type node generation can be replaced with `buttonNodes`:
+ *
+ *  registerNodeProfile('custom-url', {
+ *    buttonNodes: { cta_url: (message, { profile }) => ({ tag: 'biz', attrs: {} }) }
+ *  });
+ */
+
+const { getConfig } = require('./config');
+
+const BOT_NODE_RULES = ['private', 'always', 'never'];
+
+const profiles = new Map();
+
+function validateProfile(name, profile, errors) {
+  const versionKeys = ['interactiveVersion', 'nativeFlowVersion', 'namedFlowVersion', 'listVersion'];
+  for (const key of versionKeys) {
+    if (profile[key] != null && typeof profile[key] !== 'string') errors.push(`${name}: ${key} must be a string`);
+  }
+  for (const key of ['mixedFlowName', 'listType']) {
+    if (profile[key] != null && (typeof profile[key] !== 'string' || !profile[key])) errors.push(`${name}: ${key} must be a non-empty string`);
+  }
+  const { botNode, botAttrs, buttonNodes } = profile;
+  if (botNode != null && !BOT_NODE_RULES.includes(botNode) && typeof botNode !== 'function') {
+    errors.push(`${name}: botNode must be one of ${BOT_NODE_RULES.join(', ')} or a function`);
+  }
+  if (botAttrs != null && (typeof botAttrs !== 'object' || Array.isArray(botAttrs))) {
+    errors.push(`${name}: botAttrs must be an object`);
+  }
+  if (buttonNodes != null) {
+    if (typeof buttonNodes !== 'object' || Array.isArray(buttonNodes)) {
+      errors.push(`${name}: buttonNodes must be an object of { [buttonName]: (message, ctx) => node }`);
+    } else {
+      for (const [button, hook] of Object.entries(buttonNodes)) {
+        if (typeof hook !== 'function') errors.push(`${name}: buttonNodes.${button} must be a function`);
+      }
+    }
+  }
+}
+
+function mergeProfile(name, base, overrides) {
+  return Object.freeze({
+    ...base,
+    ...overrides,
+    name,
+    botAttrs: Object.freeze({ ...(overrides.botAttrs || base.botAttrs) }),
+    buttonNodes: Object.freeze({ ...base.buttonNodes, ...(overrides.buttonNodes || {}) })
+  });
+}
+
+/**
+ * Register (or replace) a node profile.
+ *
+ * @param {string} name Profile name used with options.nodeProfile / configure({ nodeProfile }).
+ * @param {object} [profile] Only the values that differ from the base profile.
+ * @param {string} [profile.extends='default'] Base profile.
+ * @param {string} [profile.interactiveVersion] `v` of the interactive tag ('1').
+ * @param {string} [profile.nativeFlowVersion] `v` of the native_flow tag for mixed buttons ('9').
+ * @param {string} [profile.mixedFlowName] `name` of the native_flow tag for mixed buttons ('mixed').
+ * @param {string} [profile.namedFlowVersion] `v` of the native_flow tag for named flows ('2').
+ * @param {string} [profile.listVersion] `v` of the list tag for listMessage ('2').
+ * @param {string} [profile.listType] `type` of the list tag ('product_list').
+ * @param {'private'|'always'|'never'|Function} [profile.botNode] When to add the bot node
+ *   ('private'); functions get ({ jid, isPrivate, buttonType, message }) and return a boolean.
+ * @param {object} [profile.botAttrs] Attributes of the bot node ({ biz_bot: '1' }).
+ * @param {Object<string, Function>} [profile.buttonNodes] Per button name node builders
+ *   (message, { name, profile }) => node; they win over the registry's bizNode.
+ * @returns {object} The stored (frozen) profile.
+ */
+function registerNodeProfile(name, profile = {}) {
+  if (typeof name !== 'string' || !name) {
+    throw new TypeError('node profile name must be a non-empty string');
+  }
+  if (!profile || typeof profile !== 'object') {
+    throw new TypeError(`${name}: profile must be an object`);
+  }
+  const baseName = profile.extends || (name === 'default' ? null : 'default');
+  const base = baseName ? profiles.get(baseName) : {};
+  const errors = [];
+  if (!base) errors.push(`${name}: unknown base profile '${baseName}'`);
+  validateProfile(name, profile, errors);
+  if (errors.length) {
+    throw new TypeError(errors.join('; '));
+  }
+  const { extends: _ignored, ...overrides } = profile;
+  const entry = mergeProfile(name, base, overrides);
+  profiles.set(name, entry);
+  return entry;
+}
+
+/**
+ * Remove a registered profile ('default' cannot be removed).
+ * @param {string} name
+ * @returns {boolean} True if an entry was removed.
+ */
+function unregisterNodeProfile(name) {
+  if (name === 'default') return false;
+  return profiles.delete(name);
+}
+
+/**
+ * @param {string} name
+ * @returns {object|null} Registered profile or null.
+ */
+function getNodeProfile(name) {
+  return profiles.get(name) || null;
+}
+
+/** @returns {string[]} Registered profile names. */
+function listNodeProfiles() {
+  return Array.from(profiles.keys());
+}
+
+/**
+ * Profile for one call: options.nodeProfile, then configure({ nodeProfile }), then 'default'.
+ * Inline objects are merged onto 'default' (or their `extends`) without being registered.
+ *
+ * @param {object} [options]
+ * @returns {object}
+ * @throws {TypeError} For unknown profile names or invalid inline profiles.
+ */
+function resolveNodeProfile(options = {}) {
+  const selected = options.nodeProfile ?? getConfig().nodeProfile ?? 'default';
+  if (typeof selected === 'string') {
+    const profile = profiles.get(selected);
+    if (!profile) {
+      throw new TypeError(`unknown node profile '${selected}' (registered: ${listNodeProfiles().join(', ')})`);
+    }
+    return profile;
+  }
+  const base = profiles.get(selected.extends || 'default');
+  const errors = [];
+  if (!base) errors.push(`inline: unknown base profile '${selected.extends}'`);
+  validateProfile('inline', selected, errors);
+  if (errors.length) throw new TypeError(errors.join('; '));
+  const { extends: _ignored, ...overrides } = selected;
+  return mergeProfile('inline', base, overrides);
+}
+
+/**
+ * Whether the bot node is added for a send.
+ * @param {object} profile Resolved profile.
+ * @param {{jid: string, isPrivate: boolean, buttonType: string, message: object}} ctx
+ * @returns {boolean}
+ */
+function shouldAddBotNode(profile, ctx) {
+  const rule = profile.botNode;
+  if (typeof rule === 'function') return !!rule(ctx);
+  if (rule === 'always') return true;
+  if (rule === 'never') return false;
+  return ctx.isPrivate;
+}
+
+// -------------------- BUILT-IN PROFILES --------------------
+// Values observed in official client traffic (mirrors itsukichan's implementation).
+registerNodeProfile('default', {
+  interactiveVersion: '1',
+  nativeFlowVersion: '9',
+  mixedFlowName: 'mixed',
+  namedFlowVersion: '2',
+  listVersion: '2',
+  listType: 'product_list',
+  botNode: 'private',
+  botAttrs: { biz_bot: '1' },
+  buttonNodes: {}
+});
+
+module.exports = {
+  registerNodeProfile,
+  unregisterNodeProfile,
+  getNodeProfile,
+  listNodeProfiles,
+  resolveNodeProfile,
+  shouldAddBotNode,
+  BOT_NODE_RULES
+};
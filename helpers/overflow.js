@@ -0,0 +1,174 @@
+/**
+ * Layouts for messages with more options than a phone shows as buttons.
+ *
+ * sendButtons / sendTemplateButtons accept options.overflow:
+ *  - 'list'     quick replies become rows of a picker (single_select for native
+ *               flow, listMessage for buttonsMessage); other buttons stay buttons.
+ *               More rows than a list holds (WA_LIMITS.rowsPerList) are paged
+ *               like 'paginate', with a "More…" row
+ *  - 'paginate' options are split into pages of (maxButtons - 1) plus a "More…"
+ *               button whose id names the next page (see parseOverflowPage)
+ *
+ * Ids are taken from the complete, already normalized button list, so a reply id
+ * is the same whichever layout ends up on the wire.
+ *
+ * Invalid options and pages that do not exist throw OverflowError; the send
+ * helpers report it as an InteractiveValidationError.
+ */
+
+const { WA_LIMITS } = require('./limits');
+
+const OVERFLOW_MODES = ['list', 'paginate'];
+
+// Quick replies shown inline before WhatsApp collapses them behind a menu.
+const DEFAULT_MAX_BUTTONS = 3;
+
+// "More…" button ids: `${MORE_ID_PREFIX}${page}` (1-based page to send next).
+const MORE_ID_PREFIX = 'zq_more:';
+
+class OverflowError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OverflowError';
+  }
+}
+
+/**
+ * Read overflow settings from send options.
+ *
+ * @param {object} [options]
+ * @param {'list'|'paginate'} [options.overflow] Layout used when there are more than maxButtons options.
+ * @param {number} [options.maxButtons=3] Buttons shown before the overflow layout kicks in.
+ * @param {number} [options.page=1] Page to send with 'paginate'.
+ * @param {string} [options.moreText='More…'] Label of the pagination button.
+ * @param {string} [options.listButtonText='Options'] Label of the button opening the generated list.
+ * @param {string} [options.sectionTitle] Title of the generated list section(s).
+ * @returns {{mode: string, maxButtons: number, page: number, moreText: string, listButtonText: string, sectionTitle?: string}|null}
+ *   null when options.overflow is not set.
+ */
+function resolveOverflowOptions(options = {}) {
+  if (options.overflow == null) return null;
+  if (!OVERFLOW_MODES.includes(options.overflow)) {
+    throw new OverflowError(`overflow must be one of ${OVERFLOW_MODES.join(', ')}`);
+  }
+  const maxButtons = options.maxButtons ?? DEFAULT_MAX_BUTTONS;
+  if (!Number.isInteger(maxButtons) || maxButtons < 2) {
+    throw new OverflowError('maxButtons must be an integer >= 2');
+  }
+  const page = options.page ?? 1;
+  if (!Number.isInteger(page) || page < 1) {
+    throw new OverflowError('page must be a positive integer');
+  }
+  return {
+    mode: options.overflow,
+    maxButtons,
+    page,
+    moreText: options.moreText || 'More…',
+    listButtonText: options.listButtonText || 'Options',
+    sectionTitle: options.sectionTitle
+  };
+}
+
+/**
+ * Split items into the requested page. Every page but the last holds
+ * maxButtons - 1 items followed by the "More…" item built by makeMore.
+ *
+ * @template T
+ * @param {T[]} items Complete, normalized item list.
+ * @param {{maxButtons: number, page: number}} overflow
+ * @param {(nextPage: number) => T} makeMore Builds the navigation item.
+ * @returns {{items: T[], page: number, pages: number}}
+ * @throws {OverflowError} If the page does not exist.
+ */
+function paginateItems(items, overflow, makeMore) {
+  const size = overflow.maxButtons - 1;
+  const pages = Math.max(1, Math.ceil((items.length - 1) / size));
+  const { page } = overflow;
+  if (page > pages) {
+    throw new OverflowError(`page ${page} out of range (1-${pages})`);
+  }
+  const start = (page - 1) * size;
+  // The last page has room for one more item because it needs no "More…" button.
+  const slice = page === pages ? items.slice(start) : items.slice(start, start + size);
+  return { items: page === pages ? slice : [...slice, makeMore(page + 1)], page, pages };
+}
+
+/**
+ * Group the requested page of rows into sections for the generated list.
+ * Lists hold WA_LIMITS.rowsPerList rows, so longer row sets are paged with a
+ * "More…" row (id `${MORE_ID_PREFIX}${nextPage}`) exactly like 'paginate'.
+ *
+ * @param {Array<object>} rows
+ * @param {{page: number, moreText: string, sectionTitle?: string}} overflow
+ * @param {string} idKey Row id key ('id' for single_select, 'rowId' for listMessage).
+ * @returns {Array<{title?: string, rows: Array<object>}>}
+ */
+function toSections(rows, overflow, idKey) {
+  const paged = paginateItems(rows, { maxButtons: WA_LIMITS.rowsPerList, page: overflow.page }, nextPage => ({
+    [idKey]: MORE_ID_PREFIX + nextPage,
+    title: overflow.moreText
+  })).items;
+  const title = overflow.sectionTitle;
+  return [title ? { title, rows: paged } : { rows: paged }];
+}
+
+/**
+ * Native flow 'list' layout: quick replies move into a single_select button,
+ * the remaining buttons (cta_url, cta_copy, ...) follow it unchanged.
+ *
+ * @param {Array<{name: string, buttonParamsJson: string}>} interactiveButtons Output of buildInteractiveButtons.
+ * @param {{listButtonText: string, page: number, moreText: string, sectionTitle?: string}} overflow
+ * @returns {Array<{name: string, buttonParamsJson: string}>}
+ */
+function layoutButtonsAsSingleSelect(interactiveButtons, overflow) {
+  const rows = [];
+  const rest = [];
+  for (const btn of interactiveButtons) {
+    let params = null;
+    if (btn?.name === 'quick_reply') {
+      try { params = JSON.parse(btn.buttonParamsJson); } catch { params = null; }
+    }
+    if (params) rows.push({ id: params.id, title: params.display_text });
+    else rest.push(btn);
+  }
+  if (!rows.length) return interactiveButtons;
+  const picker = {
+    name: 'single_select',
+    buttonParamsJson: JSON.stringify({ title: overflow.listButtonText, sections: toSections(rows, overflow, 'id') })
+  };
+  return [picker, ...rest];
+}
+
+/**
+ * buttonsMessage 'list' layout: every button becomes a listMessage row.
+ *
+ * @param {Array<{buttonId: string, buttonText: {displayText: string}}>} buttons Output of normalizeButtonsForButtonsMessage.
+ * @param {{page: number, moreText: string, sectionTitle?: string}} overflow
+ * @returns {Array<{title?: string, rows: Array<{rowId: string, title: string}>}>}
+ */
+function buttonsToListSections(buttons, overflow) {
+  const rows = buttons.map(b => ({ rowId: b.buttonId, title: b.buttonText.displayText }));
+  return toSections(rows, overflow, 'rowId');
+}
+
+/**
+ * Page number requested by a "More…" reply id.
+ * @param {string} id Reply id (e.g. parseInteractiveResponse(msg).id).
+ * @returns {number|null} Page to send, or null when the id is not a pagination id.
+ */
+function parseOverflowPage(id) {
+  if (typeof id !== 'string' || !id.startsWith(MORE_ID_PREFIX)) return null;
+  const page = Number(id.slice(MORE_ID_PREFIX.length));
+  return Number.isInteger(page) && page > 0 ? page : null;
+}
+
+module.exports = {
+  OverflowError,
+  OVERFLOW_MODES,
+  MORE_ID_PREFIX,
+  resolveOverflowOptions,
+  paginateItems,
+  layoutButtonsAsSingleSelect,
+  buttonsToListSections,
+  parseOverflowPage
+};
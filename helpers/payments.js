@@ -0,0 +1,330 @@
+/**
+ * Order details (review_and_pay) and payment info (payment_info) messages.
+ *
+ * Both are native flow buttons that getButtonArgs sends with the
+ * biz[native_flow_name=order_details | payment_info] node. WhatsApp expects every
+ * amount as { value, offset } (value / offset = amount, offset 100 for two
+ * decimals) and rejects orders whose totals do not add up, so the helpers accept
+ * plain numbers or money objects, compute subtotal and total, and check any
+ * totals given against the items.
+ *
+ * Usage:
+ *  await sendOrderDetails(sock, jid, {
+ *    text: 'Your order is ready for payment',
+ *    referenceId: 'order-1042', currency: 'BRL',
+ *    items: [{ retailerId: 'sku-1', name: 'T-shirt', amount: 59.9, quantity: 2 }],
+ *    shipping: 10, discount: { amount: 5, description: 'WELCOME5' },
+ *    paymentSettings: [{ type: 'pix_static_code', merchantName: 'ZQ Store', key: 'pix@zq.dev', keyType: 'EMAIL' }]
+ *  });
+ *  await sendPaymentInfo(sock, jid, {
+ *    currency: 'BRL', total: 124.8, referenceId: 'order-1042',
+ *    paymentSettings: [{ type: 'pix_static_code', merchantName: 'ZQ Store', key: 'pix@zq.dev', keyType: 'EMAIL' }]
+ *  });
+ */
+
+const { InteractiveValidationError, sendInteractiveMessage } = require('./buttons');
+const { resolveLogger } = require('./config');
+
+const DEFAULT_OFFSET = 100;
+const ORDER_TYPES = ['physical-goods', 'digital-goods'];
+const PIX_KEY_TYPES = ['CPF', 'CNPJ', 'EMAIL', 'PHONE', 'EVP'];
+const REFERENCE_ID = /^[A-Za-z0-9_.-]{1,35}$/;
+
+const PIX_KEY_RULES = {
+  CPF: [/^\d{11}$/, '11 digits'],
+  CNPJ: [/^\d{14}$/, '14 digits'],
+  EMAIL: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'an e-mail address'],
+  PHONE: [/^\+55\d{10,11}$/, '+55 followed by 10 or 11 digits'],
+  EVP: [/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, 'a random key (UUID)']
+};
+
+const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Convert an amount to WhatsApp's money format.
+ * Numbers are major units (12.5 -> { value: 1250, offset: 100 }) and may not have more
+ * decimals than `offset` allows (12.345 throws with offset 100); money objects are
+ * converted to `offset`.
+ *
+ * @param {number|{value: number, offset: number}} amount
+ * @param {number} [offset=100]
+ * @returns {{value: number, offset: number}}
+ * @throws {TypeError} For amounts that are not finite or cannot be expressed in `offset` exactly.
+ */
+function toMoney(amount, offset = DEFAULT_OFFSET) {
+  if (typeof amount === 'number') {
+    if (!Number.isFinite(amount)) throw new TypeError('amount must be a finite number');
+    const scaled = amount * offset;
+    const value = Math.round(scaled);
+    // Tolerate binary floating point noise (59.9 * 100 = 5990.000000000001), not extra decimals.
+    if (Math.abs(scaled - value) > 1e-9 * Math.max(1, Math.abs(scaled))) {
+      throw new TypeError(`amount ${amount} has more decimals than offset ${offset} allows`);
+    }
+    return { value, offset };
+  }
+  if (!amount || typeof amount !== 'object' || !Number.isInteger(amount.value) || !Number.isInteger(amount.offset) || amount.offset <= 0) {
+    throw new TypeError('amount must be a number or { value: integer, offset: positive integer }');
+  }
+  const value = (amount.value * offset) / amount.offset;
+  if (!Number.isInteger(value)) {
+    throw new TypeError(`amount ${amount.value}/${amount.offset} cannot be expressed with offset ${offset}`);
+  }
+  return { value, offset };
+}
+
+// Optional charge fields accept a number, money or { amount | value/offset, description }.
+function readCharge(charge, offset, path, errors) {
+  if (charge == null) return null;
+  const description = typeof charge === 'object' && charge.description != null ? charge.description : undefined;
+  const amount = typeof charge === 'object' && charge.amount !== undefined ? charge.amount : charge;
+  try {
+    const money = toMoney(amount, offset);
+    if (money.value < 0) errors.push(`${path} must not be negative`);
+    if (description !== undefined && !isNonEmptyString(description)) errors.push(`${path}.description must be a non-empty string`);
+    return description !== undefined ? { ...money, description } : money;
+  } catch (err) {
+    errors.push(`${path}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Map friendly payment settings to WhatsApp's shape. Already nested settings
+ * ({ type, [type]: {...} }) pass through.
+ *  { type: 'pix_static_code', merchantName, key, keyType }  -> pix_static_code
+ *  { type: 'payment_link', uri }                             -> payment_link
+ *  { type: 'boleto', digitableLine }                         -> boleto
+ */
+function normalizePaymentSettings(settings, currency, errors) {
+  if (!Array.isArray(settings) || !settings.length) {
+    errors.push('paymentSettings must be a non-empty array');
+    return [];
+  }
+  return settings.map((setting, i) => {
+    const path = `paymentSettings[${i}]`;
+    if (!setting || typeof setting !== 'object' || !isNonEmptyString(setting.type)) {
+      errors.push(`${path}.type must be a non-empty string`);
+      return setting;
+    }
+    const { type } = setting;
+    if (setting[type] && typeof setting[type] === 'object') return setting;
+    if (type === 'pix_static_code') {
+      const { merchantName, key, keyType } = setting;
+      if (!isNonEmptyString(merchantName)) errors.push(`${path}.merchantName must be a non-empty string`);
+      if (!PIX_KEY_TYPES.includes(keyType)) {
+        errors.push(`${path}.keyType must be one of ${PIX_KEY_TYPES.join(', ')}`);
+      } else if (typeof key !== 'string' || !PIX_KEY_RULES[keyType][0].test(key)) {
+        errors.push(`${path}.key must be ${PIX_KEY_RULES[keyType][1]} for keyType ${keyType}`);
+      }
+      if (currency !== 'BRL') errors.push(`${path}: PIX requires currency BRL`);
+      return { type, pix_static_code: { merchant_name: merchantName, key, key_type: keyType } };
+    }
+    if (type === 'payment_link') {
+      if (typeof setting.uri !== 'string' || !/^https:\/\//.test(setting.uri)) errors.push(`${path}.uri must be an https URL`);
+      return { type, payment_link: { uri: setting.uri } };
+    }
+    if (type === 'boleto') {
+      const line = typeof setting.digitableLine === 'string' ? setting.digitableLine.replace(/\D/g, '') : '';
+      if (!/^\d{47,48}$/.test(line)) errors.push(`${path}.digitableLine must have 47 or 48 digits`);
+      if (currency !== 'BRL') errors.push(`${path}: boleto requires currency BRL`);
+      return { type, boleto: { digitable_line: line } };
+    }
+    errors.push(`${path}: unknown type '${type}' (pass { type, ${type}: {...} } for other settings)`);
+    return setting;
+  });
+}
+
+const sameMoney = (a, b) => a.value === b.value && a.offset === b.offset;
+const formatMoney = m => (m.value / m.offset).toFixed(String(m.offset).length - 1);
+
+/**
+ * Validate an order / payment payload and build the native flow params.
+ *
+ * @param {object} data sendOrderDetails / sendPaymentInfo payload.
+ * @param {object} [opts]
+ * @param {boolean} [opts.requireItems=true] payment_info may carry only a total.
+ * @returns {{valid: boolean, errors: string[], warnings: string[], params: object|null}}
+ */
+function buildOrderParams(data, { requireItems = true } = {}) {
+  const errors = [];
+  const warnings = [];
+  if (!data || typeof data !== 'object') {
+    return { valid: false, errors: ['payload must be an object'], warnings, params: null };
+  }
+  const {
+    referenceId,
+    currency,
+    type = 'physical-goods',
+    items,
+    offset = DEFAULT_OFFSET,
+    status = 'pending',
+    expiration
+  } = data;
+  if (typeof referenceId !== 'string' || !REFERENCE_ID.test(referenceId)) {
+    errors.push('referenceId must be 1-35 characters of letters, digits, _ - or .');
+  }
+  if (typeof currency !== 'string' || !/^[A-Z]{3}$/.test(currency)) errors.push('currency must be an ISO 4217 code (e.g. BRL, INR)');
+  if (!ORDER_TYPES.includes(type)) errors.push(`type must be one of ${ORDER_TYPES.join(', ')}`);
+  if (!Number.isInteger(offset) || offset <= 0 || !/^10*$/.test(String(offset))) errors.push('offset must be a power of 10 (100 for two decimals)');
+  if (errors.some(e => e.startsWith('offset'))) return { valid: false, errors, warnings, params: null };
+
+  let subtotal = null;
+  const orderItems = [];
+  if (items != null || requireItems) {
+    if (!Array.isArray(items) || !items.length) {
+      errors.push('items must be a non-empty array');
+    } else {
+      subtotal = { value: 0, offset };
+      items.forEach((item, i) => {
+        const path = `items[${i}]`;
+        if (!item || typeof item !== 'object') {
+          errors.push(`${path} must be an object`);
+          return;
+        }
+        const { retailerId, productId, name, quantity } = item;
+        if (!isNonEmptyString(retailerId)) errors.push(`${path}.retailerId must be a non-empty string`);
+        if (!isNonEmptyString(name)) errors.push(`${path}.name must be a non-empty string`);
+        if (!Number.isInteger(quantity) || quantity < 1) errors.push(`${path}.quantity must be a positive integer`);
+        if (item.amount == null) errors.push(`${path}.amount is required`);
+        const amount = readCharge(item.amount, offset, `${path}.amount`, errors);
+        const saleAmount = readCharge(item.saleAmount, offset, `${path}.saleAmount`, errors);
+        if (amount && saleAmount && saleAmount.value > amount.value) errors.push(`${path}.saleAmount must not exceed amount`);
+        const entry = { retailer_id: retailerId, name, amount, quantity };
+        if (productId != null) entry.product_id = productId;
+        if (saleAmount) entry.sale_amount = saleAmount;
+        orderItems.push(entry);
+        if (amount && Number.isInteger(quantity)) subtotal.value += (saleAmount || amount).value * quantity;
+      });
+    }
+  }
+
+  const tax = readCharge(data.tax, offset, 'tax', errors);
+  const shipping = readCharge(data.shipping, offset, 'shipping', errors);
+  const discount = readCharge(data.discount, offset, 'discount', errors);
+  const givenSubtotal = readCharge(data.subtotal, offset, 'subtotal', errors);
+  const givenTotal = readCharge(data.total, offset, 'total', errors);
+
+  if (subtotal && givenSubtotal && !sameMoney(subtotal, { value: givenSubtotal.value, offset })) {
+    errors.push(`subtotal ${formatMoney(givenSubtotal)} does not match the items (${formatMoney(subtotal)})`);
+  }
+  subtotal = subtotal || givenSubtotal;
+  let total = null;
+  if (subtotal) {
+    total = { value: subtotal.value + (tax?.value || 0) + (shipping?.value || 0) - (discount?.value || 0), offset };
+    if (discount && discount.value > subtotal.value) errors.push('discount must not exceed subtotal');
+    if (givenTotal && givenTotal.value !== total.value) {
+      errors.push(`total ${formatMoney(givenTotal)} does not match subtotal + tax + shipping - discount (${formatMoney(total)})`);
+    }
+  } else if (givenTotal) {
+    total = { value: givenTotal.value, offset };
+    if (tax || shipping || discount) warnings.push('tax / shipping / discount are ignored without items or subtotal');
+  } else {
+    errors.push('total is required when no items / subtotal are given');
+  }
+  if (!errors.length && total.value <= 0) errors.push('total must be greater than zero');
+  if (expiration != null) {
+    if (!expiration || typeof expiration !== 'object' || !Number.isInteger(expiration.timestamp)) {
+      errors.push('expiration must be { timestamp: unix seconds, description? }');
+    } else if (expiration.timestamp * 1000 <= Date.now()) {
+      errors.push('expiration.timestamp must be in the future');
+    }
+  }
+
+  // payment_info is only the settings; order details may leave them to the business profile.
+  const paymentSettings = data.paymentSettings != null || !requireItems
+    ? normalizePaymentSettings(data.paymentSettings, currency, errors)
+    : [];
+
+  if (errors.length) return { valid: false, errors, warnings, params: null };
+
+  const order = { status, type: 'quick_pay' };
+  if (orderItems.length) order.items = orderItems;
+  if (subtotal) order.subtotal = { value: subtotal.value, offset };
+  if (tax) order.tax = tax;
+  if (shipping) order.shipping = shipping;
+  if (discount) order.discount = discount;
+  if (expiration) order.expiration = expiration;
+  const params = {
+    reference_id: referenceId,
+    type,
+    currency,
+    total_amount: total,
+    order
+  };
+  if (paymentSettings.length) params.payment_settings = paymentSettings;
+  if (data.sharePaymentStatus != null) params.share_payment_status = !!data.sharePaymentStatus;
+  return { valid: true, errors, warnings, params };
+}
+
+async function sendPaymentButton(sock, jid, data, options, { name, context, requireItems }) {
+  if (!sock) {
+    throw new InteractiveValidationError('Socket is required', { context });
+  }
+  const built = buildOrderParams(data, { requireItems });
+  // Non-object payloads are already reported by buildOrderParams.
+  const hasText = !data || typeof data !== 'object' || isNonEmptyString(data.text);
+  const errors = hasText ? built.errors : ['text is mandatory and must be a non-empty string', ...built.errors];
+  if (errors.length) {
+    throw new InteractiveValidationError('Payment payload invalid', {
+      context: `${context}.buildOrderParams`,
+      errors,
+      warnings: built.warnings
+    });
+  }
+  if (built.warnings.length) resolveLogger(sock, options).warn({ warnings: built.warnings }, `${context} warnings`);
+  const { text, footer, title, image, video, document, mimetype, fileName } = data;
+  const content = { text, interactiveButtons: [{ name, buttonParamsJson: JSON.stringify(built.params) }] };
+  const optional = { footer, title, image, video, document, mimetype, fileName };
+  for (const [key, value] of Object.entries(optional)) {
+    if (value != null) content[key] = value;
+  }
+  return sendInteractiveMessage(sock, jid, content, options);
+}
+
+/**
+ * Send an order with a "Review and pay" button (review_and_pay / order_details).
+ *
+ * @param {object} sock Active socket instance.
+ * @param {string} jid Destination chat JID.
+ * @param {object} data
+ * @param {string} data.referenceId Order id, 1-35 characters of letters, digits, _ - or .
+ * @param {string} data.currency ISO 4217 code.
+ * @param {Array<{retailerId: string, name: string, amount: number|object, quantity: number,
+ *   saleAmount?: number|object, productId?: string}>} data.items Unit prices; subtotal is computed.
+ * @param {number|object} [data.subtotal] Checked against the items when given.
+ * @param {number|object} [data.tax] Number, money or { amount, description }; likewise shipping / discount.
+ * @param {number|object} [data.total] Checked against subtotal + tax + shipping - discount when given.
+ * @param {Array<object>} [data.paymentSettings] pix_static_code / payment_link / boleto settings.
+ * @param {'physical-goods'|'digital-goods'} [data.type='physical-goods']
+ * @param {number} [data.offset=100] Money offset (1000 for three decimal currencies).
+ * @param {{timestamp: number, description?: string}} [data.expiration]
+ * @param {string} data.text Body text; data.footer / title / image / video / document for the rest of the message.
+ * @param {object} [options] Options forwarded to sendInteractiveMessage.
+ * @returns {Promise<object>} Resulting WAMessage.
+ * @throws {InteractiveValidationError} Listing every item / total problem (context sendOrderDetails.buildOrderParams).
+ */
+function sendOrderDetails(sock, jid, data = {}, options = {}) {
+  return sendPaymentButton(sock, jid, data, options, { name: 'review_and_pay', context: 'sendOrderDetails', requireItems: true });
+}
+
+/**
+ * Send payment details (payment_info), e.g. a PIX key the user can copy.
+ * Items are optional; without them `total` is required.
+ *
+ * @param {object} sock Active socket instance.
+ * @param {string} jid Destination chat JID.
+ * @param {object} data Same fields as sendOrderDetails (text, referenceId, currency, ...); paymentSettings is required.
+ * @param {object} [options] Options forwarded to sendInteractiveMessage.
+ * @returns {Promise<object>} Resulting WAMessage.
+ */
+function sendPaymentInfo(sock, jid, data = {}, options = {}) {
+  return sendPaymentButton(sock, jid, data, options, { name: 'payment_info', context: 'sendPaymentInfo', requireItems: false });
+}
+
+module.exports = {
+  sendOrderDetails,
+  sendPaymentInfo,
+  buildOrderParams,
+  toMoney,
+  PIX_KEY_TYPES
+};
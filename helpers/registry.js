@@ -0,0 +1,247 @@
+/**
+ * Registry of native flow button types.
+ *
+ * One entry per button `name` describes everything the helpers need to know:
+ *  - requiredFields: keys that must be present in buttonParamsJson
+ *  - validate(params): extra checks, returns error strings (or nothing)
+ *  - allowedIn: which strict validators accept the name ('sendButtons', 'interactive')
+ *  - bizNode: which binary node getButtonArgs injects when it is the first button
+ *      'mixed'                      biz > interactive(native_flow v1) > native_flow(v9, name=mixed) (default)
+ *      'named'                      biz > interactive(native_flow v1) > native_flow(v2, name=<name>)
+ *      { nativeFlowName: string }   biz[native_flow_name=<nativeFlowName>]
+ *      (message, { name, profile }) => node
+ *                                   custom node builder (same arguments as node profile buttonNodes)
+ *
+ * New WhatsApp names can be supported without a release:
+ *  registerButtonType('cta_reorder', {
+ *    requiredFields: ['display_text', 'order_id'],
+ *    allowedIn: ['interactive']
+ *  });
+ */
+
+const BUTTON_SCOPES = ['sendButtons', 'interactive'];
+
+const registry = new Map();
+
+// Live view of requiredFields per name, kept for the exported REQUIRED_FIELDS_MAP.
+const requiredFieldsMap = {};
+
+function isValidBizNode(bizNode) {
+  return bizNode === 'mixed' || bizNode === 'named' || typeof bizNode === 'function' ||
+    (!!bizNode && typeof bizNode === 'object' && typeof bizNode.nativeFlowName === 'string');
+}
+
+/**
+ * Register (or replace) a native flow button type.
+ *
+ * @param {string} name Native flow button name (buttons[].name).
+ * @param {object} [definition]
+ * @param {string[]} [definition.requiredFields=[]] Keys required in buttonParamsJson.
+ * @param {(params: object) => (string[]|string|void)} [definition.validate] Extra validation; return error message(s).
+ * @param {Array<'sendButtons'|'interactive'>} [definition.allowedIn=['interactive']] Strict validators accepting the name.
+ * @param {'mixed'|'named'|{nativeFlowName: string}|Function} [definition.bizNode='mixed'] Binary node selection.
+ * @returns {object} The stored (frozen) definition.
+ */
+function registerButtonType(name, definition = {}) {
+  if (typeof name !== 'string' || !name) {
+    throw new TypeError('button type name must be a non-empty string');
+  }
+  const {
+    requiredFields = [],
+    validate,
+    allowedIn = ['interactive'],
+    bizNode = 'mixed'
+  } = definition;
+  if (!Array.isArray(requiredFields) || requiredFields.some(f => typeof f !== 'string')) {
+    throw new TypeError(`${name}: requiredFields must be an array of strings`);
+  }
+  if (validate != null && typeof validate !== 'function') {
+    throw new TypeError(`${name}: validate must be a function`);
+  }
+  if (!Array.isArray(allowedIn) || allowedIn.some(s => !BUTTON_SCOPES.includes(s))) {
+    throw new TypeError(`${name}: allowedIn entries must be one of ${BUTTON_SCOPES.join(', ')}`);
+  }
+  if (!isValidBizNode(bizNode)) {
+    throw new TypeError(`${name}: bizNode must be 'mixed', 'named', { nativeFlowName } or a function`);
+  }
+  const entry = Object.freeze({
+    name,
+    requiredFields: Object.freeze([...requiredFields]),
+    validate: validate || null,
+    allowedIn: Object.freeze([...allowedIn]),
+    bizNode
+  });
+  registry.set(name, entry);
+  requiredFieldsMap[name] = entry.requiredFields;
+  return entry;
+}
+
+/**
+ * Remove a registered button type.
+ * @param {string} name
+ * @returns {boolean} True if an entry was removed.
+ */
+function unregisterButtonType(name) {
+  delete requiredFieldsMap[name];
+  return registry.delete(name);
+}
+
+/**
+ * @param {string} name
+ * @returns {object|null} Registered definition or null.
+ */
+function getButtonTypeDefinition(name) {
+  return registry.get(name) || null;
+}
+
+/**
+ * Names allowed in a strict validator scope, in registration order.
+ * @param {'sendButtons'|'interactive'} [scope] Omit to list every registered name.
+ * @returns {string[]}
+ */
+function listButtonTypes(scope) {
+  return Array.from(registry.values())
+    .filter(entry => !scope || entry.allowedIn.includes(scope))
+    .map(entry => entry.name);
+}
+
+/**
+ * @param {string} name
+ * @param {'sendButtons'|'interactive'} scope
+ * @returns {boolean}
+ */
+function isButtonTypeAllowed(name, scope) {
+  return !!registry.get(name)?.allowedIn.includes(scope);
+}
+
+/**
+ * Check parsed params against a registered type: required fields then validate().
+ * Unregistered names produce no errors (callers decide whether the name is allowed).
+ *
+ * @param {string} name
+ * @param {object} params Parsed buttonParamsJson.
+ * @param {object} [opts]
+ * @param {(params: object, field: string) => boolean} [opts.isMissing] Presence rule (default: key absent).
+ * @returns {string[]} Error messages (without index / name prefix).
+ */
+function checkButtonParams(name, params, { isMissing = (p, field) => typeof p !== 'object' || !(field in p) } = {}) {
+  const entry = registry.get(name);
+  if (!entry) return [];
+  const errors = [];
+  for (const field of entry.requiredFields) {
+    if (!params || isMissing(params, field)) {
+      errors.push(`missing required field '${field}'`);
+    }
+  }
+  if (entry.validate && params && typeof params === 'object') {
+    const result = entry.validate(params);
+    if (typeof result === 'string') errors.push(result);
+    else if (Array.isArray(result)) errors.push(...result.filter(Boolean));
+  }
+  return errors;
+}
+
+// -------------------- BUILT-IN TYPES --------------------
+const BOTH = ['sendButtons', 'interactive'];
+const INTERACTIVE = ['interactive'];
+
+// review_and_pay / payment_info amounts use { value, offset } (value / offset = amount).
+const isMoney = value => !!value && typeof value === 'object' &&
+  Number.isInteger(value.value) && Number.isInteger(value.offset) && value.offset > 0;
+
+function validateMoneyParams(params) {
+  if (params.total_amount != null && !isMoney(params.total_amount)) {
+    return 'total_amount must be { value: integer, offset: positive integer }';
+  }
+  const order = params.order;
+  if (order == null) return;
+  if (typeof order !== 'object') return 'order must be an object';
+  for (const key of ['subtotal', 'tax', 'shipping', 'discount']) {
+    if (order[key] != null && !isMoney(order[key])) return `order.${key} must be { value, offset }`;
+  }
+  if (order.items != null && (!Array.isArray(order.items) || order.items.some(item => !item || !isMoney(item.amount)))) {
+    return 'order.items must be an array of items with { value, offset } amounts';
+  }
+}
+
+registerButtonType('quick_reply', { requiredFields: ['display_text', 'id'], allowedIn: INTERACTIVE });
+registerButtonType('cta_url', { requiredFields: ['display_text', 'url'], allowedIn: BOTH });
+registerButtonType('cta_copy', { requiredFields: ['display_text', 'copy_code'], allowedIn: BOTH });
+registerButtonType('cta_call', { requiredFields: ['display_text', 'phone_number'], allowedIn: BOTH });
+registerButtonType('cta_catalog', { allowedIn: BOTH, bizNode: 'named' });
+registerButtonType('cta_reminder', { requiredFields: ['display_text'], allowedIn: INTERACTIVE });
+registerButtonType('cta_cancel_reminder', { requiredFields: ['display_text'], allowedIn: INTERACTIVE });
+registerButtonType('address_message', { requiredFields: ['display_text'], allowedIn: INTERACTIVE });
+registerButtonType('send_location', { allowedIn: BOTH, bizNode: 'named' });
+registerButtonType('open_webview', {
+  requiredFields: ['title', 'link'],
+  allowedIn: INTERACTIVE,
+  validate: params => {
+    if (params.link && (typeof params.link !== 'object' || !params.link.url)) {
+      return 'link.url required';
+    }
+  }
+});
+registerButtonType('mpm', { requiredFields: ['product_id'], allowedIn: INTERACTIVE, bizNode: 'named' });
+registerButtonType('wa_payment_transaction_details', { requiredFields: ['transaction_id'], allowedIn: INTERACTIVE, bizNode: 'named' });
+registerButtonType('automated_greeting_message_view_catalog', {
+  requiredFields: ['business_phone_number', 'catalog_product_id'],
+  allowedIn: INTERACTIVE,
+  bizNode: 'named'
+});
+registerButtonType('galaxy_message', {
+  requiredFields: ['flow_token', 'flow_id'],
+  allowedIn: INTERACTIVE,
+  validate: params => {
+    const errors = [];
+    if (params.mode != null && !['draft', 'published'].includes(params.mode)) {
+      errors.push("mode must be 'draft' or 'published'");
+    }
+    if (params.flow_action != null && !['navigate', 'data_exchange'].includes(params.flow_action)) {
+      errors.push("flow_action must be 'navigate' or 'data_exchange'");
+    }
+    if (params.flow_action === 'navigate' && !params.flow_action_payload?.screen) {
+      errors.push("flow_action_payload.screen required for flow_action 'navigate'");
+    }
+    return errors;
+  }
+});
+registerButtonType('single_select', {
+  requiredFields: ['title', 'sections'],
+  allowedIn: INTERACTIVE,
+  validate: params => {
+    if (!Array.isArray(params.sections) || params.sections.length === 0) {
+      return 'sections must be non-empty array';
+    }
+  }
+});
+registerButtonType('review_and_pay', {
+  requiredFields: ['reference_id', 'currency', 'total_amount', 'order'],
+  allowedIn: INTERACTIVE,
+  bizNode: { nativeFlowName: 'order_details' },
+  validate: validateMoneyParams
+});
+registerButtonType('payment_info', {
+  requiredFields: ['payment_settings'],
+  allowedIn: INTERACTIVE,
+  bizNode: { nativeFlowName: 'payment_info' },
+  validate: params => {
+    if (!Array.isArray(params.payment_settings) || params.payment_settings.length === 0) {
+      return 'payment_settings must be non-empty array';
+    }
+    return validateMoneyParams(params);
+  }
+});
+// Node-only types: recognised by getButtonArgs but not accepted by the strict validators yet.
+registerButtonType('call_permission_request', { allowedIn: [], bizNode: 'named' });
+
+module.exports = {
+  registerButtonType,
+  unregisterButtonType,
+  getButtonTypeDefinition,
+  listButtonTypes,
+  isButtonTypeAllowed,
+  checkButtonParams,
+  requiredFieldsMap,
+  BUTTON_SCOPES
+};
@@ -0,0 +1,136 @@
+/**
+ * Reply-side helpers for interactive messages.
+ *
+ * The send helpers in buttons.js produce four different encodings (native flow,
+ * buttonsMessage, listMessage, templateMessage) and WhatsApp answers each of them
+ * with its own response message type. This module folds all of them into a
+ * single normalized shape so bots only need to look at one object:
+ *
+ *  { kind, id, displayText, params, quotedMessageId, from, name }
+ *
+ * Usage:
+ *  const { parseInteractiveResponse } = require('zqbaileys_helper');
+ *  sock.ev.on('messages.upsert', ({ messages }) => {
+ *    for (const msg of messages) {
+ *      const reply = parseInteractiveResponse(msg);
+ *      if (reply) console.log(reply.kind, reply.id);
+ *    }
+ *  });
+ */
+
+// Container keys Baileys / WhatsApp use to wrap the real message content.
+// documentWithCaptionMessage is what patchMessageForMdIfRequired produces.
+const WRAPPER_KEYS = [
+  'documentWithCaptionMessage',
+  'ephemeralMessage',
+  'viewOnceMessage',
+  'viewOnceMessageV2',
+  'viewOnceMessageV2Extension',
+  'deviceSentMessage',
+  'editedMessage'
+];
+
+/**
+ * Strip known wrapper containers until the inner message content is reached.
+ * A small, dependency free subset of Baileys' normalizeMessageContent.
+ *
+ * @param {object} content WAMessage.message (or already unwrapped content).
+ * @returns {object|null} Innermost message content.
+ */
+function unwrapMessageContent(content) {
+  let current = content;
+  // Bounded loop: wrappers are rarely nested more than two levels deep.
+  for (let depth = 0; depth < 5 && current && typeof current === 'object'; depth++) {
+    const key = WRAPPER_KEYS.find(k => current[k]?.message);
+    if (!key) break;
+    current = current[key].message;
+  }
+  return current || null;
+}
+
+function safeParseJson(value) {
+  if (typeof value !== 'string' || !value) return {};
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Normalize an incoming button / list / template / native flow reply.
+ *
+ * Accepts either a full WAMessage ({ key, message }) as delivered by
+ * `messages.upsert` or a bare message content object.
+ *
+ * Result fields:
+ *  - kind:            'buttons' | 'list' | 'template' | 'native_flow'
+ *  - id:              Button id / row id the user selected (null when absent).
+ *  - displayText:     Label shown to the user for the selection.
+ *  - params:          Parsed native flow paramsJson ({} for the legacy kinds).
+ *  - quotedMessageId: Id of the message carrying the buttons (contextInfo.stanzaId).
+ *  - from:            Sender JID (participant in groups, remoteJid otherwise).
+ *  - name:            Native flow response name (null for the legacy kinds).
+ *
+ * @param {object} msg WAMessage or message content.
+ * @returns {{kind: string, id: string|null, displayText: string|null, params: object, quotedMessageId: string|null, from: string|null, name: string|null}|null}
+ *   Normalized reply, or null when the message is not an interactive reply.
+ */
+function parseInteractiveResponse(msg) {
+  if (!msg || typeof msg !== 'object') return null;
+  const isFullMessage = !!(msg.key || msg.message);
+  const content = unwrapMessageContent(isFullMessage ? msg.message : msg);
+  if (!content) return null;
+  const from = isFullMessage ? (msg.key?.participant || msg.participant || msg.key?.remoteJid || null) : null;
+
+  const build = (kind, fields, contextInfo) => ({
+    kind,
+    id: fields.id ?? null,
+    displayText: fields.displayText ?? null,
+    params: fields.params || {},
+    quotedMessageId: contextInfo?.stanzaId || null,
+    from,
+    name: fields.name ?? null
+  });
+
+  if (content.buttonsResponseMessage) {
+    const r = content.buttonsResponseMessage;
+    return build('buttons', {
+      id: r.selectedButtonId,
+      displayText: r.selectedDisplayText
+    }, r.contextInfo);
+  }
+  if (content.listResponseMessage) {
+    const r = content.listResponseMessage;
+    return build('list', {
+      id: r.singleSelectReply?.selectedRowId,
+      displayText: r.title
+    }, r.contextInfo);
+  }
+  if (content.templateButtonReplyMessage) {
+    const r = content.templateButtonReplyMessage;
+    return build('template', {
+      id: r.selectedId,
+      displayText: r.selectedDisplayText,
+      params: typeof r.selectedIndex === 'number' ? { index: r.selectedIndex } : {}
+    }, r.contextInfo);
+  }
+  if (content.interactiveResponseMessage) {
+    const r = content.interactiveResponseMessage;
+    const nativeFlow = r.nativeFlowResponseMessage || {};
+    const params = safeParseJson(nativeFlow.paramsJson);
+    return build('native_flow', {
+      id: typeof params.id === 'string' ? params.id : null,
+      displayText: r.body?.text,
+      params,
+      name: nativeFlow.name
+    }, r.contextInfo);
+  }
+  return null;
+}
+
+module.exports = {
+  parseInteractiveResponse,
+  unwrapMessageContent
+};
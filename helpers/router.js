@@ -0,0 +1,352 @@
+/**
+ * Interactive reply router.
+ *
+ * Subscribes to the socket's `messages.upsert` stream, normalizes each reply via
+ * parseInteractiveResponse and dispatches it to the handler registered for the
+ * selected button / row id. Replaces the hand written switch statements bots
+ * otherwise keep around the ids passed into buildInteractiveButtons.
+ *
+ * Matching order for a reply:
+ *  1. Exact id routes (constant time lookup).
+ *  2. Pattern routes (prefix, RegExp, native flow name) in registration order.
+ *  3. Fallback handler (if registered).
+ *
+ * Usage:
+ *  const router = createInteractiveRouter(sock);
+ *  router.use(async (ctx, next) => { console.log(ctx.id); await next(); });
+ *  router.on('menu_help', ctx => sock.sendMessage(ctx.jid, { text: 'Help!' }));
+ *  router.prefix('order:', ctx => handleOrder(ctx.id.slice(6)));
+ *  router.on(/^page_(\d+)$/, ctx => showPage(Number(ctx.match[1])));
+ *  router.flow('galaxy_message', ctx => saveForm(ctx.params));
+ *  router.on({ data: d => d.action === 'confirm' }, ctx => confirmOrder(ctx.data.order));
+ *  router.on({ flowToken: /^booking:/ }, ctx => saveBooking(ctx.flow.flowToken, ctx.flow.data));
+ *  router.on({ kind: 'location' }, ctx => setDropOff(ctx.location.latitude, ctx.location.longitude));
+ *  router.on('size_large', async ctx => { await ctx.disableButtons('Large it is!'); });
+ *  router.fallback(ctx => console.log('unhandled', ctx.id));
+ */
+
+const { parseInteractiveResponse } = require('./responses');
+const { resolveLogger, getConfig } = require('./config');
+const { resolveTextMenuReply } = require('./textMenu');
+const { isButtonData, decodeButtonData } = require('./buttonData');
+const { parseFlowResponse } = require('./flows');
+const { parseLocationReply, parseAddressResponse } = require('./location');
+const { disableInteractiveButtons } = require('./edit');
+
+// Reply kinds that answer a message with buttons (text menus and locations do not).
+const BUTTON_REPLY_KINDS = ['buttons', 'list', 'template', 'native_flow'];
+
+/**
+ * Normalize the different matcher inputs accepted by router.on into a predicate.
+ * Returns null for exact id matchers (they are stored in a Map instead).
+ *
+ * @param {string|RegExp|{id?: string, prefix?: string, regex?: RegExp, name?: string, kind?: string, data?: Function, flowToken?: string|RegExp}} matcher
+ * @returns {{exact?: string, test?: (reply: object) => (boolean|RegExpMatchArray|null)}}
+ */
+function compileMatcher(matcher) {
+  if (typeof matcher === 'string') {
+    return { exact: matcher };
+  }
+  if (matcher instanceof RegExp) {
+    return { test: reply => (typeof reply.id === 'string' ? reply.id.match(matcher) : null) };
+  }
+  if (matcher && typeof matcher === 'object') {
+    if (typeof matcher.id === 'string') {
+      return { exact: matcher.id };
+    }
+    if (typeof matcher.prefix === 'string') {
+      return { test: reply => typeof reply.id === 'string' && reply.id.startsWith(matcher.prefix) };
+    }
+    if (matcher.regex instanceof RegExp) {
+      return compileMatcher(matcher.regex);
+    }
+    if (typeof matcher.name === 'string') {
+      return { test: reply => reply.name === matcher.name };
+    }
+    if (typeof matcher.kind === 'string') {
+      return { test: reply => reply.kind === matcher.kind };
+    }
+    if (typeof matcher.data === 'function') {
+      return { test: reply => reply.data !== undefined && !!matcher.data(reply.data) };
+    }
+    if (typeof matcher.flowToken === 'string' || matcher.flowToken instanceof RegExp) {
+      const { flowToken } = matcher;
+      return {
+        test: reply => {
+          const token = reply.flow?.flowToken;
+          if (typeof token !== 'string') return false;
+          return typeof flowToken === 'string' ? token === flowToken : token.match(flowToken);
+        }
+      };
+    }
+  }
+  throw new TypeError('router matcher must be a string id, RegExp, or { id | prefix | regex | name | kind | data | flowToken } object');
+}
+
+/**
+ * Create a router bound to a socket's messages.upsert events.
+ *
+ * Handlers and middleware receive a context object:
+ *  { sock, msg, reply, jid, id, params, data, flow, location, address, match, state }
+ *  - reply: result of parseInteractiveResponse(msg)
+ *  - data:  verified payload of a signed button data id (see helpers/buttonData.js), else undefined
+ *  - flow:  submitted WhatsApp Flow ({ flowToken, data, ... } from parseFlowResponse), else null
+ *  - location: shared location answering a message (reply.kind 'location', see parseLocationReply), else null
+ *  - address: submitted address form (see parseAddressResponse), else null
+ *  - disableButtons(note?): edits the message the reply came from so it has no buttons
+ *    (note defaults to "You selected: <label>", see helpers/edit.js)
+ *  - jid:   chat the reply came from (use it to answer)
+ *  - match: RegExp match array for regex routes (null otherwise)
+ *  - state: empty object middleware may use to pass data to handlers
+ *
+ * Errors thrown by middleware or a handler never escape into the socket event
+ * loop; they are passed to the onError callback (default: logged at error level) and
+ * processing continues with the next message.
+ *
+ * @param {object} sock Active Baileys socket (must expose ev.on / ev.off).
+ * @param {object} [options]
+ * @param {string[]} [options.types=['notify']] upsert types to process ('notify', 'append').
+ * @param {boolean} [options.ignoreOwn=true] Skip messages sent by this account (key.fromMe).
+ * @param {boolean} [options.autoStart=true] Subscribe immediately; otherwise call router.start().
+ * @param {(err: Error, ctx: object) => any} [options.onError] Error sink for middleware / handlers.
+ * @param {object} [options.logger] Logger override (defaults to configure({ logger }) then sock.logger).
+ * @param {boolean} [options.textMenu=true] Also resolve plain text replies ("2", "two") to menus sent
+ *   with fallback: 'text' (reply.kind 'text_menu'); options.menuStore overrides the store.
+ * @param {string|Buffer} [options.buttonSecret] Secret for signed button data ids (default:
+ *   configure({ buttonSecret })). Replies whose signed id is forged, bound to another chat or expired are
+ *   dropped with a warning. Without a secret, signed ids are routed unverified (logged as a warning).
+ * @param {boolean} [options.locations=false] Route locations that quote a message (answers to
+ *   sendLocationRequest) as reply.kind 'location'; locations without a quote are never routed.
+ *   Off by default so quoted locations do not reach fallback handlers of existing bots.
+ * @param {boolean|object} [options.disableButtons=false] After a handler ran for a button / list /
+ *   template / native flow reply, replace the buttons of the answered message with a note.
+ *   Object form: { note: string | (ctx) => string, getMessage: key => Promise<message content> }
+ *   (getMessage defaults to sock.config.getMessage). Failures are logged, never thrown.
+ * @returns {object} Router API: use, on, prefix, regex, flow, fallback, onError, handle, start, stop.
+ */
+function createInteractiveRouter(sock, options = {}) {
+  if (!sock) {
+    throw new TypeError('Socket is required');
+  }
+  const { types = ['notify'], ignoreOwn = true, autoStart = true, textMenu = true, locations = false } = options;
+  const disableOptions = options.disableButtons && typeof options.disableButtons === 'object' ? options.disableButtons : {};
+  const middleware = [];
+  const exactRoutes = new Map();
+  const patternRoutes = [];
+  let fallbackHandler = null;
+  const log = resolveLogger(sock, options);
+  let errorHandler = options.onError || ((err, ctx) => log.error({ err, id: ctx?.id }, 'Interactive router handler failed'));
+  let subscribed = false;
+
+  const assertHandler = handler => {
+    if (typeof handler !== 'function') {
+      throw new TypeError('router handler must be a function');
+    }
+  };
+
+  const resolveRoute = reply => {
+    if (typeof reply.id === 'string' && exactRoutes.has(reply.id)) {
+      return { handler: exactRoutes.get(reply.id), match: null };
+    }
+    for (const route of patternRoutes) {
+      const result = route.test(reply);
+      if (result) {
+        return { handler: route.handler, match: Array.isArray(result) ? result : null };
+      }
+    }
+    return fallbackHandler ? { handler: fallbackHandler, match: null } : null;
+  };
+
+  const selectionNote = ctx => {
+    if (typeof disableOptions.note === 'function') return disableOptions.note(ctx);
+    if (typeof disableOptions.note === 'string') return disableOptions.note;
+    return `You selected: ${ctx.reply.displayText || ctx.id}`;
+  };
+
+  const disableButtonsFor = async (ctx, note) => {
+    const { quotedMessageId } = ctx.reply;
+    if (!quotedMessageId || !ctx.jid) {
+      throw new TypeError('disableButtons needs a reply that quotes the buttons message');
+    }
+    const key = { remoteJid: ctx.jid, fromMe: true, id: quotedMessageId };
+    const original = typeof disableOptions.getMessage === 'function' ? await disableOptions.getMessage(key) : undefined;
+    return disableInteractiveButtons(sock, key, { note: note ?? selectionNote(ctx), original, logger: options.logger });
+  };
+
+  const reportError = async (err, ctx) => {
+    try {
+      await errorHandler(err, ctx);
+    } catch (sinkErr) {
+      log.error({ err: sinkErr }, 'Interactive router onError failed');
+    }
+  };
+
+  /**
+   * Process a single message. Resolves to true when a handler (or fallback) ran.
+   * Exposed so callers can feed messages from other sources (queues, tests).
+   */
+  const handle = async msg => {
+    let reply;
+    try {
+      reply = parseInteractiveResponse(msg) || (textMenu ? await resolveTextMenuReply(msg, options) : null);
+      if (!reply && locations) {
+        const location = parseLocationReply(msg);
+        if (location?.quotedMessageId) {
+          const { quotedMessageId, from } = location;
+          reply = { kind: 'location', id: null, displayText: null, params: {}, quotedMessageId, from, name: null, location };
+        }
+      }
+    } catch (err) {
+      // Menu store failures are reported like handler errors.
+      await reportError(err, { sock, msg, id: null });
+      return false;
+    }
+    if (!reply) return false;
+    if (isButtonData(reply.id)) {
+      const secret = options.buttonSecret || getConfig().buttonSecret;
+      if (secret) {
+        // Chat bound ids verify against the chat the reply came from.
+        const jid = [msg?.key?.remoteJid, msg?.key?.remoteJidAlt];
+        try {
+          reply = { ...reply, data: decodeButtonData(reply.id, { secret, jid }) };
+        } catch (err) {
+          log.warn({ id: reply.id, jid: msg?.key?.remoteJid, reason: err.reason }, 'Interactive router rejected button data');
+          return false;
+        }
+      } else {
+        log.warn({ id: reply.id, jid: msg?.key?.remoteJid }, 'Interactive router routing signed button data unverified (no buttonSecret configured)');
+      }
+    }
+    if (reply.kind === 'native_flow') {
+      const flow = parseFlowResponse(msg);
+      const address = flow ? null : parseAddressResponse(msg);
+      if (flow) reply = { ...reply, flow };
+      if (address) reply = { ...reply, address };
+    }
+    const ctx = {
+      sock,
+      msg,
+      reply,
+      jid: msg?.key?.remoteJid || null,
+      id: reply.id,
+      params: reply.params,
+      data: reply.data,
+      flow: reply.flow || null,
+      location: reply.location || null,
+      address: reply.address || null,
+      match: null,
+      state: {}
+    };
+    ctx.disableButtons = note => disableButtonsFor(ctx, note);
+    let handled = false;
+    const dispatch = async () => {
+      const route = resolveRoute(reply);
+      if (!route) return;
+      ctx.match = route.match;
+      handled = true;
+      await route.handler(ctx);
+    };
+    const run = async index => {
+      if (index < middleware.length) {
+        let called = false;
+        await middleware[index](ctx, () => {
+          if (called) throw new Error('next() called multiple times');
+          called = true;
+          return run(index + 1);
+        });
+        return;
+      }
+      await dispatch();
+    };
+    try {
+      await run(0);
+    } catch (err) {
+      await reportError(err, ctx);
+      return handled;
+    }
+    if (handled && options.disableButtons && BUTTON_REPLY_KINDS.includes(reply.kind) && reply.quotedMessageId) {
+      try {
+        await ctx.disableButtons();
+      } catch (err) {
+        log.warn({ err: err?.message || err, id: reply.id, quotedMessageId: reply.quotedMessageId }, 'Interactive router could not disable buttons');
+      }
+    }
+    return handled;
+  };
+
+  const listener = async ({ messages, type } = {}) => {
+    if (types && !types.includes(type)) return;
+    for (const msg of messages || []) {
+      if (ignoreOwn && msg?.key?.fromMe) continue;
+      await handle(msg);
+    }
+  };
+
+  const router = {
+    /** Register middleware `(ctx, next) => {}`; call next() to continue the chain. */
+    use(fn) {
+      assertHandler(fn);
+      middleware.push(fn);
+      return router;
+    },
+    /** Register a handler for an exact id, RegExp or { id | prefix | regex | name | kind | data | flowToken } matcher. */
+    on(matcher, handler) {
+      assertHandler(handler);
+      const compiled = compileMatcher(matcher);
+      if (compiled.exact != null) {
+        exactRoutes.set(compiled.exact, handler);
+      } else {
+        patternRoutes.push({ test: compiled.test, handler });
+      }
+      return router;
+    },
+    /** Shorthand for on({ prefix }, handler). */
+    prefix(prefix, handler) {
+      return router.on({ prefix }, handler);
+    },
+    /** Shorthand for on(regex, handler). */
+    regex(regex, handler) {
+      return router.on({ regex }, handler);
+    },
+    /** Match by native flow button name (quick_reply, single_select, galaxy_message, ...). */
+    flow(name, handler) {
+      return router.on({ name }, handler);
+    },
+    /** Handler used when no route matches a reply. */
+    fallback(handler) {
+      assertHandler(handler);
+      fallbackHandler = handler;
+      return router;
+    },
+    /** Replace the error sink used for middleware / handler failures. */
+    onError(handler) {
+      assertHandler(handler);
+      errorHandler = handler;
+      return router;
+    },
+    handle,
+    /** Subscribe to sock.ev messages.upsert (idempotent). */
+    start() {
+      if (!subscribed) {
+        sock.ev.on('messages.upsert', listener);
+        subscribed = true;
+      }
+      return router;
+    },
+    /** Unsubscribe from sock.ev messages.upsert. */
+    stop() {
+      if (subscribed) {
+        sock.ev.off('messages.upsert', listener);
+        subscribed = false;
+      }
+      return router;
+    }
+  };
+
+  if (autoStart) router.start();
+  return router;
+}
+
+module.exports = {
+  createInteractiveRouter
+};
@@ -0,0 +1,100 @@
+/**
+ * Per-chat state stores used by the menu runtime (helpers/menus.js).
+ *
+ * A store is any object with async (or sync) get(jid), set(jid, state) and
+ * delete(jid). Two are included:
+ *  - createMemoryStateStore()          process memory, lost on restart
+ *  - createJsonFileStateStore(path)    one JSON file, survives restarts of a single process
+ * Anything else (Redis, SQL, ...) only has to implement the same three methods.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// States are plain JSON (the file store persists them as such), so a JSON round
+// trip is a complete copy and keeps both stores behaving the same.
+const cloneState = state => JSON.parse(JSON.stringify(state));
+
+/**
+ * @returns {{get: (jid: string) => Promise<object|null>, set: (jid: string, state: object) => Promise<void>, delete: (jid: string) => Promise<void>}}
+ */
+function createMemoryStateStore() {
+  const states = new Map();
+  return {
+    async get(jid) {
+      return states.has(jid) ? cloneState(states.get(jid)) : null;
+    },
+    async set(jid, state) {
+      states.set(jid, cloneState(state));
+    },
+    async delete(jid) {
+      states.delete(jid);
+    }
+  };
+}
+
+/**
+ * Store every chat's state in one JSON file ({ [jid]: state }).
+ * The file is read once on first access; writes are serialized and replace the
+ * file atomically (write to a temp file, then rename). Use one store instance per
+ * file and process.
+ *
+ * @param {string} filePath Path of the JSON file (created on first write).
+ * @returns {{get: (jid: string) => Promise<object|null>, set: (jid: string, state: object) => Promise<void>, delete: (jid: string) => Promise<void>}}
+ */
+function createJsonFileStateStore(filePath) {
+  if (typeof filePath !== 'string' || !filePath) {
+    throw new TypeError('filePath must be a non-empty string');
+  }
+  let loaded = null;
+  let writing = Promise.resolve();
+
+  const load = () => {
+    if (!loaded) {
+      loaded = fs.promises.readFile(filePath, 'utf8')
+        .then(raw => (raw.trim() ? JSON.parse(raw) : {}))
+        .catch(err => {
+          if (err.code === 'ENOENT') return {};
+          loaded = null;
+          throw err;
+        });
+    }
+    return loaded;
+  };
+
+  const persist = states => {
+    const run = async () => {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const tmp = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(states, null, 2));
+      await fs.promises.rename(tmp, filePath);
+    };
+    // Keep the chain alive after a failed write so later writes still run.
+    const next = writing.then(run);
+    writing = next.catch(() => {});
+    return next;
+  };
+
+  return {
+    async get(jid) {
+      const states = await load();
+      return Object.prototype.hasOwnProperty.call(states, jid) ? cloneState(states[jid]) : null;
+    },
+    async set(jid, state) {
+      const states = await load();
+      states[jid] = cloneState(state);
+      await persist(states);
+    },
+    async delete(jid) {
+      const states = await load();
+      if (!Object.prototype.hasOwnProperty.call(states, jid)) return;
+      delete states[jid];
+      await persist(states);
+    }
+  };
+}
+
+module.exports = {
+  createMemoryStateStore,
+  createJsonFileStateStore
+};
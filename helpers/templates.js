@@ -0,0 +1,175 @@
+/**
+ * Variable interpolation and localized strings for interactive payloads.
+ *
+ * renderInteractiveTemplate walks any authoring payload (sendButtons,
+ * sendInteractiveMessage, sendListMessage, sendCards, ...) and fills
+ *  - {{name}} / {{order.id}}   values from `vars` (dotted paths allowed)
+ *  - {{t:menu.title}}          strings from locale bundles (which may contain {{vars}}, but not {{t:keys}})
+ * in every string, including the values inside buttonParamsJson. Missing
+ * variables or translations are collected and thrown as one
+ * InteractiveValidationError, before the payload reaches the send validators.
+ *
+ * Locale lookup follows a fallback chain: 'pt-BR' -> 'pt' -> fallbackLocale ('en').
+ *
+ * Usage:
+ *  registerLocaleBundle('en', { welcome: 'Hi {{name}}!', track: 'Track order' });
+ *  registerLocaleBundle('pt', { welcome: 'Olá {{name}}!', track: 'Rastrear pedido' });
+ *  const payload = renderInteractiveTemplate({
+ *    text: '{{t:welcome}}',
+ *    buttons: [{ id: 'track:{{order.id}}', text: '{{t:track}}' }]
+ *  }, { name: 'Ana', order: { id: 42 } }, { locale: 'pt-BR' });
+ */
+
+const { InteractiveValidationError } = require('./buttons');
+
+const PLACEHOLDER = /\{\{\s*(t:)?([\w.-]+)\s*\}\}/g;
+
+const bundles = new Map();
+
+function normalizeLocale(locale) {
+  return typeof locale === 'string' ? locale.replace(/_/g, '-') : locale;
+}
+
+/**
+ * Register (or extend) the strings of a locale. Nested objects are looked up by dotted keys
+ * ({{t:nested.key}}) and are merged key by key when a bundle is extended.
+ * @param {string} locale e.g. 'en', 'pt-BR'.
+ * @param {object} strings { key: 'text with {{vars}}', nested: { key: '...' } }
+ */
+function registerLocaleBundle(locale, strings) {
+  if (typeof locale !== 'string' || !locale) {
+    throw new TypeError('locale must be a non-empty string');
+  }
+  if (!strings || typeof strings !== 'object') {
+    throw new TypeError('strings must be an object');
+  }
+  const key = normalizeLocale(locale);
+  bundles.set(key, mergeBundle(bundles.get(key) || {}, strings));
+}
+
+// Deep merge of plain objects into a new object; any other value replaces the previous one.
+function mergeBundle(base, strings) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(strings)) {
+    out[key] = isPlainObject(value)
+      ? mergeBundle(isPlainObject(out[key]) ? out[key] : {}, value)
+      : value;
+  }
+  return out;
+}
+
+/**
+ * Locales tried for a lookup, most specific first.
+ * @param {string} [locale]
+ * @param {string} [fallbackLocale='en']
+ * @returns {string[]}
+ */
+function localeChain(locale, fallbackLocale = 'en') {
+  const chain = [];
+  for (const start of [locale, fallbackLocale].map(normalizeLocale).filter(Boolean)) {
+    const parts = start.split('-');
+    for (let n = parts.length; n > 0; n--) {
+      const candidate = parts.slice(0, n).join('-');
+      if (!chain.includes(candidate)) chain.push(candidate);
+    }
+  }
+  return chain;
+}
+
+// Own properties only, so {{constructor}} or {{t:toString}} count as missing instead of leaking prototype members.
+function lookupPath(source, path) {
+  return path.split('.').reduce((obj, key) => (
+    obj != null && typeof obj === 'object' && Object.prototype.hasOwnProperty.call(obj, key) ? obj[key] : undefined
+  ), source);
+}
+
+function isPlainObject(value) {
+  if (!value || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Fill placeholders in an authoring payload.
+ *
+ * @param {object} template Authoring payload (left untouched; a rendered copy is returned).
+ * @param {object} [vars] Values for {{placeholders}}; strings, numbers and booleans.
+ * @param {object} [options]
+ * @param {string} [options.locale] Locale for {{t:key}} lookups.
+ * @param {string} [options.fallbackLocale='en'] Last locale of the fallback chain.
+ * @param {Object<string, object>} [options.bundles] Per-call bundles ({ locale: strings }), checked before registered ones.
+ * @returns {object} Rendered copy. Buffers, streams and other non-plain objects (media) are kept by reference.
+ * @throws {InteractiveValidationError} Listing every missing variable / translation with its path.
+ */
+function renderInteractiveTemplate(template, vars = {}, options = {}) {
+  const { locale, fallbackLocale = 'en', bundles: callBundles = {} } = options;
+  const chain = localeChain(locale, fallbackLocale);
+  const errors = [];
+
+  const translate = (key, path) => {
+    for (const candidate of chain) {
+      const sources = [callBundles[candidate], bundles.get(candidate)];
+      for (const source of sources) {
+        const value = source && lookupPath(source, key);
+        if (typeof value === 'string') return value;
+      }
+    }
+    errors.push(`${path}: missing translation '${key}' (tried ${chain.join(', ') || 'no locale'})`);
+    return '';
+  };
+
+  const fill = (str, path, depth = 0) => str.replace(PLACEHOLDER, (match, isTranslation, name) => {
+    if (isTranslation) {
+      // Translations may use {{vars}} but not other translations, which also rules out cycles.
+      if (depth > 0) {
+        errors.push(`${path}: translation '${name}' used inside another translation`);
+        return match;
+      }
+      return fill(translate(name, path), path, depth + 1);
+    }
+    const value = lookupPath(vars, name);
+    if (value == null) {
+      errors.push(`${path}: missing variable '${name}'`);
+      return match;
+    }
+    if (typeof value === 'object') {
+      errors.push(`${path}: variable '${name}' must be a string, number or boolean`);
+      return match;
+    }
+    return String(value);
+  });
+
+  const walk = (value, path) => {
+    if (typeof value === 'string') return fill(value, path);
+    if (Array.isArray(value)) return value.map((item, i) => walk(item, `${path}[${i}]`));
+    if (!isPlainObject(value)) return value;
+    const out = {};
+    for (const [key, item] of Object.entries(value)) {
+      const itemPath = path ? `${path}.${key}` : key;
+      if (key === 'buttonParamsJson' && typeof item === 'string') {
+        // Render inside the parsed params so substituted values are JSON escaped correctly.
+        let params;
+        try { params = JSON.parse(item); } catch { params = undefined; }
+        out[key] = params !== undefined ? JSON.stringify(walk(params, itemPath)) : fill(item, itemPath);
+      } else {
+        out[key] = walk(item, itemPath);
+      }
+    }
+    return out;
+  };
+
+  const rendered = walk(template, '');
+  if (errors.length) {
+    throw new InteractiveValidationError('Template variables missing', {
+      context: 'renderInteractiveTemplate',
+      errors
+    });
+  }
+  return rendered;
+}
+
+module.exports = {
+  renderInteractiveTemplate,
+  registerLocaleBundle,
+  localeChain
+};
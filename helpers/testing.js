@@ -0,0 +1,410 @@
+/**
+ * Offline test kit for bots built on these helpers (require('zqbaileys_helper/testing')).
+ *
+ * createMockSocket() stands in for a Baileys socket: every relayMessage /
+ * sendMessage call is recorded (message, additionalNodes, relay options),
+ * emitOwnEvents upserts are simulated and synthetic replies can be injected
+ * into messages.upsert. useMockBaileys() installs an in-memory Baileys module
+ * so nothing touches the network or the installed Baileys package.
+ *
+ * Usage:
+ *  const restore = useMockBaileys();
+ *  const sock = createMockSocket();
+ *  const router = createInteractiveRouter(sock).on('help', ctx => sock.sendMessage(ctx.jid, { text: 'Help!' }));
+ *  await sendButtons(sock, USER, { text: 'Hi', buttons: [{ id: 'help', text: 'Help' }] });
+ *  expectButtons(sock.lastCall(), ['help']);
+ *  await sock.injectButtonReply(USER, { id: 'help', quoted: sock.lastCall() });
+ *  expectText(sock.lastCall(), 'Help!');
+ *  restore();
+ */
+
+const assert = require('assert');
+const { configure, getConfig } = require('./config');
+const { unwrapMessageContent } = require('./responses');
+
+const DEFAULT_BOT_JID = '15550000000:1@s.whatsapp.net';
+
+/**
+ * In-memory stand-in for the Baileys functions the helpers use
+ * (generateWAMessageFromContent, normalizeMessageContent, isJidGroup,
+ * generateMessageIDV2, prepareWAMessageMedia). Media is "uploaded" to fake URLs;
+ * images get a placeholder jpegThumbnail.
+ *
+ * @returns {object} Module object accepted by configure({ baileys }) / options.baileys.
+ */
+function createMockBaileys() {
+  let counter = 0;
+  return {
+    generateWAMessageFromContent(jid, message, opts = {}) {
+      const timestamp = opts.timestamp instanceof Date ? opts.timestamp : new Date();
+      return {
+        key: { remoteJid: jid, fromMe: true, id: opts.messageId },
+        message,
+        messageTimestamp: Math.floor(timestamp.getTime() / 1000)
+      };
+    },
+    normalizeMessageContent: content => unwrapMessageContent(content),
+    isJidGroup: jid => typeof jid === 'string' && jid.endsWith('@g.us'),
+    generateMessageIDV2: () => `3EB0MOCK${(++counter).toString(16).toUpperCase().padStart(8, '0')}`,
+    async prepareWAMessageMedia(content) {
+      const type = ['image', 'video', 'document'].find(key => content[key] != null);
+      if (!type) throw new Error('mock prepareWAMessageMedia: no media in content');
+      return {
+        [`${type}Message`]: {
+          url: `https://mock.whatsapp.net/${type}/${++counter}`,
+          mimetype: content.mimetype || `${type}/mock`,
+          ...(type === 'image' ? { jpegThumbnail: Buffer.from('mock-thumbnail') } : {}),
+          ...(content.fileName ? { fileName: content.fileName } : {})
+        }
+      };
+    }
+  };
+}
+
+/**
+ * Install createMockBaileys() as the package wide Baileys module.
+ * @returns {() => void} Restores the previously configured module.
+ */
+function useMockBaileys() {
+  const previous = getConfig().baileys;
+  configure({ baileys: createMockBaileys() });
+  return () => configure({ baileys: previous });
+}
+
+/**
+ * Create a recording socket.
+ *
+ * Calls are recorded in sock.calls as
+ *  { type: 'relay' | 'sendMessage', jid, message, additionalNodes, relayOptions, messageId }.
+ * Injected replies and own-event upserts go through sock.ev like real ones;
+ * inject* methods resolve after every messages.upsert listener has finished.
+ *
+ * @param {object} [options]
+ * @param {string} [options.jid='15550000000:1@s.whatsapp.net'] JID of the bot account.
+ * @param {boolean} [options.emitOwnEvents=true] Upsert sent messages (sock.config.emitOwnEvents).
+ * @param {object} [options.logger] Logger exposed as sock.logger.
+ * @returns {object} Mock socket.
+ */
+function createMockSocket(options = {}) {
+  const { jid: botJid = DEFAULT_BOT_JID, emitOwnEvents = true, logger } = options;
+  const listeners = new Map();
+  const pending = new Set();
+  const failures = [];
+  const sent = new Map();
+  let sequence = 0;
+
+  const track = promise => {
+    const tracked = Promise.resolve(promise).finally(() => pending.delete(tracked));
+    pending.add(tracked);
+    return tracked;
+  };
+
+  const ev = {
+    on(event, listener) {
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(listener);
+    },
+    off(event, listener) {
+      listeners.get(event)?.delete(listener);
+    },
+    emit(event, payload) {
+      const current = [...(listeners.get(event) || [])];
+      current.forEach(listener => track(listener(payload)));
+      return current.length > 0;
+    },
+    listenerCount(event) {
+      return listeners.get(event)?.size || 0;
+    }
+  };
+
+  const bareJid = botJid.replace(/:\d+@/, '@');
+  const nextId = () => `MOCKIN${(++sequence).toString(16).toUpperCase().padStart(8, '0')}`;
+  const quotedId = quoted => (typeof quoted === 'string' ? quoted : quoted?.messageId || quoted?.key?.id || null);
+  const contextInfo = quoted => {
+    const stanzaId = quotedId(quoted);
+    return stanzaId ? { stanzaId, participant: bareJid } : undefined;
+  };
+
+  const sock = {
+    user: { id: botJid, name: 'Mock Bot' },
+    authState: { creds: { me: { id: botJid, name: 'Mock Bot' } } },
+    // getMessage mirrors the Baileys store hook: content of messages sent through this socket.
+    config: { emitOwnEvents, getMessage: async key => sent.get(key?.id) },
+    logger: logger || undefined,
+    ev,
+    calls: [],
+    processingMutex: { mutex: fn => track(fn()) },
+
+    async relayMessage(jid, message, relayOptions = {}) {
+      if (failures.length) throw failures.shift();
+      const messageId = relayOptions.messageId || nextId();
+      sent.set(messageId, message);
+      sock.calls.push({
+        type: 'relay',
+        jid,
+        message,
+        additionalNodes: relayOptions.additionalNodes || [],
+        relayOptions,
+        messageId
+      });
+      return messageId;
+    },
+
+    /** Records plain sends (text replies and the like) without any Baileys processing. */
+    async sendMessage(jid, content) {
+      if (failures.length) throw failures.shift();
+      const messageId = nextId();
+      sent.set(messageId, content);
+      sock.calls.push({ type: 'sendMessage', jid, message: content, additionalNodes: [], relayOptions: {}, messageId });
+      const msg = { key: { remoteJid: jid, fromMe: true, id: messageId }, message: content, messageTimestamp: Math.floor(Date.now() / 1000) };
+      if (emitOwnEvents) ev.emit('messages.upsert', { messages: [msg], type: 'append' });
+      return msg;
+    },
+
+    upsertMessage(msg, type = 'append') {
+      ev.emit('messages.upsert', { messages: [msg], type });
+    },
+
+    /** Make the next relayMessage / sendMessage call(s) reject with err (queued in order). */
+    failNextRelay(err = new Error('mock relay failure')) {
+      failures.push(err);
+      return sock;
+    },
+
+    lastCall() {
+      return sock.calls[sock.calls.length - 1] || null;
+    },
+
+    /** Forget recorded calls, sent messages and queued failures. */
+    reset() {
+      sock.calls.length = 0;
+      failures.length = 0;
+      sent.clear();
+    },
+
+    /** Wait until scheduled own-event upserts and all listeners have finished. */
+    async settle() {
+      do {
+        await new Promise(resolve => setImmediate(resolve));
+        await Promise.allSettled([...pending]);
+      } while (pending.size);
+    },
+
+    /**
+     * Deliver an arbitrary incoming message through messages.upsert ('notify').
+     * @param {object} msg WAMessage ({ key, message }).
+     * @returns {Promise<object>} The delivered message.
+     */
+    async inject(msg) {
+      ev.emit('messages.upsert', { messages: [msg], type: 'notify' });
+      await sock.settle();
+      return msg;
+    },
+
+    /**
+     * Incoming buttonsResponseMessage. quoted: call, WAMessage or message id of the buttons message.
+     * @returns {Promise<object>}
+     */
+    injectButtonReply(from, { id, text = id, quoted } = {}) {
+      return sock.inject(incoming(from, {
+        buttonsResponseMessage: { selectedButtonId: id, selectedDisplayText: text, type: 1, contextInfo: contextInfo(quoted) }
+      }));
+    },
+
+    /** Incoming listResponseMessage for a row id. */
+    injectListReply(from, { id, title = id, description, quoted } = {}) {
+      return sock.inject(incoming(from, {
+        listResponseMessage: {
+          title,
+          description,
+          listType: 1,
+          singleSelectReply: { selectedRowId: id },
+          contextInfo: contextInfo(quoted)
+        }
+      }));
+    },
+
+    /** Incoming templateButtonReplyMessage. */
+    injectTemplateReply(from, { id, text = id, index = 0, quoted } = {}) {
+      return sock.inject(incoming(from, {
+        templateButtonReplyMessage: { selectedId: id, selectedDisplayText: text, selectedIndex: index, contextInfo: contextInfo(quoted) }
+      }));
+    },
+
+    /**
+     * Incoming interactiveResponseMessage (native flow). For quick_reply / single_select
+     * the id goes into paramsJson.id; params are merged in.
+     */
+    injectNativeFlowReply(from, { id, name = 'quick_reply', params = {}, text = id, quoted } = {}) {
+      const paramsJson = JSON.stringify(id != null ? { id, ...params } : params);
+      return sock.inject(incoming(from, {
+        interactiveResponseMessage: {
+          body: { text: text ?? '', format: 'DEFAULT' },
+          nativeFlowResponseMessage: { name, paramsJson, version: 3 },
+          contextInfo: contextInfo(quoted)
+        }
+      }));
+    },
+
+    /** Incoming locationMessage (quoted makes it an answer to a location request). */
+    injectLocation(from, { latitude, longitude, name, address, quoted } = {}) {
+      const location = { degreesLatitude: latitude, degreesLongitude: longitude };
+      if (name != null) location.name = name;
+      if (address != null) location.address = address;
+      const info = contextInfo(quoted);
+      if (info) location.contextInfo = info;
+      return sock.inject(incoming(from, { locationMessage: location }));
+    },
+
+    /** Incoming text (quoted turns it into an extendedTextMessage reply). */
+    injectText(from, text, { quoted } = {}) {
+      const info = contextInfo(quoted);
+      return sock.inject(incoming(from, info ? { extendedTextMessage: { text, contextInfo: info } } : { conversation: text }));
+    }
+  };
+
+  const incoming = (from, message) => {
+    const isGroup = typeof from === 'object' && from !== null;
+    const remoteJid = isGroup ? from.group : from;
+    return {
+      key: { remoteJid, fromMe: false, id: nextId(), ...(isGroup ? { participant: from.participant } : {}) },
+      message,
+      messageTimestamp: Math.floor(Date.now() / 1000),
+      pushName: 'Mock User'
+    };
+  };
+
+  return sock;
+}
+
+const parseParams = json => {
+  try {
+    return JSON.parse(json);
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Flatten a recorded call (or a message content object) into what a user would see.
+ *
+ * @param {object} call Entry of sock.calls, a WAMessage or message content.
+ * @returns {{kind: string|null, text: string|null, footer: string|null,
+ *   buttons: Array<{id: string|null, text: string|null, name: string}>,
+ *   rows: Array<{id: string, title: string, description?: string, section?: string}>,
+ *   cards: Array<object>, editOf: string|null}} editOf is the edited message id for edits.
+ */
+function describeCall(call) {
+  const raw = call?.message && (call.type || call.key) ? call.message : call;
+  // Edits (protocolMessage MESSAGE_EDIT) are described by their new content.
+  const edit = raw?.protocolMessage?.editedMessage ? raw.protocolMessage : null;
+  const content = unwrapMessageContent(edit ? edit.editedMessage : raw) || {};
+  const result = { kind: null, text: null, footer: null, buttons: [], rows: [], cards: [], editOf: edit?.key?.id ?? null };
+  const nativeButtons = (buttons = []) => buttons.map(b => {
+    const params = parseParams(b.buttonParamsJson);
+    return { id: params.id ?? null, text: params.display_text ?? params.title ?? null, name: b.name, params };
+  });
+  const selectRows = buttons => buttons
+    .filter(b => b.name === 'single_select')
+    .flatMap(b => (b.params.sections || []).flatMap(s => (s.rows || []).map(r => ({
+      id: r.id, title: r.title, description: r.description, section: s.title
+    }))));
+
+  if (content.interactiveMessage) {
+    const im = content.interactiveMessage;
+    result.text = im.body?.text ?? null;
+    result.footer = im.footer?.text ?? null;
+    if (im.carouselMessage) {
+      result.kind = 'carousel';
+      result.cards = (im.carouselMessage.cards || []).map(card => ({
+        title: card.header?.title ?? null,
+        text: card.body?.text ?? null,
+        footer: card.footer?.text ?? null,
+        buttons: nativeButtons(card.nativeFlowMessage?.buttons)
+      }));
+    } else {
+      result.kind = 'native_flow';
+      result.buttons = nativeButtons(im.nativeFlowMessage?.buttons);
+      result.rows = selectRows(result.buttons);
+    }
+  } else if (content.buttonsMessage) {
+    const bm = content.buttonsMessage;
+    result.kind = 'buttons';
+    result.text = bm.contentText ?? null;
+    result.footer = bm.footerText ?? null;
+    result.buttons = (bm.buttons || []).map(b => ({ id: b.buttonId, text: b.buttonText?.displayText ?? null, name: 'quick_reply' }));
+  } else if (content.listMessage) {
+    const lm = content.listMessage;
+    result.kind = 'list';
+    result.text = lm.description ?? null;
+    result.footer = lm.footerText ?? null;
+    result.rows = (lm.sections || []).flatMap(s => (s.rows || []).map(r => ({
+      id: r.rowId, title: r.title, description: r.description, section: s.title
+    })));
+  } else if (content.templateMessage) {
+    const tpl = content.templateMessage.hydratedTemplate || {};
+    result.kind = 'template';
+    result.text = tpl.hydratedContentText ?? null;
+    result.footer = tpl.hydratedFooterText ?? null;
+    result.buttons = (tpl.hydratedButtons || []).map(b => {
+      if (b.quickReplyButton) return { id: b.quickReplyButton.id, text: b.quickReplyButton.displayText, name: 'quick_reply' };
+      if (b.urlButton) return { id: null, text: b.urlButton.displayText, name: 'cta_url', url: b.urlButton.url };
+      if (b.callButton) return { id: null, text: b.callButton.displayText, name: 'cta_call', phoneNumber: b.callButton.phoneNumber };
+      return { id: null, text: null, name: 'unknown' };
+    });
+  } else {
+    result.kind = 'text';
+    result.text = content.conversation ?? content.extendedTextMessage?.text ?? content.text ?? null;
+  }
+  return result;
+}
+
+// Expected entries are ids (strings) or partial objects compared field by field.
+function matchEntries(actual, expected, label) {
+  assert.ok(Array.isArray(expected), `${label}: expected value must be an array`);
+  const picked = actual.map((entry, i) => {
+    const want = expected[i];
+    if (typeof want === 'string' || want == null) return entry.id;
+    return Object.fromEntries(Object.keys(want).map(key => [key, entry[key]]));
+  });
+  const wanted = expected.map(want => (typeof want === 'string' || want == null ? want : { ...want }));
+  assert.deepStrictEqual(picked, wanted, `${label} differ`);
+}
+
+/**
+ * Assert the buttons of a call, in order. expected: ids or partial { id, text, name } objects.
+ * Carousel calls compare the buttons of all cards in order.
+ */
+function expectButtons(call, expected) {
+  assert.ok(call, 'expectButtons: no call recorded');
+  const described = describeCall(call);
+  const buttons = described.kind === 'carousel' ? described.cards.flatMap(card => card.buttons) : described.buttons;
+  matchEntries(buttons, expected, 'buttons');
+}
+
+/** Assert the list rows (listMessage or single_select) of a call, in order. expected: ids or partial { id, title, description, section }. */
+function expectListRows(call, expected) {
+  assert.ok(call, 'expectListRows: no call recorded');
+  matchEntries(describeCall(call).rows, expected, 'list rows');
+}
+
+/** Assert the body text of a call: exact string or RegExp. */
+function expectText(call, expected) {
+  assert.ok(call, 'expectText: no call recorded');
+  const { text } = describeCall(call);
+  if (expected instanceof RegExp) {
+    assert.match(text ?? '', expected);
+  } else {
+    assert.strictEqual(text, expected);
+  }
+}
+
+module.exports = {
+  createMockSocket,
+  createMockBaileys,
+  useMockBaileys,
+  describeCall,
+  expectButtons,
+  expectListRows,
+  expectText
+};
@@ -0,0 +1,226 @@
+/**
+ * Plain-text numbered menu fallback for clients that never render native flow
+ * buttons (old clients, WhatsApp Web, companion devices).
+ *
+ * With options.fallback = 'text' the send helpers render their payload as
+ *
+ *  *Title*
+ *  Body
+ *
+ *  1. First option
+ *  2. Second option
+ *
+ * and remember, per chat, which button / row id each number stands for. A later
+ * text reply ("2", "two", "2." or the option label) is resolved back to that id
+ * by resolveTextMenuReply, so createInteractiveRouter dispatches it to the same
+ * handler as a real click.
+ *
+ * The mapping lives in a menu store ({ get, set, delete }, sync or async). The
+ * default keeps the latest menu per chat in memory; pass options.menuStore or
+ * configure({ menuStore }) to share it across processes (e.g. Redis).
+ */
+
+const { getConfig } = require('./config');
+const { unwrapMessageContent } = require('./responses');
+
+const NUMBER_WORDS = [
+  'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen', 'twenty'
+];
+
+const DEFAULT_MENU_HINT = 'Reply with the number of your choice.';
+
+/**
+ * In-memory menu store keeping the latest menu of each chat.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.maxChats=1000] Oldest chats are evicted beyond this size.
+ * @param {number} [opts.ttlMs=86400000] Menus older than this no longer resolve replies.
+ * @returns {{get: Function, set: Function, delete: Function}}
+ */
+function createMemoryMenuStore({ maxChats = 1000, ttlMs = 24 * 60 * 60 * 1000 } = {}) {
+  const menus = new Map();
+  return {
+    get(jid) {
+      const entry = menus.get(jid);
+      if (!entry) return null;
+      if (Date.now() - entry.storedAt > ttlMs) {
+        menus.delete(jid);
+        return null;
+      }
+      return entry.menu;
+    },
+    set(jid, menu) {
+      // Re-insert so Map order doubles as least-recently-stored order.
+      menus.delete(jid);
+      menus.set(jid, { menu, storedAt: Date.now() });
+      if (menus.size > maxChats) {
+        menus.delete(menus.keys().next().value);
+      }
+    },
+    delete(jid) {
+      menus.delete(jid);
+    }
+  };
+}
+
+const defaultStore = createMemoryMenuStore();
+
+/**
+ * Store used for one call: options.menuStore -> configure({ menuStore }) -> in-memory default.
+ * @param {object} [options]
+ * @returns {{get: Function, set: Function, delete: Function}}
+ */
+function resolveMenuStore(options = {}) {
+  return options.menuStore || getConfig().menuStore || defaultStore;
+}
+
+/**
+ * Turn native flow buttons (output of buildInteractiveButtons) into menu groups.
+ * quick_reply buttons and single_select rows become numbered options; cta_url /
+ * cta_copy / cta_call become informational lines; other names are skipped.
+ *
+ * @param {Array<{name: string, buttonParamsJson: string}>} interactiveButtons
+ * @param {{title?: string, text?: string}} [group] Title / text of the first group.
+ * @returns {Array<{title?: string, text?: string, options: Array<object>, info: string[]}>}
+ */
+function menuGroupsFromInteractiveButtons(interactiveButtons = [], group = {}) {
+  const main = { ...group, options: [], info: [] };
+  const groups = [main];
+  for (const btn of interactiveButtons) {
+    let params;
+    try { params = JSON.parse(btn?.buttonParamsJson || '{}'); } catch { continue; }
+    switch (btn.name) {
+      case 'quick_reply':
+        main.options.push({ id: params.id, label: params.display_text });
+        break;
+      case 'single_select':
+        (params.sections || []).forEach(section => {
+          groups.push({
+            title: section.title,
+            options: (section.rows || []).map(row => ({ id: row.id, label: row.title, description: row.description })),
+            info: []
+          });
+        });
+        break;
+      case 'cta_url':
+        main.info.push(`${params.display_text}: ${params.url}`);
+        break;
+      case 'cta_copy':
+        main.info.push(`${params.display_text}: ${params.copy_code}`);
+        break;
+      case 'cta_call':
+        main.info.push(`${params.display_text}: ${params.phone_number}`);
+        break;
+      default:
+        break;
+    }
+  }
+  return groups;
+}
+
+/**
+ * Render a menu as WhatsApp formatted text and number its options.
+ *
+ * @param {object} menu
+ * @param {string} [menu.title] Bold first line.
+ * @param {string} [menu.text] Body.
+ * @param {string} [menu.footer] Italic last line (before the hint).
+ * @param {Array<{title?: string, text?: string, options: Array<{id: string, label: string, description?: string}>, info?: string[]}>} menu.groups
+ * @param {object} [options]
+ * @param {string|null} [options.menuHint] Closing instruction line; null to omit.
+ * @returns {{text: string, entries: Array<{number: number, id: string, label: string}>}}
+ */
+function renderTextMenu(menu, options = {}) {
+  const blocks = [];
+  const entries = [];
+  const head = [menu.title && `*${menu.title}*`, menu.text].filter(Boolean);
+  if (head.length) blocks.push(head.join('\n'));
+  for (const group of menu.groups || []) {
+    const lines = [];
+    if (group.title) lines.push(`*${group.title}*`);
+    if (group.text) lines.push(group.text);
+    for (const option of group.options || []) {
+      const number = entries.length + 1;
+      entries.push({ number, id: option.id, label: option.label });
+      lines.push(`${number}. ${option.label}`);
+      if (option.description) lines.push(`    ${option.description}`);
+    }
+    lines.push(...(group.info || []));
+    if (lines.length) blocks.push(lines.join('\n'));
+  }
+  if (menu.footer) blocks.push(`_${menu.footer}_`);
+  const hint = options.menuHint === undefined ? DEFAULT_MENU_HINT : options.menuHint;
+  if (hint && entries.length) blocks.push(hint);
+  return { text: blocks.join('\n\n'), entries };
+}
+
+/**
+ * Remember the number -> id mapping of a sent menu.
+ * @param {string} jid Chat the menu was sent to.
+ * @param {{messageId: string, entries: Array<{number: number, id: string, label: string}>}} menu
+ * @param {object} [options]
+ */
+async function rememberTextMenu(jid, menu, options = {}) {
+  await resolveMenuStore(options).set(jid, menu);
+}
+
+/**
+ * Parse a menu choice: "2", "2.", "#2", "two" (case and surrounding spaces ignored).
+ * @param {string} text
+ * @returns {number|null}
+ */
+function parseMenuChoice(text) {
+  if (typeof text !== 'string') return null;
+  const value = text.trim().toLowerCase();
+  const digits = /^#?(\d{1,3})[.)]?$/.exec(value);
+  if (digits) return Number(digits[1]);
+  const word = NUMBER_WORDS.indexOf(value);
+  return word > 0 ? word : null;
+}
+
+/**
+ * Resolve a plain text reply against the chat's latest text menu.
+ * Returns the same shape as parseInteractiveResponse with kind 'text_menu', so
+ * handlers keyed on button ids work unchanged. Replies quoting a different
+ * message than the stored menu are ignored.
+ *
+ * @param {object} msg WAMessage from messages.upsert.
+ * @param {object} [options] options.menuStore overrides the store.
+ * @returns {Promise<{kind: 'text_menu', id: string, displayText: string, params: {number: number}, quotedMessageId: string|null, from: string|null, name: null}|null>}
+ */
+async function resolveTextMenuReply(msg, options = {}) {
+  const jid = msg?.key?.remoteJid;
+  const content = unwrapMessageContent(msg?.message);
+  if (!jid || !content) return null;
+  const text = content.conversation ?? content.extendedTextMessage?.text;
+  if (typeof text !== 'string') return null;
+  const menu = await resolveMenuStore(options).get(jid);
+  if (!menu || !Array.isArray(menu.entries)) return null;
+  const quotedMessageId = content.extendedTextMessage?.contextInfo?.stanzaId || null;
+  if (quotedMessageId && menu.messageId && quotedMessageId !== menu.messageId) return null;
+  const number = parseMenuChoice(text);
+  const label = text.trim().toLowerCase();
+  const entry = number != null
+    ? menu.entries.find(e => e.number === number)
+    : menu.entries.find(e => typeof e.label === 'string' && e.label.trim().toLowerCase() === label);
+  if (!entry) return null;
+  return {
+    kind: 'text_menu',
+    id: entry.id,
+    displayText: entry.label,
+    params: { number: entry.number },
+    quotedMessageId,
+    from: msg.key.participant || msg.participant || jid,
+    name: null
+  };
+}
+
+module.exports = {
+  createMemoryMenuStore,
+  menuGroupsFromInteractiveButtons,
+  renderTextMenu,
+  rememberTextMenu,
+  parseMenuChoice,
+  resolveTextMenuReply
+};
@@ -0,0 +1,1055 @@
+/**
+ * Type declarations for zqbaileys_helper (export.js).
+ *
+ * Native flow buttons are typed as a union discriminated on `name`; their
+ * params follow the required fields of the built-in button registry
+ * (REQUIRED_FIELDS_MAP). Build them with nativeFlowButton(name, params) to get
+ * the params checked at compile time and stringified at runtime.
+ */
+
+/// <reference types="node" />
+
+import { EventEmitter } from 'events';
+
+// -------------------- COMMON --------------------
+
+/** Media accepted for headers: a Buffer, a readable stream or a { url }. */
+export type MediaInput = Buffer | NodeJS.ReadableStream | { url: string | URL };
+
+export interface HeaderMedia {
+  image?: MediaInput;
+  video?: MediaInput;
+  document?: MediaInput;
+  mimetype?: string;
+  fileName?: string;
+  location?: {
+    degreesLatitude: number;
+    degreesLongitude: number;
+    name?: string;
+    address?: string;
+  };
+}
+
+/** Minimal socket surface the helpers use (a Baileys WASocket satisfies it). */
+export interface SocketLike {
+  user?: { id: string } | null;
+  authState?: unknown;
+  logger?: Logger;
+  relayMessage(jid: string, message: object, options: object): Promise<unknown>;
+  ev?: {
+    on(event: string, listener: (...args: any[]) => void): void;
+    off(event: string, listener: (...args: any[]) => void): void;
+  };
+  [key: string]: any;
+}
+
+/** Message key / content as produced by Baileys (kept loose on purpose). */
+export interface WAMessageLike {
+  key: { remoteJid?: string | null; fromMe?: boolean | null; id?: string | null; participant?: string | null };
+  message?: Record<string, any> | null;
+  [key: string]: any;
+}
+
+export interface Logger {
+  trace?(obj: unknown, msg?: string): void;
+  debug?(obj: unknown, msg?: string): void;
+  info?(obj: unknown, msg?: string): void;
+  warn?(obj: unknown, msg?: string): void;
+  error?(obj: unknown, msg?: string): void;
+}
+
+export type LogLevel = 'trace' | 'debug' | 'info' | 'warn' | 'error' | 'silent';
+export type LimitPolicy = 'error' | 'warn' | 'truncate';
+
+// -------------------- NATIVE FLOW BUTTONS --------------------
+
+export interface SingleSelectRow {
+  id?: string;
+  /** Signed button data, encoded into `id` at send time (see encodeButtonData). */
+  data?: unknown;
+  title: string;
+  description?: string;
+  header?: string;
+}
+
+export interface SingleSelectSection {
+  title?: string;
+  highlight_label?: string;
+  rows: SingleSelectRow[];
+}
+
+/** buttonParamsJson contents per built-in native flow name. */
+export interface NativeFlowParamsMap {
+  quick_reply: { display_text: string; id: string };
+  cta_url: { display_text: string; url: string; merchant_url?: string };
+  cta_copy: { display_text: string; copy_code: string };
+  cta_call: { display_text: string; phone_number: string };
+  cta_catalog: { business_phone_number?: string; catalog_product_id?: string; [key: string]: unknown };
+  cta_reminder: { display_text: string; [key: string]: unknown };
+  cta_cancel_reminder: { display_text: string; [key: string]: unknown };
+  address_message: {
+    display_text: string;
+    country?: AddressCountry;
+    values?: AddressValues;
+    saved_addresses?: Array<{ id: string; value: AddressValues }>;
+    validation_errors?: Partial<Record<keyof AddressValues, string>>;
+    [key: string]: unknown;
+  };
+  send_location: { display_text?: string; [key: string]: unknown };
+  open_webview: { title: string; link: { url: string; in_app_webview?: boolean } };
+  mpm: { product_id: string; [key: string]: unknown };
+  wa_payment_transaction_details: { transaction_id: string; [key: string]: unknown };
+  automated_greeting_message_view_catalog: { business_phone_number: string; catalog_product_id: string };
+  galaxy_message: {
+    flow_token: string;
+    flow_id: string;
+    flow_message_version?: string;
+    flow_cta?: string;
+    flow_action?: 'navigate' | 'data_exchange';
+    flow_action_payload?: { screen: string; data?: Record<string, unknown> };
+    mode?: 'draft' | 'published';
+    [key: string]: unknown;
+  };
+  single_select: { title: string; sections: SingleSelectSection[] };
+  call_permission_request: { [key: string]: unknown };
+  review_and_pay: OrderParams;
+  payment_info: OrderParams & { payment_settings: PaymentSettingParams[] };
+}
+
+// -------------------- MONEY / ORDERS (buttonParamsJson) --------------------
+
+/** WhatsApp money format: value / offset is the amount (offset 100 for two decimals). */
+export interface Money {
+  value: number;
+  offset: number;
+}
+
+export interface OrderItemParams {
+  retailer_id: string;
+  product_id?: string;
+  name: string;
+  amount: Money;
+  sale_amount?: Money;
+  quantity: number;
+}
+
+export type PaymentSettingParams =
+  | { type: 'pix_static_code'; pix_static_code: { merchant_name: string; key: string; key_type: PixKeyType } }
+  | { type: 'payment_link'; payment_link: { uri: string } }
+  | { type: 'boleto'; boleto: { digitable_line: string } }
+  | { type: string; [key: string]: unknown };
+
+export interface OrderParams {
+  reference_id: string;
+  type?: 'physical-goods' | 'digital-goods';
+  currency: string;
+  total_amount: Money;
+  order: {
+    status: string;
+    type?: string;
+    items?: OrderItemParams[];
+    subtotal?: Money;
+    tax?: Money & { description?: string };
+    shipping?: Money & { description?: string };
+    discount?: Money & { description?: string };
+    expiration?: { timestamp: number; description?: string };
+  };
+  payment_settings?: PaymentSettingParams[];
+  share_payment_status?: boolean;
+  [key: string]: unknown;
+}
+
+export type NativeFlowName = keyof NativeFlowParamsMap;
+
+/** A native flow button with a known name; buttonParamsJson is JSON.stringify(NativeFlowParamsMap[N]). */
+export interface NativeFlowButton<N extends string = NativeFlowName> {
+  name: N;
+  buttonParamsJson: string;
+}
+
+/** Discriminated union over every built-in name. */
+export type AnyNativeFlowButton = { [N in NativeFlowName]: NativeFlowButton<N> }[NativeFlowName];
+
+/** Params for a name: typed for built-in names, free-form for names added with registerButtonType. */
+export type NativeFlowParams<N extends string> = N extends NativeFlowName ? NativeFlowParamsMap[N] : Record<string, unknown>;
+
+declare const customNativeFlowButton: unique symbol;
+
+/**
+ * A button for a name added with registerButtonType. Get one from nativeFlowButton(name, params)
+ * (or cast); plain objects with a built-in name are checked against AnyNativeFlowButton instead.
+ */
+export interface CustomNativeFlowButton<N extends string = string> extends NativeFlowButton<N> {
+  readonly [customNativeFlowButton]: true;
+}
+
+/** What nativeFlowButton returns for a name. */
+export type NativeFlowButtonFor<N extends string> = N extends NativeFlowName ? NativeFlowButton<N> : CustomNativeFlowButton<N>;
+
+/** Build a native flow button from typed params (checked against the registry at runtime too). */
+export function nativeFlowButton<N extends string>(name: N, params: NativeFlowParams<N>): NativeFlowButtonFor<N>;
+
+/** Legacy quick reply shapes accepted wherever buttons are. */
+export type LegacyButton =
+  | { id: string; text?: string; displayText?: string }
+  | { data: unknown; text?: string; displayText?: string }
+  | { buttonId: string; buttonText: { displayText: string }; type?: number };
+
+export type AuthoringButton = AnyNativeFlowButton | CustomNativeFlowButton | LegacyButton;
+
+// -------------------- VALIDATION --------------------
+
+export interface LimitChange {
+  path: string;
+  limit: number;
+  from: string;
+  to: string;
+}
+
+export interface ValidationResult {
+  valid: boolean;
+  errors: string[];
+  warnings: string[];
+}
+
+/** Validators that apply WhatsApp limits return the (possibly truncated) payload. */
+export interface CleanedValidationResult<T> extends ValidationResult {
+  changes: LimitChange[];
+  cleaned: T;
+}
+
+export interface ValidationOptions {
+  /** Handling of WhatsApp limit violations (default: configure({ limitPolicy }), then 'warn'). */
+  limitPolicy?: LimitPolicy;
+}
+
+export class InteractiveValidationError extends Error {
+  name: 'InteractiveValidationError';
+  context?: string;
+  errors: string[];
+  warnings: string[];
+  example?: unknown;
+  constructor(message: string, meta?: { context?: string; errors?: string[]; warnings?: string[]; example?: unknown });
+  toJSON(): { name: string; message: string; context?: string; errors: string[]; warnings: string[]; example?: unknown };
+  formatDetailed(): string;
+}
+
+export function validateAuthoringButtons(buttons: AuthoringButton[]): ValidationResult & { cleaned: AuthoringButton[] };
+export function validateInteractiveMessageContent(content: object, opts?: { allowEmptyButtons?: boolean }): ValidationResult;
+export function validateSendButtonsPayload(data: SendButtonsData, options?: ValidationOptions): CleanedValidationResult<SendButtonsData>;
+export function validateSendInteractiveMessagePayload(data: InteractiveContent, options?: ValidationOptions): CleanedValidationResult<InteractiveContent>;
+export function validateListMessagePayload(data: ListMessageData, options?: ValidationOptions): CleanedValidationResult<ListMessageData>;
+export function validateCardsPayload(data: CardsData, options?: ValidationOptions & { requireMedia?: boolean }): CleanedValidationResult<CardsData>;
+export function normalizeTemplateButtons(buttons?: HydratedTemplateButton[], options?: ValidationOptions): CleanedValidationResult<HydratedTemplateButton[]>;
+
+export const WA_LIMITS: Readonly<{
+  bodyText: number;
+  footerText: number;
+  headerText: number;
+  buttonLabel: number;
+  flowCta: number;
+  buttonId: number;
+  listButtonText: number;
+  sectionTitle: number;
+  rowTitle: number;
+  rowDescription: number;
+  rowId: number;
+  sectionsPerList: number;
+  rowsPerList: number;
+  productSections: number;
+  productsPerList: number;
+  nativeFlowButtons: number;
+  templateButtons: number;
+}>;
+
+// -------------------- BUTTON TYPE REGISTRY --------------------
+
+export type BizNode =
+  | 'mixed'
+  | 'named'
+  | { nativeFlowName: string }
+  | ButtonNodeHook;
+
+export interface ButtonTypeDefinition {
+  requiredFields?: string[];
+  validate?: (params: Record<string, any>) => string[] | string | void;
+  allowedIn?: Array<'sendButtons' | 'interactive'>;
+  bizNode?: BizNode;
+}
+
+export interface RegisteredButtonType {
+  readonly name: string;
+  readonly requiredFields: readonly string[];
+  readonly validate: ButtonTypeDefinition['validate'] | null;
+  readonly allowedIn: ReadonlyArray<'sendButtons' | 'interactive'>;
+  readonly bizNode: BizNode;
+}
+
+export function registerButtonType(name: string, definition?: ButtonTypeDefinition): RegisteredButtonType;
+export function unregisterButtonType(name: string): boolean;
+export function getButtonTypeDefinition(name: string): RegisteredButtonType | null;
+export function listButtonTypes(scope?: 'sendButtons' | 'interactive'): string[];
+export const REQUIRED_FIELDS_MAP: { readonly [N in NativeFlowName]: readonly string[] } & { readonly [name: string]: readonly string[] };
+
+// -------------------- SEND OPTIONS --------------------
+
+export type StrategyEncoding = 'native_flow' | 'buttonsMessage' | 'templateMessage' | 'text';
+
+export interface SendOptions extends ValidationOptions {
+  logger?: Logger;
+  logLevel?: LogLevel;
+  /** Baileys module to use instead of the installed one. */
+  baileys?: object;
+  /** Wrap in documentWithCaptionMessage (multi-device patch). Default: true, except for carousels. */
+  mdPatch?: boolean;
+  /**
+   * Show the AI icon: passes AI: true to Baileys when generating and relaying the message.
+   * Does not decide the bot node; that is the node profile's botNode rule.
+   */
+  ai?: boolean;
+  additionalNodes?: BinaryNode[];
+  additionalAttributes?: Record<string, string>;
+  statusJidList?: string[];
+  useCachedGroupMetadata?: boolean;
+  /** Forwarded to prepareWAMessageMedia for header media. */
+  mediaCache?: unknown;
+  mediaUploadTimeoutMs?: number;
+  /** Try several encodings in order when relayMessage rejects one. */
+  strategy?: Array<StrategyEncoding | { encoding: StrategyEncoding; mdPatch?: boolean }>;
+  /** Layout used for more than maxButtons options. */
+  overflow?: 'list' | 'paginate';
+  maxButtons?: number;
+  page?: number;
+  moreText?: string;
+  listButtonText?: string;
+  sectionTitle?: string;
+  /** 'text' sends a numbered text menu; 'buttons' is the sendCards legacy rendering. */
+  fallback?: 'text' | 'buttons';
+  menuHint?: string | null;
+  menuStore?: MenuStore;
+  /** Secret for { data } buttons (default: configure({ buttonSecret })). */
+  buttonSecret?: string | Buffer;
+  /** Lifetime of { data } button ids in seconds. */
+  buttonDataTtl?: number;
+  /** Bind { data } button ids to the destination chat. Default: true. */
+  bindButtonData?: boolean;
+  /** Binary node profile name or inline profile (default: configure({ nodeProfile }) then 'default'). */
+  nodeProfile?: string | NodeProfileInput;
+  /** Accept nativeFlowMessage.buttons: [] without a warning (set by disableInteractiveButtons). */
+  allowEmptyButtons?: boolean;
+  [key: string]: unknown;
+}
+
+export interface BinaryNode {
+  tag: string;
+  attrs: Record<string, string>;
+  content?: BinaryNode[] | string | Uint8Array;
+}
+
+/** WAMessage returned by the send helpers (extra fields only when options.strategy is used). */
+export type SentMessage = WAMessageLike & {
+  encoding?: StrategyEncoding;
+  encodingAttempts?: Array<{ encoding: StrategyEncoding; skipped?: string; error?: string }>;
+};
+
+// -------------------- SEND HELPERS --------------------
+
+export interface SendButtonsData extends HeaderMedia {
+  text?: string;
+  footer?: string;
+  title?: string;
+  subtitle?: string;
+  buttons: AuthoringButton[];
+}
+
+export interface InteractiveContent extends HeaderMedia {
+  text?: string;
+  footer?: string;
+  title?: string;
+  subtitle?: string;
+  interactiveButtons?: AuthoringButton[];
+  [key: string]: unknown;
+}
+
+export interface ListRow {
+  rowId?: string;
+  /** Signed button data, encoded into `rowId` at send time. */
+  data?: unknown;
+  title: string;
+  description?: string;
+}
+
+export interface ListSection {
+  title?: string;
+  rows: ListRow[];
+}
+
+export interface ListMessageData {
+  text?: string;
+  footer?: string;
+  title?: string;
+  buttonText: string;
+  sections: ListSection[];
+  listType?: number;
+  productListInfo?: object;
+  contextInfo?: object;
+}
+
+export type HydratedTemplateButton =
+  | { index?: number; quickReplyButton: { displayText: string; id?: string; data?: unknown } }
+  | { index?: number; urlButton: { displayText: string; url: string } }
+  | { index?: number; callButton: { displayText: string; phoneNumber: string } };
+
+export interface TemplateButtonsHydratedData {
+  text?: string;
+  footer?: string;
+  templateButtons?: HydratedTemplateButton[];
+  buttons?: HydratedTemplateButton[];
+  headerMessage?: object;
+}
+
+export interface TemplateButtonsData {
+  text?: string;
+  footer?: string;
+  buttons: AuthoringButton[];
+}
+
+export interface Card {
+  id?: string;
+  title?: string;
+  body?: string;
+  footer?: string;
+  image?: MediaInput;
+  video?: MediaInput;
+  imageUrl?: string;
+  videoUrl?: string;
+  buttons?: AuthoringButton[];
+}
+
+export interface CardsData {
+  text?: string;
+  footer?: string;
+  cards: Card[];
+  headerImage?: MediaInput;
+  headerVideo?: MediaInput;
+  headerImageUrl?: string;
+  headerVideoUrl?: string;
+  mediaCaption?: string;
+}
+
+export function sendButtons(sock: SocketLike, jid: string, data: SendButtonsData, options?: SendOptions): Promise<SentMessage>;
+export function sendInteractiveMessage(sock: SocketLike, jid: string, content: InteractiveContent | Record<string, any>, options?: SendOptions): Promise<SentMessage>;
+export function sendListMessage(sock: SocketLike, jid: string, data: ListMessageData, options?: SendOptions): Promise<SentMessage>;
+export function sendTemplateButtons(sock: SocketLike, jid: string, data: TemplateButtonsData, options?: SendOptions): Promise<SentMessage>;
+export function sendTemplateButtonsHydrated(sock: SocketLike, jid: string, data: TemplateButtonsHydratedData, options?: SendOptions): Promise<SentMessage>;
+export function sendCards(sock: SocketLike, jid: string, data: CardsData, options?: SendOptions): Promise<SentMessage>;
+
+export function buildInteractiveMessage(
+  sock: SocketLike,
+  jid: string,
+  content: InteractiveContent | Record<string, any>,
+  options?: SendOptions
+): Promise<{ message: WAMessageLike; additionalNodes: BinaryNode[]; relayOptions: object; isPrivate: boolean }>;
+
+export function getButtonType(message: object): 'list' | 'buttons' | 'native_flow' | null;
+export function getButtonArgs(message: object, options?: { nodeProfile?: string | NodeProfileInput }): BinaryNode;
+export function patchMessageForMdIfRequired<T extends object>(message: T): T | { documentWithCaptionMessage: { message: T } };
+
+/** "More…" reply id -> page number for options.overflow = 'paginate'. */
+export function parseOverflowPage(id: string | null | undefined): number | null;
+
+// -------------------- BUILDER --------------------
+
+export class InteractiveMessageBuilder {
+  body(text: string): this;
+  footer(text: string): this;
+  header(header: string | { title?: string; subtitle?: string }): this;
+  button<N extends string>(name: N, params: NativeFlowParams<N>): this;
+  quickReply(id: string, text: string): this;
+  url(text: string, url: string, options?: { merchantUrl?: string }): this;
+  copy(text: string, code: string): this;
+  call(text: string, phone: string): this;
+  singleSelect(title: string, sections: SingleSelectSection[]): this;
+  build(options?: ValidationOptions): InteractiveContent & { interactiveButtons: Array<AnyNativeFlowButton | CustomNativeFlowButton> };
+  send(sock: SocketLike, jid: string, options?: SendOptions): Promise<SentMessage>;
+}
+
+// -------------------- REPLIES --------------------
+
+export interface InteractiveReply {
+  /** 'location' only comes from the router (quoted location messages). */
+  kind: 'native_flow' | 'buttons' | 'list' | 'template' | 'text_menu' | 'location';
+  id: string | null;
+  displayText: string | null;
+  params: Record<string, any>;
+  quotedMessageId: string | null;
+  from: string | null;
+  name: string | null;
+  /** Verified signed button data (set by the router). */
+  data?: unknown;
+  /** Submitted WhatsApp Flow (set by the router). */
+  flow?: FlowResponse;
+  /** Shared location (set by the router for kind 'location'). */
+  location?: LocationReply;
+  /** Submitted address form (set by the router). */
+  address?: AddressResponse;
+}
+
+export function parseInteractiveResponse(msg: WAMessageLike | Record<string, any>): InteractiveReply | null;
+export function unwrapMessageContent(content: Record<string, any> | null | undefined): Record<string, any> | null;
+
+export interface RouterContext {
+  sock: SocketLike;
+  msg: WAMessageLike;
+  reply: InteractiveReply;
+  jid: string | null;
+  id: string | null;
+  params: Record<string, any>;
+  data: unknown;
+  flow: FlowResponse | null;
+  location: LocationReply | null;
+  address: AddressResponse | null;
+  match: RegExpMatchArray | null;
+  state: Record<string, any>;
+  /** Edit the answered message so it has no buttons (note defaults to "You selected: <label>"). */
+  disableButtons(note?: string): Promise<SentMessage>;
+}
+
+export type RouterHandler = (ctx: RouterContext) => unknown;
+export type RouterMiddleware = (ctx: RouterContext, next: () => Promise<void>) => unknown;
+export type RouterMatcher =
+  | string
+  | RegExp
+  | { id: string }
+  | { prefix: string }
+  | { regex: RegExp }
+  | { name: string }
+  | { kind: InteractiveReply['kind'] }
+  | { data: (data: any) => boolean }
+  | { flowToken: string | RegExp };
+
+export interface RouterOptions {
+  types?: string[];
+  ignoreOwn?: boolean;
+  autoStart?: boolean;
+  onError?: (err: Error, ctx: RouterContext) => unknown;
+  logger?: Logger;
+  logLevel?: LogLevel;
+  textMenu?: boolean;
+  menuStore?: MenuStore;
+  buttonSecret?: string | Buffer;
+  /** Route locations that quote a message as kind 'location' (default false). */
+  locations?: boolean;
+  /** Replace the buttons of answered messages with a note after a handler ran. */
+  disableButtons?: boolean | {
+    note?: string | ((ctx: RouterContext) => string);
+    /** Original message content by key (default: sock.config.getMessage). */
+    getMessage?: (key: MessageKey) => Promise<Record<string, any> | null | undefined>;
+  };
+}
+
+export interface InteractiveRouter {
+  use(fn: RouterMiddleware): this;
+  on(matcher: RouterMatcher, handler: RouterHandler): this;
+  prefix(prefix: string, handler: RouterHandler): this;
+  regex(regex: RegExp, handler: RouterHandler): this;
+  flow(name: NativeFlowName | (string & {}), handler: RouterHandler): this;
+  fallback(handler: RouterHandler): this;
+  onError(handler: (err: Error, ctx: RouterContext) => unknown): this;
+  handle(msg: WAMessageLike): Promise<boolean>;
+  start(): this;
+  stop(): this;
+}
+
+export function createInteractiveRouter(sock: SocketLike, options?: RouterOptions): InteractiveRouter;
+
+// -------------------- TEXT MENUS --------------------
+
+export interface TextMenuEntry {
+  number: number;
+  id: string;
+  label: string;
+}
+
+export interface MenuStore {
+  get(jid: string): unknown | Promise<unknown>;
+  set(jid: string, value: any): unknown | Promise<unknown>;
+  delete?(jid: string): unknown | Promise<unknown>;
+}
+
+export interface TextMenuGroup {
+  title?: string;
+  text?: string;
+  options: Array<{ id: string; label: string; description?: string }>;
+  info?: string[];
+}
+
+export function createMemoryMenuStore(options?: { maxChats?: number; ttlMs?: number }): Required<MenuStore>;
+export function menuGroupsFromInteractiveButtons(interactiveButtons?: NativeFlowButton<string>[], group?: { title?: string; text?: string }): Array<TextMenuGroup & { info: string[] }>;
+export function renderTextMenu(
+  menu: { title?: string; text?: string; footer?: string; groups: TextMenuGroup[] },
+  options?: { menuHint?: string | null }
+): { text: string; entries: TextMenuEntry[] };
+export function rememberTextMenu(jid: string, menu: { messageId: string; entries: TextMenuEntry[] }, options?: { menuStore?: MenuStore }): Promise<void>;
+export function parseMenuChoice(text: string): number | null;
+export function resolveTextMenuReply(msg: WAMessageLike, options?: { menuStore?: MenuStore }): Promise<(InteractiveReply & { kind: 'text_menu'; params: { number: number } }) | null>;
+
+// -------------------- MENU TREES --------------------
+
+export interface MenuDefinition {
+  id: string;
+  text: string;
+  label?: string;
+  title?: string;
+  footer?: string;
+  buttons?: AuthoringButton[];
+  sections?: ListSection[];
+  buttonText?: string;
+  children?: MenuDefinition[];
+  sendOptions?: SendOptions;
+}
+
+export interface MenuNode {
+  readonly id: string;
+  readonly text: string;
+  readonly label?: string;
+  readonly title?: string;
+  readonly footer?: string;
+  readonly buttons: AuthoringButton[] | null;
+  readonly sections: ListSection[] | null;
+  readonly buttonText?: string;
+  readonly children: readonly MenuNode[];
+  readonly sendOptions: SendOptions;
+}
+
+export interface MenuState {
+  menuId: string;
+  history: string[];
+  updatedAt: number;
+}
+
+export interface StateStore<T = any> {
+  get(jid: string): Promise<T | null>;
+  set(jid: string, state: T): Promise<void>;
+  delete(jid: string): Promise<void>;
+}
+
+export interface MenuRuntime {
+  readonly root: MenuNode;
+  send(jid: string, menuId?: string): Promise<SentMessage>;
+  handle(jid: string, id: string): Promise<boolean>;
+  middleware(): RouterMiddleware;
+  getState(jid: string): Promise<MenuState | null>;
+  reset(jid: string): Promise<void>;
+}
+
+export function defineMenu(definition: MenuDefinition | MenuNode): MenuNode;
+export function createMenuRuntime(
+  sock: SocketLike,
+  root: MenuDefinition | MenuNode,
+  options?: { store?: StateStore<MenuState>; backText?: string; homeText?: string; navTitle?: string; sendOptions?: SendOptions }
+): MenuRuntime;
+export const MENU_BACK_ID: 'zq_menu:back';
+export const MENU_HOME_ID: 'zq_menu:home';
+
+export function createMemoryStateStore<T = any>(): StateStore<T>;
+export function createJsonFileStateStore<T = any>(filePath: string): StateStore<T>;
+
+// -------------------- BULK --------------------
+
+export interface BulkResult {
+  jid: string | null;
+  index: number;
+  status: 'pending' | 'sent' | 'failed' | 'skipped' | 'cancelled';
+  messageId: string | null;
+  attempts: number;
+  error: string | null;
+}
+
+export interface BulkReport {
+  total: number;
+  sent: number;
+  failed: number;
+  skipped: number;
+  cancelled: number;
+  results: BulkResult[];
+}
+
+export interface BulkOptions<R> {
+  send?: (sock: SocketLike, jid: string, data: any, options?: SendOptions) => Promise<SentMessage | WAMessageLike>;
+  sendOptions?: SendOptions;
+  concurrency?: number;
+  perMinute?: number;
+  jitterMs?: number;
+  retries?: number;
+  retryDelayMs?: number;
+  maxRetryDelayMs?: number;
+  isRetryable?: (err: Error) => boolean;
+  logger?: Logger;
+  logLevel?: LogLevel;
+}
+
+export interface BulkJob extends EventEmitter {
+  readonly done: Promise<BulkReport>;
+  readonly state: 'running' | 'paused' | 'cancelled' | 'done';
+  pause(): this;
+  resume(): this;
+  cancel(): this;
+}
+
+export function sendBulkInteractive<R extends string | { jid: string }>(
+  sock: SocketLike,
+  recipients: R[],
+  payloadFactory: (recipient: R, index: number) => object | null | Promise<object | null>,
+  options?: BulkOptions<R>
+): BulkJob;
+export function isTransientSendError(err: unknown): boolean;
+
+// -------------------- TEMPLATES --------------------
+
+export function renderInteractiveTemplate<T extends object>(
+  template: T,
+  vars?: Record<string, unknown>,
+  options?: { locale?: string; fallbackLocale?: string; bundles?: Record<string, Record<string, unknown>> }
+): T;
+export function registerLocaleBundle(locale: string, strings: Record<string, unknown>): void;
+export function localeChain(locale?: string, fallbackLocale?: string): string[];
+
+// -------------------- SIGNED BUTTON DATA --------------------
+
+export class ButtonDataError extends Error {
+  name: 'ButtonDataError';
+  reason: 'secret' | 'too_long' | 'malformed' | 'signature' | 'expired';
+  constructor(message: string, reason: ButtonDataError['reason']);
+}
+
+export function encodeButtonData(
+  payload: unknown,
+  options?: { secret?: string | Buffer; ttl?: number; compress?: boolean | 'auto'; maxLength?: number; jid?: string }
+): string;
+export function decodeButtonData<T = any>(id: string, options?: { secret?: string | Buffer; jid?: string | string[]; now?: number }): T;
+export function isButtonData(id: unknown): id is string;
+export function encodeButtonDataInPayload<T extends object>(payload: T, options?: { buttonSecret?: string | Buffer; buttonDataTtl?: number; jid?: string }): T;
+
+// -------------------- NODE PROFILES --------------------
+
+export type BotNodeRule =
+  | 'private'
+  | 'always'
+  | 'never'
+  | ((ctx: { jid: string; isPrivate: boolean; buttonType: 'list' | 'buttons' | 'native_flow'; message: object }) => boolean);
+
+export type ButtonNodeHook = (message: object, ctx: { name: string; profile: NodeProfile }) => BinaryNode;
+
+export interface NodeProfile {
+  readonly name: string;
+  readonly interactiveVersion: string;
+  readonly nativeFlowVersion: string;
+  readonly mixedFlowName: string;
+  readonly namedFlowVersion: string;
+  readonly listVersion: string;
+  readonly listType: string;
+  readonly botNode: BotNodeRule;
+  readonly botAttrs: Readonly<Record<string, string>>;
+  readonly buttonNodes: Readonly<Record<string, ButtonNodeHook>>;
+}
+
+/** Profile definition: only the values that differ from the base profile. */
+export type NodeProfileInput = Partial<Omit<NodeProfile, 'name' | 'botAttrs' | 'buttonNodes'>> & {
+  extends?: string;
+  botAttrs?: Record<string, string>;
+  buttonNodes?: Record<string, ButtonNodeHook>;
+};
+
+export function registerNodeProfile(name: string, profile?: NodeProfileInput): NodeProfile;
+export function unregisterNodeProfile(name: string): boolean;
+export function getNodeProfile(name: string): NodeProfile | null;
+export function listNodeProfiles(): string[];
+export function resolveNodeProfile(options?: { nodeProfile?: string | NodeProfileInput }): NodeProfile;
+export function shouldAddBotNode(
+  profile: NodeProfile,
+  ctx: { jid: string; isPrivate: boolean; buttonType: 'list' | 'buttons' | 'native_flow'; message: object }
+): boolean;
+export const BOT_NODE_RULES: ReadonlyArray<'private' | 'always' | 'never'>;
+
+// -------------------- FLOWS --------------------
+
+export interface FlowData extends HeaderMedia {
+  text: string;
+  footer?: string;
+  title?: string;
+  subtitle?: string;
+  flowId: string | number;
+  flowToken: string;
+  cta: string;
+  action?: 'navigate' | 'data_exchange';
+  screen?: string;
+  data?: Record<string, unknown>;
+  mode?: 'draft' | 'published';
+  messageVersion?: string;
+}
+
+export interface FlowResponse<T = Record<string, any>> {
+  flowToken: string | null;
+  data: T;
+  name: string | null;
+  displayText: string | null;
+  from: string | null;
+  quotedMessageId: string | null;
+  messageId: string | null;
+}
+
+export function sendFlowMessage(sock: SocketLike, jid: string, data: FlowData, options?: SendOptions): Promise<SentMessage>;
+export function validateFlowPayload(data: FlowData): ValidationResult;
+export function buildFlowButton(data: FlowData): NativeFlowButton<'galaxy_message'>;
+export function parseFlowResponse<T = Record<string, any>>(msg: WAMessageLike | Record<string, any>): FlowResponse<T> | null;
+export const FLOW_ACTIONS: ReadonlyArray<'navigate' | 'data_exchange'>;
+export const FLOW_MODES: ReadonlyArray<'draft' | 'published'>;
+
+// -------------------- PAYMENTS --------------------
+
+export type PixKeyType = 'CPF' | 'CNPJ' | 'EMAIL' | 'PHONE' | 'EVP';
+
+/** Plain numbers are major units (12.5 = { value: 1250, offset: 100 }) with no more decimals than the offset allows. */
+export type Amount = number | Money;
+export type Charge = Amount | (Money & { description?: string }) | { amount: Amount; description?: string };
+
+export interface OrderItem {
+  retailerId: string;
+  productId?: string;
+  name: string;
+  /** Unit price. */
+  amount: Amount;
+  /** Unit sale price (used for the subtotal when set). */
+  saleAmount?: Amount;
+  quantity: number;
+}
+
+export type PaymentSetting =
+  | { type: 'pix_static_code'; merchantName: string; key: string; keyType: PixKeyType }
+  | { type: 'payment_link'; uri: string }
+  | { type: 'boleto'; digitableLine: string }
+  | PaymentSettingParams;
+
+export interface PaymentData extends HeaderMedia {
+  text: string;
+  footer?: string;
+  title?: string;
+  referenceId: string;
+  currency: string;
+  type?: 'physical-goods' | 'digital-goods';
+  items?: OrderItem[];
+  subtotal?: Charge;
+  tax?: Charge;
+  shipping?: Charge;
+  discount?: Charge;
+  total?: Charge;
+  paymentSettings?: PaymentSetting[];
+  /** Money offset for every amount (100 = two decimals). */
+  offset?: number;
+  status?: string;
+  expiration?: { timestamp: number; description?: string };
+  sharePaymentStatus?: boolean;
+}
+
+export interface OrderDetailsData extends PaymentData {
+  items: OrderItem[];
+}
+
+export interface PaymentInfoData extends PaymentData {
+  paymentSettings: PaymentSetting[];
+}
+
+export function sendOrderDetails(sock: SocketLike, jid: string, data: OrderDetailsData, options?: SendOptions): Promise<SentMessage>;
+export function sendPaymentInfo(sock: SocketLike, jid: string, data: PaymentInfoData, options?: SendOptions): Promise<SentMessage>;
+export function buildOrderParams(
+  data: PaymentData,
+  opts?: { requireItems?: boolean }
+): ValidationResult & { params: OrderParams | null };
+export function toMoney(amount: Amount, offset?: number): Money;
+export const PIX_KEY_TYPES: ReadonlyArray<PixKeyType>;
+
+// -------------------- CATALOG --------------------
+
+export interface ProductListData {
+  /** Business JID or phone number owning the catalog. */
+  catalogOwner: string;
+  /** productId defaults to the first listed product; image is uploaded to get the jpegThumbnail. */
+  header: { title: string; productId?: string; image?: MediaInput; jpegThumbnail?: Buffer };
+  /** Up to 10 sections and 30 products in total. */
+  sections: Array<{ title: string; productIds: string[] }>;
+  text?: string;
+  footer?: string;
+  buttonText?: string;
+}
+
+export interface SingleProductData {
+  catalogOwner: string;
+  productId: string;
+  image: MediaInput;
+  title?: string;
+  description?: string;
+  url?: string;
+  retailerId?: string;
+  price?: Amount;
+  salePrice?: Amount;
+  currency?: string;
+  text?: string;
+  footer?: string;
+}
+
+export interface CatalogButtonData extends HeaderMedia {
+  catalogOwner: string;
+  text: string;
+  thumbnailProductId?: string;
+  footer?: string;
+  title?: string;
+}
+
+export function sendProductList(sock: SocketLike, jid: string, data: ProductListData, options?: SendOptions): Promise<SentMessage>;
+export function sendSingleProduct(sock: SocketLike, jid: string, data: SingleProductData, options?: Record<string, unknown>): Promise<SentMessage>;
+export function sendCatalogButton(sock: SocketLike, jid: string, data: CatalogButtonData, options?: SendOptions): Promise<SentMessage>;
+export function validateProductListPayload(data: ProductListData, options?: ValidationOptions): CleanedValidationResult<ProductListData>;
+export const PRODUCT_LIST_TYPE: 2;
+
+// -------------------- LOCATION / ADDRESS --------------------
+
+export type AddressCountry = 'IN' | 'SG';
+
+export interface AddressValues {
+  name?: string;
+  phone_number?: string;
+  in_pin_code?: string;
+  sg_post_code?: string;
+  house_number?: string;
+  floor_number?: string;
+  tower_number?: string;
+  unit_number?: string;
+  building_name?: string;
+  address?: string;
+  landmark_area?: string;
+  city?: string;
+  state?: string;
+}
+
+export interface LocationRequestData {
+  text: string;
+  footer?: string;
+  buttonText?: string;
+}
+
+export interface AddressRequestData {
+  text: string;
+  country: AddressCountry;
+  prefill?: AddressValues;
+  savedAddresses?: Array<{ id: string; value: AddressValues }>;
+  validationErrors?: Partial<Record<keyof AddressValues, string>>;
+  buttonText?: string;
+  footer?: string;
+}
+
+export interface LocationReply {
+  latitude: number;
+  longitude: number;
+  name: string | null;
+  address: string | null;
+  url: string | null;
+  live: boolean;
+  from: string | null;
+  /** key.id of the location request. */
+  quotedMessageId: string | null;
+  messageId: string | null;
+}
+
+/** Structured address; postalCode holds in_pin_code / sg_post_code. */
+export interface StructuredAddress {
+  name?: string;
+  phoneNumber?: string;
+  postalCode?: string;
+  houseNumber?: string;
+  floorNumber?: string;
+  towerNumber?: string;
+  unitNumber?: string;
+  buildingName?: string;
+  address?: string;
+  landmarkArea?: string;
+  city?: string;
+  state?: string;
+  [key: string]: string | undefined;
+}
+
+export interface AddressResponse {
+  address: StructuredAddress;
+  values: AddressValues & Record<string, string>;
+  savedAddressId: string | null;
+  displayText: string | null;
+  from: string | null;
+  /** key.id of the address request. */
+  quotedMessageId: string | null;
+  messageId: string | null;
+}
+
+export function sendLocationRequest(sock: SocketLike, jid: string, data: LocationRequestData, options?: SendOptions): Promise<SentMessage>;
+export function sendAddressRequest(sock: SocketLike, jid: string, data: AddressRequestData, options?: SendOptions): Promise<SentMessage>;
+export function validateAddressRequest(data: AddressRequestData): ValidationResult;
+export function parseLocationReply(msg: WAMessageLike | Record<string, any>): LocationReply | null;
+export function parseAddressResponse(msg: WAMessageLike | Record<string, any>): AddressResponse | null;
+export const ADDRESS_FIELDS: Readonly<Record<AddressCountry, ReadonlyArray<keyof AddressValues>>>;
+
+// -------------------- EDITS --------------------
+
+export interface MessageKey {
+  remoteJid: string;
+  id: string;
+  fromMe?: boolean;
+  participant?: string;
+}
+
+export interface DisableButtonsOptions extends SendOptions {
+  /** Footer replacing the buttons (default: the original footer). */
+  note?: string;
+  /** Body text override. */
+  text?: string;
+  /** Original WAMessage or content when only a key is passed. */
+  original?: WAMessageLike | Record<string, any>;
+}
+
+export function editInteractiveMessage(
+  sock: SocketLike,
+  key: MessageKey,
+  newContent: InteractiveContent | Record<string, any>,
+  options?: SendOptions
+): Promise<SentMessage>;
+export function disableInteractiveButtons(
+  sock: SocketLike,
+  target: SentMessage | WAMessageLike | MessageKey,
+  options?: DisableButtonsOptions
+): Promise<SentMessage>;
+export function extractInteractiveText(content: Record<string, any> | null | undefined): { text: string | null; title: string | null; footer: string | null };
+
+// -------------------- CONFIG / PACKAGE --------------------
+
+export interface PackageSettings {
+  logger: Logger | null;
+  logLevel: LogLevel;
+  baileys: object | null;
+  limitPolicy: LimitPolicy;
+  menuStore: MenuStore | null;
+  buttonSecret: string | Buffer | null;
+  nodeProfile: string | NodeProfileInput | null;
+}
+
+export function configure(next?: {
+  [K in keyof PackageSettings]?: PackageSettings[K] | null;
+}): PackageSettings;
+
+export const pkg: {
+  name: string;
+  version: string;
+  description: string;
+  author: string;
+  main: string;
+  [key: string]: unknown;
+};
+
+export function getPackageInfo(): { name: string; version: string; description: string; author: string; main: string };
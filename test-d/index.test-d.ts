@@ -0,0 +1,84 @@
+// Compile-time checks for index.d.ts (npm run test:types). Nothing here runs;
+// every @ts-expect-error line must fail to type-check.
+import {
+  AuthoringButton,
+  CustomNativeFlowButton,
+  InteractiveMessageBuilder,
+  InteractiveValidationError,
+  NativeFlowButton,
+  SendOptions,
+  SocketLike,
+  createInteractiveRouter,
+  decodeButtonData,
+  nativeFlowButton,
+  parseInteractiveResponse,
+  registerButtonType,
+  sendButtons,
+  sendInteractiveMessage,
+  validateSendButtonsPayload
+} from '..';
+
+declare const sock: SocketLike;
+declare function expectType<T>(value: T): void;
+const jid = '4915112345678@s.whatsapp.net';
+
+// nativeFlowButton: params follow the name.
+expectType<NativeFlowButton<'cta_url'>>(nativeFlowButton('cta_url', { display_text: 'Docs', url: 'https://example.com' }));
+expectType<NativeFlowButton<'quick_reply'>>(nativeFlowButton('quick_reply', { display_text: 'Yes', id: 'yes' }));
+// @ts-expect-error url is required for cta_url
+nativeFlowButton('cta_url', { display_text: 'Docs' });
+// @ts-expect-error copy_code must be a string
+nativeFlowButton('cta_copy', { display_text: 'Copy', copy_code: 42 });
+// Registered names take any params and come back as the escape hatch type.
+expectType<CustomNativeFlowButton<'cta_reorder'>>(nativeFlowButton('cta_reorder', { display_text: 'Again', order: 1 }));
+
+// AuthoringButton: built-in names, legacy shapes and custom buttons from nativeFlowButton.
+const buttons: AuthoringButton[] = [
+  { name: 'cta_call', buttonParamsJson: '{}' },
+  { id: 'opt1', text: 'Option 1' },
+  { data: { order: 1 }, text: 'Confirm' },
+  { buttonId: 'b1', buttonText: { displayText: 'B1' } },
+  nativeFlowButton('cta_reorder', {})
+];
+// @ts-expect-error misspelled names are not buttons (only nativeFlowButton makes custom ones)
+const typo: AuthoringButton = { name: 'cta_ulr', buttonParamsJson: '{}' };
+
+// Send helpers.
+sendButtons(sock, jid, { text: 'Hi', buttons }).then(msg => {
+  expectType<string | null | undefined>(msg.key.id);
+  expectType<'native_flow' | 'buttonsMessage' | 'templateMessage' | 'text' | undefined>(msg.encoding);
+});
+// @ts-expect-error buttons are required
+sendButtons(sock, jid, { text: 'Hi' });
+const options: SendOptions = { ai: true, mdPatch: false, limitPolicy: 'error', strategy: ['native_flow', { encoding: 'text' }] };
+sendInteractiveMessage(sock, jid, { text: 'Hi', interactiveButtons: buttons }, options);
+// @ts-expect-error unknown limit policy
+const badPolicy: SendOptions = { limitPolicy: 'ignore' };
+
+// Builder output can be sent as is.
+const built = new InteractiveMessageBuilder().body('Hi').quickReply('yes', 'Yes').url('Docs', 'https://example.com').build();
+sendInteractiveMessage(sock, jid, built);
+
+// Validators and errors.
+const result = validateSendButtonsPayload({ text: 'Hi', buttons });
+expectType<boolean>(result.valid);
+expectType<string[]>(result.errors);
+expectType<AuthoringButton[]>(result.cleaned.buttons);
+const error = new InteractiveValidationError('bad', { context: 'x', errors: ['e'] });
+expectType<string[]>(error.errors);
+expectType<string | undefined>(error.context);
+
+// Replies and the router.
+const reply = parseInteractiveResponse({});
+if (reply) expectType<'native_flow' | 'buttons' | 'list' | 'template' | 'text_menu' | 'location'>(reply.kind);
+createInteractiveRouter(sock, { locations: false })
+  .on({ data: d => d.action === 'confirm' }, ctx => { expectType<string | null>(ctx.jid); })
+  .flow('galaxy_message', ctx => ctx.flow?.data);
+expectType<{ order: number }>(decodeButtonData<{ order: number }>('zq1.j.x.y', { jid: [jid] }));
+
+// Registry builders take the same arguments as node profile hooks.
+registerButtonType('cta_reorder', { bizNode: (message, { name, profile }) => ({ tag: 'biz', attrs: { name, v: profile.nativeFlowVersion } }) });
+// @ts-expect-error the second argument is a context object, not the name
+registerButtonType('cta_reorder', { bizNode: (message, name: string) => ({ tag: 'biz', attrs: { name } }) });
+
+void typo; void badPolicy;
@@ -0,0 +1,15 @@
+// Compile-time checks for testing.d.ts (npm run test:types).
+import { sendButtons } from '..';
+import { createMockSocket, describeCall, expectButtons, useMockBaileys } from '../testing';
+
+declare function expectType<T>(value: T): void;
+
+const restore = useMockBaileys();
+const sock = createMockSocket({ jid: '1@s.whatsapp.net' });
+sendButtons(sock, '2@s.whatsapp.net', { text: 'Hi', buttons: [{ id: 'yes', text: 'Yes' }] });
+expectButtons(sock.lastCall(), ['yes', { text: 'Yes' }]);
+// @ts-expect-error expected entries are ids or partial buttons
+expectButtons(sock.lastCall(), [1]);
+expectType<string | null>(describeCall(sock.calls[0]).text);
+sock.failNextRelay(new Error('x'));
+restore();
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveBaileysInternals, extractInternals, REQUIRED_INTERNALS } = require('../helpers/baileys');
+const { configure } = require('../helpers/config');
+const { createMockBaileys } = require('../testing');
+
+const fn = () => {};
+
+test.afterEach(() => configure({ baileys: null }));
+
+test('extractInternals finds top-level, Utils / WABinary and ESM default exports', () => {
+  const nested = extractInternals({
+    Utils: { generateWAMessageFromContent: fn, normalizeMessageContent: fn, generateMessageID: fn },
+    WABinary: { isJidGroup: fn }
+  });
+  assert.deepStrictEqual(nested.missing, []);
+  assert.strictEqual(nested.internals.generateMessageIDV2, fn, 'generateMessageID is accepted for older releases');
+
+  const esm = extractInternals({ default: createMockBaileys() });
+  assert.deepStrictEqual(esm.missing, []);
+  assert.strictEqual(typeof esm.internals.prepareWAMessageMedia, 'function');
+});
+
+test('extractInternals lists missing functions', () => {
+  assert.deepStrictEqual(extractInternals({ isJidGroup: fn }).missing, REQUIRED_INTERNALS.filter(n => n !== 'isJidGroup'));
+});
+
+test('options.baileys wins over configure({ baileys })', async () => {
+  const configured = createMockBaileys();
+  const perCall = createMockBaileys();
+  configure({ baileys: configured });
+  assert.strictEqual((await resolveBaileysInternals()).internals.isJidGroup, configured.isJidGroup);
+  assert.strictEqual((await resolveBaileysInternals({ baileys: perCall })).internals.isJidGroup, perCall.isJidGroup);
+});
+
+test('an incomplete injected module is reported, not silently replaced', async () => {
+  configure({ baileys: { isJidGroup: fn } });
+  const { internals, report } = await resolveBaileysInternals();
+  assert.strictEqual(internals, null);
+  assert.match(report[0], /^configure\(\{ baileys \}\): missing generateWAMessageFromContent/);
+  const perCall = await resolveBaileysInternals({ baileys: {} });
+  assert.match(perCall.report[0], /^options\.baileys: missing/);
+});
+
+test('configure() rejects values that are not modules', () => {
+  assert.throws(() => configure({ baileys: 'baileys' }), TypeError);
+});
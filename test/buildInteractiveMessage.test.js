@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildInteractiveMessage, sendInteractiveMessage, InteractiveValidationError } = require('../helpers/buttons');
+const { createMockSocket, createMockBaileys, useMockBaileys } = require('../testing');
+
+const USER = '4915112345678@s.whatsapp.net';
+const GROUP = '120363000000000000@g.us';
+const content = {
+  text: 'Pick one',
+  interactiveButtons: [{ name: 'quick_reply', buttonParamsJson: JSON.stringify({ display_text: 'Hi', id: 'hi' }) }]
+};
+const tags = nodes => nodes.map(n => n.tag);
+
+let restore;
+test.beforeEach(() => { restore = useMockBaileys(); });
+test.afterEach(() => restore());
+
+test('builds without relaying and returns nodes and relay options', async () => {
+  const sock = createMockSocket();
+  const built = await buildInteractiveMessage(sock, USER, content);
+  assert.strictEqual(sock.calls.length, 0);
+  assert.deepStrictEqual(tags(built.additionalNodes), ['biz', 'bot']);
+  assert.strictEqual(built.isPrivate, true);
+  assert.strictEqual(built.relayOptions.messageId, built.message.key.id);
+  assert.strictEqual(built.relayOptions.additionalNodes, built.additionalNodes);
+  assert.ok(built.message.message.documentWithCaptionMessage, 'MD patch applied');
+});
+
+test('group chats get no bot node and isPrivate false', async () => {
+  const built = await buildInteractiveMessage(createMockSocket(), GROUP, content);
+  assert.deepStrictEqual(tags(built.additionalNodes), ['biz']);
+  assert.strictEqual(built.isPrivate, false);
+});
+
+test('sendInteractiveMessage relays exactly what was built', async () => {
+  const sock = createMockSocket();
+  const sent = await sendInteractiveMessage(sock, USER, content, { additionalNodes: [{ tag: 'custom', attrs: {} }] });
+  const call = sock.lastCall();
+  assert.strictEqual(call.messageId, sent.key.id);
+  assert.strictEqual(call.message, sent.message);
+  assert.deepStrictEqual(tags(call.additionalNodes), ['custom', 'biz', 'bot']);
+});
+
+test('Baileys is resolved once per send', async () => {
+  const baileys = createMockBaileys();
+  let lookups = 0;
+  const counting = new Proxy(baileys, {
+    get(target, prop) {
+      if (prop === 'isJidGroup') lookups++;
+      return target[prop];
+    }
+  });
+  await sendInteractiveMessage(createMockSocket(), USER, content, { baileys: counting });
+  assert.strictEqual(lookups, 1);
+});
+
+test('invalid input is reported before anything is built', async () => {
+  await assert.rejects(buildInteractiveMessage(null, USER, content), InteractiveValidationError);
+  await assert.rejects(
+    buildInteractiveMessage(createMockSocket(), USER, { interactiveButtons: content.interactiveButtons }),
+    err => err.context === 'sendInteractiveMessage.validateSendInteractiveMessagePayload'
+  );
+  await assert.rejects(
+    sendInteractiveMessage({ user: { id: USER } }, USER, content),
+    err => err instanceof InteractiveValidationError && /relayMessage/.test(err.errors[0])
+  );
+});
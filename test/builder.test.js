@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { InteractiveMessageBuilder } = require('../helpers/builder');
+const { InteractiveValidationError } = require('../helpers/buttons');
+const { createMockSocket, useMockBaileys, expectButtons, expectText } = require('../testing');
+
+const USER = '4915112345678@s.whatsapp.net';
+
+test('build() returns a sendInteractiveMessage payload', () => {
+  const payload = new InteractiveMessageBuilder()
+    .header({ title: 'Support', subtitle: 'Team' })
+    .body('How can we help?')
+    .footer('Fast replies')
+    .quickReply('help_billing', 'Billing')
+    .url('Docs', 'https://sendbulk.cloud')
+    .copy('Code', 'ZQ10')
+    .call('Call', '+15550001111')
+    .build();
+
+  assert.strictEqual(payload.text, 'How can we help?');
+  assert.strictEqual(payload.footer, 'Fast replies');
+  assert.strictEqual(payload.title, 'Support');
+  assert.strictEqual(payload.subtitle, 'Team');
+  assert.deepStrictEqual(payload.interactiveButtons.map(b => b.name), ['quick_reply', 'cta_url', 'cta_copy', 'cta_call']);
+  assert.deepStrictEqual(JSON.parse(payload.interactiveButtons[1].buttonParamsJson), { display_text: 'Docs', url: 'https://sendbulk.cloud' });
+});
+
+test('invalid buttons throw at the offending call with its context', () => {
+  const builder = new InteractiveMessageBuilder().body('Hi');
+  const contextOf = fn => {
+    try {
+      fn();
+    } catch (err) {
+      assert.ok(err instanceof InteractiveValidationError);
+      return err.context;
+    }
+    assert.fail('expected a validation error');
+  };
+  assert.strictEqual(contextOf(() => builder.url('Docs', 'ftp://example.com')), 'InteractiveMessageBuilder.url');
+  assert.strictEqual(contextOf(() => builder.copy('Code', '  ')), 'InteractiveMessageBuilder.copy');
+  assert.strictEqual(contextOf(() => builder.button('not_a_type', {})), 'InteractiveMessageBuilder.button');
+  assert.strictEqual(contextOf(() => builder.singleSelect('Pick', [{ rows: [{ id: 'a' }] }])), 'InteractiveMessageBuilder.singleSelect');
+  assert.strictEqual(contextOf(() => builder.body('')), 'InteractiveMessageBuilder.body');
+});
+
+test('build() without a body is rejected', () => {
+  assert.throws(
+    () => new InteractiveMessageBuilder().quickReply('a', 'A').build(),
+    err => err instanceof InteractiveValidationError && err.context === 'InteractiveMessageBuilder.build'
+  );
+});
+
+test('send() relays through sendInteractiveMessage', async () => {
+  const restore = useMockBaileys();
+  try {
+    const sock = createMockSocket();
+    await new InteractiveMessageBuilder()
+      .body('Pick one')
+      .singleSelect('Menu', [{ title: 'Food', rows: [{ id: 'pizza', title: 'Pizza' }] }])
+      .quickReply('later', 'Later')
+      .send(sock, USER);
+    expectText(sock.lastCall(), 'Pick one');
+    expectButtons(sock.lastCall(), [{ name: 'single_select' }, 'later']);
+  } finally {
+    restore();
+  }
+});
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sendBulkInteractive, isTransientSendError } = require('../helpers/bulk');
+const { sendButtons, InteractiveValidationError } = require('../helpers/buttons');
+const { createMockSocket, useMockBaileys, expectButtons } = require('../testing');
+
+const jids = n => Array.from({ length: n }, (_, i) => `49151000000${i}@s.whatsapp.net`);
+const silent = { trace() {}, debug() {}, info() {}, warn() {}, error() {} };
+const transient = () => Object.assign(new Error('Connection Closed'), { output: { statusCode: 428 } });
+
+test('sends to every recipient through the given helper', async () => {
+  const restore = useMockBaileys();
+  try {
+    const sock = createMockSocket();
+    const job = sendBulkInteractive(sock, jids(3), (jid, i) => ({ text: `Hi ${i}`, buttons: [{ id: `track:${i}`, text: 'Track' }] }), {
+      send: sendButtons,
+      concurrency: 2
+    });
+    const report = await job.done;
+    assert.deepStrictEqual([report.total, report.sent, report.failed], [3, 3, 0]);
+    assert.strictEqual(job.state, 'done');
+    assert.deepStrictEqual(sock.calls.map(c => c.jid).sort(), jids(3));
+    expectButtons(sock.calls.find(c => c.jid === jids(3)[2]), ['track:2']);
+    assert.ok(report.results.every(r => r.messageId && r.attempts === 1));
+  } finally {
+    restore();
+  }
+});
+
+test('listeners attached after the call see synchronous failures', async () => {
+  const events = [];
+  const job = sendBulkInteractive(createMockSocket(), [{ name: 'no jid' }, jids(1)[0]], () => null, { send: async () => ({}) });
+  job.on('failed', r => events.push(['failed', r.error]));
+  job.on('skipped', r => events.push(['skipped', r.jid]));
+  job.on('progress', p => events.push(['progress', p.completed]));
+  await job.done;
+  assert.deepStrictEqual(events, [
+    ['failed', 'recipient has no jid'],
+    ['progress', 1],
+    ['skipped', jids(1)[0]],
+    ['progress', 2]
+  ]);
+});
+
+test('a throwing listener does not reject done or stop the job', async () => {
+  const job = sendBulkInteractive(createMockSocket(), jids(3), () => ({}), {
+    send: async () => ({ key: { id: 'X' } }),
+    logger: silent
+  });
+  job.on('sent', () => { throw new Error('listener bug'); });
+  const report = await job.done;
+  assert.strictEqual(report.sent, 3);
+});
+
+test('transient errors are retried with backoff, others fail at once', async () => {
+  const attempts = new Map();
+  const [flaky, broken, invalid] = jids(3);
+  const send = async (sock, jid) => {
+    attempts.set(jid, (attempts.get(jid) || 0) + 1);
+    if (jid === flaky && attempts.get(jid) < 3) throw transient();
+    if (jid === broken) throw new Error('bad request');
+    if (jid === invalid) throw new InteractiveValidationError('nope');
+    return { key: { id: `M_${jid}` } };
+  };
+  const retries = [];
+  const job = sendBulkInteractive(createMockSocket(), [flaky, broken, invalid], () => ({}), {
+    send, retries: 3, retryDelayMs: 1, maxRetryDelayMs: 2, logger: silent
+  });
+  job.on('retry', r => retries.push([r.attempt, r.delayMs]));
+  const report = await job.done;
+  assert.deepStrictEqual(report.results.map(r => [r.status, r.attempts]), [['sent', 3], ['failed', 1], ['failed', 1]]);
+  assert.deepStrictEqual(retries, [[1, 1], [2, 2]]);
+});
+
+test('a throwing isRetryable fails the recipient without rejecting done', async () => {
+  const [first, second] = jids(2);
+  const job = sendBulkInteractive(createMockSocket(), [first, second], () => ({}), {
+    send: async (sock, jid) => {
+      if (jid === first) throw transient();
+      return { key: { id: 'OK' } };
+    },
+    isRetryable: () => { throw new Error('predicate bug'); },
+    retryDelayMs: 1,
+    logger: silent
+  });
+  const report = await job.done;
+  assert.deepStrictEqual(report.results.map(r => [r.status, r.attempts, r.error]), [['failed', 1, 'predicate bug'], ['sent', 1, null]]);
+});
+
+test('pause holds new sends, cancel reports the rest as cancelled', async () => {
+  const sent = [];
+  const job = sendBulkInteractive(createMockSocket(), jids(4), () => ({}), {
+    send: async (sock, jid) => { sent.push(jid); return { key: { id: jid } }; }
+  });
+  job.pause();
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert.deepStrictEqual(sent, []);
+  assert.strictEqual(job.state, 'paused');
+  job.resume();
+  job.once('sent', () => job.cancel());
+  const report = await job.done;
+  assert.strictEqual(report.sent, 1);
+  assert.strictEqual(report.cancelled, 3);
+  assert.strictEqual(job.state, 'cancelled');
+});
+
+test('perMinute spaces send starts', async () => {
+  const starts = [];
+  await sendBulkInteractive(createMockSocket(), jids(3), () => ({}), {
+    send: async () => { starts.push(Date.now()); return {}; },
+    perMinute: 60000 / 20
+  }).done;
+  assert.ok(starts[2] - starts[0] >= 35, `starts ${starts[2] - starts[0]}ms apart`);
+});
+
+test('invalid options are rejected up front', () => {
+  assert.throws(() => sendBulkInteractive(createMockSocket(), jids(1), () => ({}), {
+    concurrency: 0, retries: -1, jitterMs: -5, retryDelayMs: 'soon', maxRetryDelayMs: Infinity, isRetryable: true
+  }), err => err instanceof InteractiveValidationError && err.context === 'sendBulkInteractive' && err.errors.length === 6);
+  assert.throws(() => sendBulkInteractive(createMockSocket(), 'jid', null), InteractiveValidationError);
+});
+
+test('isTransientSendError', () => {
+  assert.strictEqual(isTransientSendError(transient()), true);
+  assert.strictEqual(isTransientSendError(Object.assign(new Error('x'), { code: 'ECONNRESET' })), true);
+  assert.strictEqual(isTransientSendError(Object.assign(new Error('x'), { statusCode: 503 })), true);
+  assert.strictEqual(isTransientSendError(new Error('bad request')), false);
+  assert.strictEqual(isTransientSendError(new InteractiveValidationError('timed out')), false);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { encodeButtonData, decodeButtonData, isButtonData, ButtonDataError } = require('../helpers/buttonData');
+const { sendButtons, InteractiveValidationError } = require('../helpers/buttons');
+const { createInteractiveRouter } = require('../helpers/router');
+const { configure } = require('../helpers/config');
+const { createMockSocket, useMockBaileys, describeCall } = require('../testing');
+
+const SECRET = 'test-secret';
+const USER = '4915112345678@s.whatsapp.net';
+const OTHER = '4915187654321@s.whatsapp.net';
+
+const reasonOf = fn => {
+  try {
+    fn();
+  } catch (err) {
+    assert.ok(err instanceof ButtonDataError);
+    return err.reason;
+  }
+  assert.fail('expected a ButtonDataError');
+};
+
+const recordingLogger = () => {
+  const warnings = [];
+  const noop = () => {};
+  return { warnings, trace: noop, debug: noop, info: noop, error: noop, warn: (obj, msg) => warnings.push({ obj, msg }) };
+};
+
+let restore;
+test.beforeEach(() => { restore = useMockBaileys(); });
+test.afterEach(() => {
+  restore();
+  configure({ buttonSecret: null });
+});
+
+test('round trips payloads, compressed or not', () => {
+  const small = encodeButtonData({ a: 1 }, { secret: SECRET });
+  const large = encodeButtonData({ items: Array(40).fill('same') }, { secret: SECRET });
+  assert.ok(isButtonData(small) && small.startsWith('zq1.j.'));
+  assert.ok(large.startsWith('zq1.z.'));
+  assert.deepStrictEqual(decodeButtonData(small, { secret: SECRET }), { a: 1 });
+  assert.strictEqual(decodeButtonData(large, { secret: SECRET }).items.length, 40);
+});
+
+test('rejects tampered, foreign, expired and oversized data', () => {
+  const id = encodeButtonData({ a: 1 }, { secret: SECRET, ttl: 60 });
+  assert.strictEqual(reasonOf(() => decodeButtonData(id, { secret: 'other' })), 'signature');
+  assert.strictEqual(reasonOf(() => decodeButtonData(`${id.slice(0, -2)}xx`, { secret: SECRET })), 'signature');
+  assert.strictEqual(reasonOf(() => decodeButtonData(id, { secret: SECRET, now: Date.now() + 120000 })), 'expired');
+  assert.strictEqual(reasonOf(() => decodeButtonData('order:1', { secret: SECRET })), 'malformed');
+  assert.strictEqual(reasonOf(() => decodeButtonData(id)), 'secret');
+  assert.strictEqual(reasonOf(() => encodeButtonData('x'.repeat(300), { secret: SECRET, compress: false })), 'too_long');
+});
+
+test('chat bound ids only verify for that chat (any device)', () => {
+  const id = encodeButtonData({ a: 1 }, { secret: SECRET, jid: USER });
+  assert.deepStrictEqual(decodeButtonData(id, { secret: SECRET, jid: USER }), { a: 1 });
+  assert.deepStrictEqual(decodeButtonData(id, { secret: SECRET, jid: '4915112345678:3@s.whatsapp.net' }), { a: 1 });
+  assert.deepStrictEqual(decodeButtonData(id, { secret: SECRET, jid: [undefined, OTHER, USER] }), { a: 1 });
+  assert.strictEqual(reasonOf(() => decodeButtonData(id, { secret: SECRET, jid: OTHER })), 'signature');
+  assert.strictEqual(reasonOf(() => decodeButtonData(id, { secret: SECRET })), 'signature');
+  // Unbound ids verify with or without a jid.
+  const unbound = encodeButtonData({ a: 1 }, { secret: SECRET });
+  assert.deepStrictEqual(decodeButtonData(unbound, { secret: SECRET, jid: OTHER }), { a: 1 });
+});
+
+test('send helpers encode { data } bound to the destination chat', async () => {
+  const sock = createMockSocket();
+  await sendButtons(sock, USER, { text: 'Confirm?', buttons: [{ data: { order: 1 }, text: 'Yes' }] }, { buttonSecret: SECRET });
+  const [{ id }] = describeCall(sock.lastCall()).buttons;
+  assert.deepStrictEqual(decodeButtonData(id, { secret: SECRET, jid: USER }), { order: 1 });
+  assert.throws(() => decodeButtonData(id, { secret: SECRET, jid: OTHER }), ButtonDataError);
+
+  await sendButtons(sock, USER, { text: 'Confirm?', buttons: [{ data: { order: 2 }, text: 'Yes' }] }, { buttonSecret: SECRET, bindButtonData: false });
+  const [{ id: unbound }] = describeCall(sock.lastCall()).buttons;
+  assert.deepStrictEqual(decodeButtonData(unbound, { secret: SECRET, jid: OTHER }), { order: 2 });
+
+  await assert.rejects(
+    sendButtons(sock, USER, { text: 'x', buttons: [{ data: 1, text: 'Yes' }] }),
+    err => err instanceof InteractiveValidationError && err.context === 'sendButtons.encodeButtonData'
+  );
+});
+
+test('router exposes ctx.data and drops replies from another chat', async () => {
+  configure({ buttonSecret: SECRET });
+  const sock = createMockSocket();
+  const logger = recordingLogger();
+  const seen = [];
+  createInteractiveRouter(sock, { logger })
+    .on({ data: d => d.action === 'confirm' }, ctx => seen.push([ctx.jid, ctx.data.order]));
+
+  const id = encodeButtonData({ order: 7, action: 'confirm' }, { jid: USER });
+  await sock.injectButtonReply(USER, { id });
+  await sock.injectButtonReply(OTHER, { id });
+
+  assert.deepStrictEqual(seen, [[USER, 7]]);
+  assert.strictEqual(logger.warnings.length, 1);
+  assert.strictEqual(logger.warnings[0].obj.reason, 'signature');
+});
+
+test('router warns when signed ids arrive without a secret', async () => {
+  const sock = createMockSocket();
+  const logger = recordingLogger();
+  const seen = [];
+  createInteractiveRouter(sock, { logger }).fallback(ctx => seen.push(ctx.data));
+
+  await sock.injectButtonReply(USER, { id: encodeButtonData({ a: 1 }, { secret: SECRET }) });
+
+  assert.deepStrictEqual(seen, [undefined]);
+  assert.match(logger.warnings[0].msg, /unverified/);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sendCards, validateCardsPayload, InteractiveValidationError } = require('../helpers/buttons');
+const { createMockSocket, useMockBaileys, describeCall, expectButtons } = require('../testing');
+
+const USER = '4915112345678@s.whatsapp.net';
+const card = (id, extra = {}) => ({ id, title: `Item ${id}`, body: 'Top seller', image: Buffer.from(id), ...extra });
+
+let restore;
+test.beforeEach(() => { restore = useMockBaileys(); });
+test.afterEach(() => restore());
+
+test('sends a real carousel with per-card media and buttons', async () => {
+  const sock = createMockSocket();
+  await sendCards(sock, USER, {
+    text: 'Our picks',
+    cards: [
+      card('a', { footer: '$10', buttons: [{ id: 'buy_a', text: 'Buy' }] }),
+      card('b')
+    ]
+  });
+  const call = sock.lastCall();
+  const described = describeCall(call);
+  assert.strictEqual(described.kind, 'carousel');
+  assert.strictEqual(described.text, 'Our picks');
+  assert.deepStrictEqual(described.cards.map(c => c.title), ['Item a', 'Item b']);
+  expectButtons(call, ['buy_a', 'b']);
+  const cards = call.message.interactiveMessage.carouselMessage.cards;
+  assert.ok(cards.every(c => c.header.hasMediaAttachment && c.header.imageMessage), 'every card carries its image');
+});
+
+test('carousels are not MD patched unless mdPatch is true', async () => {
+  const sock = createMockSocket();
+  await sendCards(sock, USER, { cards: [card('a')] });
+  assert.ok(sock.lastCall().message.interactiveMessage, 'sent unwrapped');
+  await sendCards(sock, USER, { cards: [card('a')] }, { mdPatch: true });
+  assert.ok(sock.lastCall().message.documentWithCaptionMessage, 'explicit mdPatch wraps');
+});
+
+test('cards without a media header are rejected', async () => {
+  const result = validateCardsPayload({ cards: [card('a'), { title: 'No media' }] });
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(result.errors, ['cards[1] requires an image or video header (carousel cards need media)']);
+  assert.strictEqual(validateCardsPayload({ cards: [{ title: 'No media' }] }, { requireMedia: false }).valid, true);
+  await assert.rejects(
+    sendCards(createMockSocket(), USER, { cards: [{ title: 'No media' }] }),
+    err => err instanceof InteractiveValidationError && err.context === 'sendCards.validateCardsPayload'
+  );
+});
+
+test('card limits are enforced', () => {
+  const tooMany = validateCardsPayload({ cards: Array.from({ length: 11 }, (_, i) => card(`c${i}`)) });
+  assert.match(tooMany.errors.join(), /exceeds carousel limit of 10/);
+  const buttons = [{ id: 'a', text: 'A' }, { id: 'b', text: 'B' }, { id: 'c', text: 'C' }];
+  assert.match(validateCardsPayload({ cards: [card('a', { buttons })] }).errors.join(), /at most 2/);
+  assert.match(validateCardsPayload({ cards: [card('a', { document: Buffer.from('d') })] }).errors.join(), /only image or video/);
+});
+
+test('fallbacks do not need card media', async () => {
+  const sock = createMockSocket();
+  await sendCards(sock, USER, { text: 'Picks', cards: [{ id: 'a', title: 'A' }, { id: 'b', title: 'B' }] }, { fallback: 'buttons' });
+  assert.strictEqual(describeCall(sock.lastCall()).kind, 'buttons');
+  expectButtons(sock.lastCall(), ['a', 'b']);
+  await sendCards(sock, USER, { text: 'Picks', cards: [{ id: 'a', title: 'A' }] }, { fallback: 'text' });
+  assert.strictEqual(describeCall(sock.lastCall()).kind, 'text');
+});
+
+test('card texts and button labels follow limitPolicy', async () => {
+  const long = 'x'.repeat(80);
+  const cta = { name: 'cta_url', buttonParamsJson: JSON.stringify({ display_text: 'Open the full product page', url: 'https://example.com' }) };
+  const payload = { cards: [card('a', { footer: long, buttons: [{ id: 'buy_a', text: 'Buy this one right now' }, cta] })] };
+
+  const warned = validateCardsPayload(payload);
+  assert.strictEqual(warned.valid, true);
+  assert.strictEqual(warned.warnings.length, 3);
+  assert.match(warned.warnings.join(), /cards\[0\]\.footer/);
+
+  const strict = validateCardsPayload(payload, { limitPolicy: 'error' });
+  assert.strictEqual(strict.valid, false);
+  assert.match(strict.errors.join(), /cards\[0\]\.button\[0\]\.text/);
+  assert.match(strict.errors.join(), /cards\[0\]\.button\[1\]/);
+  await assert.rejects(
+    sendCards(createMockSocket(), USER, payload, { limitPolicy: 'error' }),
+    err => err instanceof InteractiveValidationError && err.context === 'sendCards.validateCardsPayload'
+  );
+
+  const sock = createMockSocket();
+  await sendCards(sock, USER, payload, { limitPolicy: 'truncate' });
+  const [sent] = sock.lastCall().message.interactiveMessage.carouselMessage.cards;
+  assert.strictEqual(sent.footer.text.length, 60);
+  const [legacy, url] = sent.nativeFlowMessage.buttons.map(b => JSON.parse(b.buttonParamsJson));
+  assert.strictEqual(legacy.display_text.length, 20);
+  assert.strictEqual(url.display_text.length, 20);
+  assert.strictEqual(payload.cards[0].footer, long, 'input is not mutated');
+});
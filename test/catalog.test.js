@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sendProductList, sendSingleProduct, sendCatalogButton, validateProductListPayload } = require('../helpers/catalog');
+const { InteractiveValidationError } = require('../helpers/buttons');
+const { unwrapMessageContent } = require('../helpers/responses');
+const { createMockSocket, useMockBaileys, describeCall } = require('../testing');
+
+const USER = '4915112345678@s.whatsapp.net';
+const OWNER = '+55 11 99999-9999';
+const productList = {
+  catalogOwner: OWNER,
+  header: { title: 'Summer sale', image: Buffer.from('banner') },
+  text: 'Pick what you like',
+  sections: [{ title: 'Shirts', productIds: ['sku-1', 'sku-2'] }, { title: 'Caps', productIds: ['sku-9'] }]
+};
+
+let restore;
+test.beforeEach(() => { restore = useMockBaileys(); });
+test.afterEach(() => restore());
+
+test('sends a product list with owner jid, sections and header thumbnail', async () => {
+  const sock = createMockSocket();
+  await sendProductList(sock, USER, productList);
+  const { listMessage } = unwrapMessageContent(sock.lastCall().message);
+  assert.strictEqual(listMessage.listType, 2);
+  assert.strictEqual(listMessage.buttonText, 'View items');
+  assert.deepStrictEqual(listMessage.productListInfo.productSections, [
+    { title: 'Shirts', products: [{ productId: 'sku-1' }, { productId: 'sku-2' }] },
+    { title: 'Caps', products: [{ productId: 'sku-9' }] }
+  ]);
+  assert.strictEqual(listMessage.productListInfo.businessOwnerJid, '5511999999999@s.whatsapp.net');
+  assert.strictEqual(listMessage.productListInfo.headerImage.productId, 'sku-1');
+  assert.ok(Buffer.isBuffer(listMessage.productListInfo.headerImage.jpegThumbnail));
+  const [biz] = sock.lastCall().additionalNodes;
+  assert.deepStrictEqual(biz.content[0].attrs, { v: '2', type: 'product_list' });
+});
+
+test('validates product lists', async () => {
+  const { errors } = validateProductListPayload({
+    catalogOwner: 'x',
+    header: {},
+    sections: [{ title: 'A', productIds: ['sku-1', 'sku-1'] }, { productIds: [] }]
+  });
+  assert.deepStrictEqual(errors, [
+    'catalogOwner must be the business JID or phone number',
+    'header.title is mandatory and must be a non-empty string',
+    "sections[0].productIds[1] 'sku-1' is listed more than once",
+    'sections[1].title is mandatory and must be a non-empty string',
+    'sections[1].productIds must be a non-empty array'
+  ]);
+  const tooMany = { ...productList, sections: [{ title: 'All', productIds: Array.from({ length: 31 }, (_, i) => `sku-${i}`) }] };
+  await assert.rejects(
+    sendProductList(createMockSocket(), USER, tooMany, { limitPolicy: 'error' }),
+    err => err instanceof InteractiveValidationError && err.context === 'sendProductList.validateProductListPayload'
+  );
+});
+
+test('sends a single product with prices in thousandths', async () => {
+  const sock = createMockSocket();
+  await sendSingleProduct(sock, USER, {
+    catalogOwner: `${OWNER.replace(/\D/g, '')}:3@s.whatsapp.net`,
+    productId: 'sku-1',
+    image: Buffer.from('img'),
+    title: 'T-shirt',
+    price: 59.9,
+    salePrice: 49.9,
+    currency: 'BRL',
+    text: 'Back in stock'
+  });
+  const { message } = sock.lastCall();
+  assert.strictEqual(message.businessOwnerJid, '5511999999999@s.whatsapp.net');
+  assert.strictEqual(message.body, 'Back in stock');
+  assert.deepStrictEqual(
+    (({ productId, priceAmount1000, salePriceAmount1000, currencyCode }) => ({ productId, priceAmount1000, salePriceAmount1000, currencyCode }))(message.product),
+    { productId: 'sku-1', priceAmount1000: 59900, salePriceAmount1000: 49900, currencyCode: 'BRL' }
+  );
+  await assert.rejects(
+    sendSingleProduct(sock, USER, { catalogOwner: OWNER, productId: 'sku-1', image: Buffer.from('i'), price: 10, salePrice: 12.0005 }),
+    err => err.context === 'sendSingleProduct' && err.errors.length === 2
+  );
+});
+
+test('single product text follows limitPolicy and logs what it did', async () => {
+  const logged = [];
+  const logger = { trace() {}, debug() {}, info() {}, warn(obj, msg) { logged.push({ obj, msg }); }, error() {} };
+  const sock = createMockSocket();
+  const product = { catalogOwner: OWNER, productId: 'sku-1', image: Buffer.from('img'), text: 'Back in stock', footer: 'f'.repeat(80) };
+
+  await sendSingleProduct(sock, USER, product, { logger });
+  assert.strictEqual(sock.lastCall().message.footer, product.footer);
+  assert.strictEqual(logged.length, 1);
+  assert.strictEqual(logged[0].msg, 'sendSingleProduct warnings');
+  assert.match(logged[0].obj.warnings.join(), /footer/);
+
+  logged.length = 0;
+  await sendSingleProduct(sock, USER, product, { logger, limitPolicy: 'truncate' });
+  assert.strictEqual(sock.lastCall().message.footer.length, 60);
+  assert.deepStrictEqual(logged.map(l => l.msg), ['sendSingleProduct truncated text to WhatsApp limits']);
+  assert.strictEqual(logged[0].obj.changes[0].path, 'footer');
+
+  const before = sock.calls.length;
+  await assert.rejects(
+    sendSingleProduct(sock, USER, product, { logger, limitPolicy: 'error' }),
+    err => err instanceof InteractiveValidationError && err.context === 'sendSingleProduct' && /footer/.test(err.errors.join())
+  );
+  assert.strictEqual(sock.calls.length, before);
+});
+
+test('sends the catalog button', async () => {
+  const sock = createMockSocket();
+  await sendCatalogButton(sock, USER, { catalogOwner: OWNER, text: 'Browse our catalog', thumbnailProductId: 'sku-1' });
+  const [button] = describeCall(sock.lastCall()).buttons;
+  assert.strictEqual(button.name, 'cta_catalog');
+  assert.deepStrictEqual(button.params, { business_phone_number: '5511999999999', catalog_product_id: 'sku-1' });
+  await assert.rejects(sendCatalogButton(sock, USER, { catalogOwner: '', text: '' }), err => err.errors.length === 2);
+});
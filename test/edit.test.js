@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { editInteractiveMessage, disableInteractiveButtons, extractInteractiveText } = require('../helpers/edit');
+const { sendButtons, sendListMessage, InteractiveValidationError } = require('../helpers/buttons');
+const { createInteractiveRouter } = require('../helpers/router');
+const { createMockSocket, useMockBaileys, describeCall, expectButtons } = require('../testing');
+
+const USER = '4915112345678@s.whatsapp.net';
+const silent = { trace() {}, debug() {}, info() {}, warn() {}, error() {} };
+const menu = { text: 'Pick one', footer: 'Pizza place', buttons: [{ id: 'pizza', text: 'Pizza' }, { id: 'pasta', text: 'Pasta' }] };
+
+let restore;
+test.beforeEach(() => { restore = useMockBaileys(); });
+test.afterEach(() => restore());
+
+test('edits relay a MESSAGE_EDIT of the original key with rebuilt content', async () => {
+  const sock = createMockSocket();
+  const sent = await sendButtons(sock, USER, menu);
+  await editInteractiveMessage(sock, sent.key, {
+    text: 'Pick again',
+    interactiveButtons: [{ name: 'quick_reply', buttonParamsJson: JSON.stringify({ display_text: 'Salad', id: 'salad' }) }]
+  });
+  const call = sock.lastCall();
+  const { protocolMessage } = call.message;
+  assert.strictEqual(protocolMessage.type, 14);
+  assert.deepStrictEqual(protocolMessage.key, { remoteJid: USER, fromMe: true, id: sent.key.id });
+  assert.strictEqual(call.relayOptions.additionalAttributes.edit, '1');
+  assert.strictEqual(call.additionalNodes[0].tag, 'biz');
+  const described = describeCall(call);
+  assert.strictEqual(described.editOf, sent.key.id);
+  assert.strictEqual(described.text, 'Pick again');
+  expectButtons(call, ['salad']);
+});
+
+test('disableInteractiveButtons keeps the text and replaces the buttons with a note', async () => {
+  const sock = createMockSocket();
+  const sent = await sendButtons(sock, USER, menu);
+  await disableInteractiveButtons(sock, sent, { note: 'You selected: Pizza' });
+  const described = describeCall(sock.lastCall());
+  assert.deepStrictEqual([described.text, described.footer, described.buttons], ['Pick one', 'You selected: Pizza', []]);
+
+  // By key: the original comes from sock.config.getMessage.
+  const list = await sendListMessage(sock, USER, { text: 'Menu', title: 'Today', buttonText: 'Open', sections: [{ title: 'S', rows: [{ rowId: 'r', title: 'R' }] }] });
+  await disableInteractiveButtons(sock, list.key);
+  assert.deepStrictEqual(extractInteractiveText(sock.lastCall().message.protocolMessage.editedMessage), { text: 'Menu', title: 'Today', footer: null });
+});
+
+test('rejects keys that cannot be edited and unknown originals', async () => {
+  const sock = createMockSocket();
+  await assert.rejects(
+    editInteractiveMessage(sock, { remoteJid: USER, id: 'X', fromMe: false }, { text: 'x' }),
+    err => err instanceof InteractiveValidationError && err.errors[0].includes('key.fromMe is false')
+  );
+  await assert.rejects(
+    disableInteractiveButtons(sock, { remoteJid: USER, id: 'unknown' }),
+    err => err.context === 'disableInteractiveButtons'
+  );
+  await assert.rejects(editInteractiveMessage(sock, null, { text: 'x' }), /Message key invalid/);
+});
+
+test('the router disables answered buttons with the selection note', async () => {
+  const sock = createMockSocket();
+  createInteractiveRouter(sock, { logger: silent, disableButtons: true }).on('pizza', () => {});
+  const sent = await sendButtons(sock, USER, menu);
+  await sock.injectButtonReply(USER, { id: 'pizza', text: 'Pizza', quoted: sent });
+  const described = describeCall(sock.lastCall());
+  assert.strictEqual(described.editOf, sent.key.id);
+  assert.strictEqual(described.footer, 'You selected: Pizza');
+  assert.deepStrictEqual(described.buttons, []);
+});
+
+test('ctx.disableButtons accepts a custom note', async () => {
+  const sock = createMockSocket();
+  createInteractiveRouter(sock, { logger: silent }).on('pasta', ctx => ctx.disableButtons('Pasta it is'));
+  const sent = await sendButtons(sock, USER, menu);
+  await sock.injectButtonReply(USER, { id: 'pasta', quoted: sent });
+  assert.strictEqual(describeCall(sock.lastCall()).footer, 'Pasta it is');
+});
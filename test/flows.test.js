@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sendFlowMessage, validateFlowPayload, buildFlowButton, parseFlowResponse } = require('../helpers/flows');
+const { InteractiveValidationError } = require('../helpers/buttons');
+const { createInteractiveRouter } = require('../helpers/router');
+const { createMockSocket, useMockBaileys, describeCall } = require('../testing');
+
+const USER = '4915112345678@s.whatsapp.net';
+const silent = { trace() {}, debug() {}, info() {}, warn() {}, error() {} };
+const booking = {
+  text: 'Book your appointment',
+  flowId: '1234567890',
+  flowToken: 'booking:42',
+  cta: 'Book now',
+  screen: 'APPOINTMENT',
+  data: { service: 'haircut' }
+};
+
+let restore;
+test.beforeEach(() => { restore = useMockBaileys(); });
+test.afterEach(() => restore());
+
+test('sends a galaxy_message button with the flow params', async () => {
+  const sock = createMockSocket();
+  await sendFlowMessage(sock, USER, { ...booking, footer: 'Salon' });
+  const { buttons, footer } = describeCall(sock.lastCall());
+  assert.strictEqual(footer, 'Salon');
+  assert.strictEqual(buttons[0].name, 'galaxy_message');
+  assert.deepStrictEqual(buttons[0].params, {
+    flow_message_version: '3',
+    flow_token: 'booking:42',
+    flow_id: '1234567890',
+    flow_cta: 'Book now',
+    flow_action: 'navigate',
+    mode: 'published',
+    flow_action_payload: { screen: 'APPOINTMENT', data: { service: 'haircut' } }
+  });
+});
+
+test('data_exchange flows carry no first screen', () => {
+  const params = JSON.parse(buildFlowButton({ ...booking, action: 'data_exchange', screen: undefined, data: undefined, flowId: 7 }).buttonParamsJson);
+  assert.strictEqual(params.flow_id, '7');
+  assert.strictEqual(params.flow_action_payload, undefined);
+});
+
+test('validates the payload', async () => {
+  assert.deepStrictEqual(validateFlowPayload({ ...booking, mode: 'draft' }).warnings, ["mode 'draft' only opens for the flow's testers"]);
+  const { errors } = validateFlowPayload({ text: '', flowId: '', flowToken: 1, cta: ' ', action: 'open', mode: 'live' });
+  assert.strictEqual(errors.length, 6);
+  assert.match(validateFlowPayload({ ...booking, screen: undefined }).errors[0], /screen is required/);
+  assert.match(validateFlowPayload({ ...booking, data: {} }).errors[0], /must not be empty/);
+  assert.match(validateFlowPayload({ ...booking, action: 'data_exchange' }).errors[0], /only used with action 'navigate'/);
+  await assert.rejects(
+    sendFlowMessage(createMockSocket(), USER, { ...booking, cta: '' }),
+    err => err instanceof InteractiveValidationError && err.context === 'sendFlowMessage.validateFlowPayload'
+  );
+});
+
+test('parses submitted flows, including nested response_json', async () => {
+  const sock = createMockSocket();
+  const parsed = [];
+  sock.ev.on('messages.upsert', ({ messages }) => parsed.push(parseFlowResponse(messages[0])));
+  await sock.injectNativeFlowReply(USER, {
+    name: 'galaxy_message',
+    text: 'Sent',
+    params: { response_json: JSON.stringify({ flow_token: 'booking:42', date: '2026-10-20' }) }
+  });
+  await sock.injectNativeFlowReply(USER, { id: 'yes' });
+  assert.deepStrictEqual(
+    (({ flowToken, data, name, from }) => ({ flowToken, data, name, from }))(parsed[0]),
+    { flowToken: 'booking:42', data: { date: '2026-10-20' }, name: 'galaxy_message', from: USER }
+  );
+  assert.strictEqual(parsed[1], null);
+});
+
+test('the router matches flow tokens and exposes ctx.flow', async () => {
+  const sock = createMockSocket();
+  const seen = [];
+  createInteractiveRouter(sock, { logger: silent })
+    .on({ flowToken: /^booking:/ }, ctx => seen.push([ctx.flow.flowToken, ctx.flow.data.date]));
+  await sock.injectNativeFlowReply(USER, { name: 'galaxy_message', params: { flow_token: 'booking:7', date: 'today' } });
+  await sock.injectNativeFlowReply(USER, { name: 'galaxy_message', params: { flow_token: 'survey:1' } });
+  assert.deepStrictEqual(seen, [['booking:7', 'today']]);
+});
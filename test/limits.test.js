@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { WA_LIMITS, createLimitChecker, resolveLimitPolicy } = require('../helpers/limits');
+const { configure } = require('../helpers/config');
+const { validateSendButtonsPayload, validateListMessagePayload, sendButtons, InteractiveValidationError } = require('../helpers/buttons');
+const { createMockSocket, useMockBaileys, describeCall } = require('../testing');
+
+const USER = '4915112345678@s.whatsapp.net';
+const longLabel = 'A label that is far too long';
+const payload = { text: 'Pick', footer: 'f'.repeat(61), buttons: [{ id: 'a', text: longLabel }] };
+
+test.afterEach(() => configure({ limitPolicy: null }));
+
+test("default policy is 'warn': violations are warnings and the payload is unchanged", () => {
+  assert.strictEqual(resolveLimitPolicy(), 'warn');
+  const result = validateSendButtonsPayload(payload);
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.warnings.filter(w => /exceeds/.test(w)).length, 2);
+  assert.deepStrictEqual(result.cleaned, payload);
+});
+
+test("'error' turns violations into errors", async () => {
+  const result = validateSendButtonsPayload(payload, { limitPolicy: 'error' });
+  assert.strictEqual(result.valid, false);
+  assert.ok(result.errors.includes('footer exceeds 60 characters (61)'));
+
+  const restore = useMockBaileys();
+  configure({ limitPolicy: 'error' });
+  try {
+    await assert.rejects(sendButtons(createMockSocket(), USER, payload), InteractiveValidationError);
+  } finally {
+    restore();
+  }
+});
+
+test("'truncate' shortens text by code points and reports every change", () => {
+  const emoji = '😀'.repeat(WA_LIMITS.buttonLabel + 5);
+  const result = validateSendButtonsPayload({ text: 'Pick', buttons: [{ id: 'a', text: emoji }] }, { limitPolicy: 'truncate' });
+  assert.strictEqual(result.valid, true);
+  const [change] = result.changes;
+  assert.strictEqual(change.limit, WA_LIMITS.buttonLabel);
+  assert.strictEqual(Array.from(change.to).length, WA_LIMITS.buttonLabel);
+  assert.ok(change.to.endsWith('…'));
+  assert.ok(!change.to.includes('�'), 'no split surrogate pairs');
+});
+
+test("ids and counts are never truncated, so they stay errors under 'truncate'", () => {
+  const errors = [];
+  const checker = createLimitChecker('truncate', errors, []);
+  checker.id('button[0].id', 'x'.repeat(WA_LIMITS.buttonId + 1), WA_LIMITS.buttonId);
+  checker.count('sections', 11, WA_LIMITS.sectionsPerList);
+  assert.deepStrictEqual(errors, [
+    'button[0].id exceeds 256 characters (ids cannot be truncated)',
+    'sections count (11) exceeds limit of 10'
+  ]);
+
+  const rows = Array.from({ length: 11 }, (_, i) => ({ rowId: `r${i}`, title: `Row ${i}` }));
+  const list = validateListMessagePayload({ text: 'Menu', buttonText: 'Open', sections: [{ title: 'All', rows }] }, { limitPolicy: 'truncate' });
+  assert.strictEqual(list.valid, false);
+});
+
+test('configure() sets the package default and validates it', async () => {
+  configure({ limitPolicy: 'truncate' });
+  const restore = useMockBaileys();
+  try {
+    const sock = createMockSocket();
+    await sendButtons(sock, USER, payload);
+    assert.strictEqual(Array.from(describeCall(sock.lastCall()).footer).length, WA_LIMITS.footerText);
+  } finally {
+    restore();
+  }
+  assert.throws(() => configure({ limitPolicy: 'ignore' }), TypeError);
+  assert.throws(() => resolveLimitPolicy({ limitPolicy: 'ignore' }), TypeError);
+});
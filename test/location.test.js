@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  sendLocationRequest, sendAddressRequest, validateAddressRequest, parseLocationReply, parseAddressResponse
+} = require('../helpers/location');
+const { InteractiveValidationError } = require('../helpers/buttons');
+const { createInteractiveRouter } = require('../helpers/router');
+const { createMockSocket, useMockBaileys, describeCall } = require('../testing');
+
+const USER = '919999999999@s.whatsapp.net';
+const silent = { trace() {}, debug() {}, info() {}, warn() {}, error() {} };
+
+let restore;
+test.beforeEach(() => { restore = useMockBaileys(); });
+test.afterEach(() => restore());
+
+test('sends a send_location button and decodes the quoted answer', async () => {
+  const sock = createMockSocket();
+  const request = await sendLocationRequest(sock, USER, { text: 'Where should we deliver?', buttonText: 'Share' });
+  assert.deepStrictEqual(describeCall(sock.lastCall()).buttons[0], { id: null, text: 'Share', name: 'send_location', params: { display_text: 'Share' } });
+
+  const parsed = [];
+  sock.ev.on('messages.upsert', ({ messages, type }) => { if (type === 'notify') parsed.push(parseLocationReply(messages[0])); });
+  await sock.injectLocation(USER, { latitude: 19.07, longitude: 72.87, name: 'Home', quoted: request });
+  await sock.injectText(USER, 'hi');
+  assert.deepStrictEqual(
+    (({ latitude, longitude, name, live, from, quotedMessageId }) => ({ latitude, longitude, name, live, from, quotedMessageId }))(parsed[0]),
+    { latitude: 19.07, longitude: 72.87, name: 'Home', live: false, from: USER, quotedMessageId: request.key.id }
+  );
+  assert.strictEqual(parsed[1], null);
+  await assert.rejects(sendLocationRequest(sock, USER, { text: '' }), InteractiveValidationError);
+});
+
+test('the router ignores locations unless locations: true', async () => {
+  const sock = createMockSocket();
+  const request = await sendLocationRequest(sock, USER, { text: 'Where?' });
+  const seen = [];
+  const quiet = createInteractiveRouter(sock, { logger: silent }).fallback(ctx => seen.push(['default', ctx.reply.kind]));
+  await sock.injectLocation(USER, { latitude: 1, longitude: 2, quoted: request });
+  assert.deepStrictEqual(seen, []);
+  quiet.stop();
+
+  createInteractiveRouter(sock, { logger: silent, locations: true })
+    .on({ kind: 'location' }, ctx => seen.push(['location', ctx.location.quotedMessageId]))
+    .fallback(ctx => seen.push(['fallback', ctx.reply.kind]));
+  await sock.injectLocation(USER, { latitude: 1, longitude: 2, quoted: request });
+  await sock.injectLocation(USER, { latitude: 1, longitude: 2 });
+  assert.deepStrictEqual(seen, [['location', request.key.id]]);
+});
+
+test('sends address forms with prefill and saved addresses', async () => {
+  const sock = createMockSocket();
+  await sendAddressRequest(sock, USER, {
+    text: 'Confirm your delivery address',
+    country: 'IN',
+    prefill: { name: 'Asha', in_pin_code: '400001' },
+    savedAddresses: [{ id: 'home', value: { name: 'Asha', in_pin_code: '400002' } }]
+  });
+  const { params } = describeCall(sock.lastCall()).buttons[0];
+  assert.deepStrictEqual(params, {
+    display_text: 'Provide address',
+    country: 'IN',
+    values: { name: 'Asha', in_pin_code: '400001' },
+    saved_addresses: [{ id: 'home', value: { name: 'Asha', in_pin_code: '400002' } }]
+  });
+});
+
+test('address request warnings go to the logger', async () => {
+  const logged = [];
+  const logger = { ...silent, warn(obj, msg) { logged.push({ obj, msg }); } };
+  const sock = createMockSocket();
+  await sendAddressRequest(sock, USER, { text: 'Fix your address', country: 'IN', validationErrors: { in_pin_code: 'Unknown PIN' } }, { logger });
+  const entry = logged.find(l => l.msg === 'sendAddressRequest warnings');
+  assert.ok(entry, 'warnings were logged');
+  assert.deepStrictEqual(entry.obj.warnings, ['validationErrors are shown next to prefilled values; pass prefill as well']);
+  assert.deepStrictEqual(describeCall(sock.lastCall()).buttons[0].params.validation_errors, { in_pin_code: 'Unknown PIN' });
+});
+
+test('validates address requests', () => {
+  assert.deepStrictEqual(validateAddressRequest({ text: 'x', country: 'US' }).errors, ['country must be one of IN, SG']);
+  const { errors, warnings } = validateAddressRequest({
+    text: 'x',
+    country: 'SG',
+    savedAddresses: [{ id: 'a', value: {} }, { id: 'a', value: {} }],
+    validationErrors: { in_pin_code: 'wrong' }
+  });
+  assert.deepStrictEqual(errors, [
+    "savedAddresses[1].id 'a' is used more than once",
+    'validationErrors.in_pin_code is not an address field for this country'
+  ]);
+  assert.strictEqual(warnings.length, 1);
+  assert.ok(validateAddressRequest({ text: 'x', country: 'IN', prefill: { in_pin_code: '4000' } }).errors.length);
+});
+
+test('decodes submitted address forms and routes them as ctx.address', async () => {
+  const sock = createMockSocket();
+  const seen = [];
+  createInteractiveRouter(sock, { logger: silent })
+    .flow('address_message', ctx => seen.push([ctx.address.address, ctx.address.savedAddressId]));
+  await sock.injectNativeFlowReply(USER, {
+    name: 'address_message',
+    params: { response_json: JSON.stringify({ values: { name: 'Asha', in_pin_code: '400001', city: 'Mumbai' } }) }
+  });
+  await sock.injectNativeFlowReply(USER, { name: 'address_message', params: { saved_address_id: 'home' } });
+  assert.deepStrictEqual(seen, [
+    [{ name: 'Asha', postalCode: '400001', city: 'Mumbai' }, null],
+    [{}, 'home']
+  ]);
+  assert.strictEqual(parseAddressResponse({ conversation: 'hi' }), null);
+});
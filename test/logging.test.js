@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { configure, resolveLogger } = require('../helpers/config');
+const { sendButtons } = require('../helpers/buttons');
+const { createMockSocket, useMockBaileys } = require('../testing');
+
+const USER = '4915112345678@s.whatsapp.net';
+
+const recorder = () => {
+  const entries = [];
+  const logger = {};
+  for (const level of ['trace', 'debug', 'info', 'warn', 'error']) {
+    logger[level] = (obj, msg) => entries.push({ level, obj, msg });
+  }
+  return { logger, entries };
+};
+
+test.afterEach(() => configure({ logger: null, logLevel: null }));
+
+test('options.logger wins over configure() and sock.logger', () => {
+  const a = recorder();
+  const b = recorder();
+  const c = recorder();
+  configure({ logger: b.logger });
+  resolveLogger({ logger: c.logger }, { logger: a.logger }).info({ x: 1 }, 'hello');
+  resolveLogger({ logger: c.logger }).info({}, 'configured');
+  configure({ logger: null });
+  resolveLogger({ logger: c.logger }).info({}, 'socket');
+  assert.deepStrictEqual(a.entries, [{ level: 'info', obj: { x: 1 }, msg: 'hello' }]);
+  assert.deepStrictEqual(b.entries.map(e => e.msg), ['configured']);
+  assert.deepStrictEqual(c.entries.map(e => e.msg), ['socket']);
+});
+
+test('logLevel filters lower levels and silent disables logging', () => {
+  const { logger, entries } = recorder();
+  configure({ logger, logLevel: 'warn' });
+  const log = resolveLogger();
+  log.debug({}, 'dropped');
+  log.warn({}, 'kept');
+  log.error({}, 'kept too');
+  resolveLogger(null, { logLevel: 'silent' }).error({}, 'silenced');
+  assert.deepStrictEqual(entries.map(e => e.msg), ['kept', 'kept too']);
+});
+
+test('without any logger every level is a no-op', () => {
+  const log = resolveLogger();
+  assert.doesNotThrow(() => log.error({}, 'nowhere'));
+});
+
+test('configure() validates levels', () => {
+  assert.throws(() => configure({ logLevel: 'loud' }), TypeError);
+});
+
+test('helpers log through the resolved logger instead of the console', async () => {
+  const restore = useMockBaileys();
+  const { logger, entries } = recorder();
+  try {
+    await sendButtons(createMockSocket(), USER, { text: 'Hi', buttons: [{ id: 'a', text: 'A' }] }, { logger });
+    assert.ok(entries.some(e => e.level === 'debug' && e.msg === 'Interactive send: injected binary nodes'));
+  } finally {
+    restore();
+  }
+});
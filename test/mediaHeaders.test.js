@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sendInteractiveMessage, sendButtons, validateSendButtonsPayload, InteractiveValidationError } = require('../helpers/buttons');
+const { unwrapMessageContent } = require('../helpers/responses');
+const { createMockSocket, useMockBaileys } = require('../testing');
+
+const USER = '4915112345678@s.whatsapp.net';
+const buttons = [{ id: 'ok', text: 'OK' }];
+// Native flow messages are sent inside documentWithCaptionMessage (mdPatch).
+const headerOf = call => unwrapMessageContent(call.message).interactiveMessage.header;
+
+let restore;
+test.beforeEach(() => { restore = useMockBaileys(); });
+test.afterEach(() => restore());
+
+test('image header is uploaded and embedded with hasMediaAttachment', async () => {
+  const sock = createMockSocket();
+  await sendButtons(sock, USER, { text: 'Menu', title: 'Today', image: Buffer.from('img'), buttons });
+  const header = headerOf(sock.lastCall());
+  assert.strictEqual(header.title, 'Today');
+  assert.strictEqual(header.hasMediaAttachment, true);
+  assert.match(header.imageMessage.url, /^https:\/\/mock\.whatsapp\.net\/image\//);
+  assert.strictEqual(unwrapMessageContent(sock.lastCall().message).image, undefined, 'authoring keys are stripped');
+});
+
+test('document header keeps mimetype and fileName', async () => {
+  const sock = createMockSocket();
+  await sendInteractiveMessage(sock, USER, {
+    text: 'Invoice',
+    document: { url: 'https://example.com/invoice.pdf' },
+    mimetype: 'application/pdf',
+    fileName: 'invoice.pdf',
+    interactiveButtons: [{ name: 'quick_reply', buttonParamsJson: JSON.stringify({ display_text: 'Paid', id: 'paid' }) }]
+  });
+  const { documentMessage } = headerOf(sock.lastCall());
+  assert.strictEqual(documentMessage.mimetype, 'application/pdf');
+  assert.strictEqual(documentMessage.fileName, 'invoice.pdf');
+});
+
+test('location header needs no upload and accepts latitude/longitude', async () => {
+  const sock = createMockSocket();
+  await sendButtons(sock, USER, { text: 'Find us', location: { latitude: 1.5, longitude: 2.5, name: 'Shop' }, buttons });
+  assert.deepStrictEqual(headerOf(sock.lastCall()).locationMessage, { degreesLatitude: 1.5, degreesLongitude: 2.5, name: 'Shop' });
+});
+
+test('invalid or multiple header media are rejected', async () => {
+  const twoMedia = validateSendButtonsPayload({ text: 'x', image: Buffer.from('a'), video: Buffer.from('b'), buttons });
+  assert.strictEqual(twoMedia.valid, false);
+  assert.match(twoMedia.errors.join(), /only one header media/);
+
+  assert.match(validateSendButtonsPayload({ text: 'x', image: 'not-a-buffer', buttons }).errors.join(), /Buffer, a stream or \{ url \}/);
+  assert.match(validateSendButtonsPayload({ text: 'x', location: { name: 'Shop' }, buttons }).errors.join(), /degreesLatitude/);
+  assert.match(validateSendButtonsPayload({ text: 'x', document: Buffer.from('d'), buttons }).warnings.join(), /mimetype/);
+
+  await assert.rejects(
+    sendButtons(createMockSocket(), USER, { text: 'x', image: 42, buttons }),
+    InteractiveValidationError
+  );
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { defineMenu, createMenuRuntime, MENU_BACK_ID, MENU_HOME_ID } = require('../helpers/menus');
+const { createMemoryStateStore, createJsonFileStateStore } = require('../helpers/stores');
+const { createInteractiveRouter } = require('../helpers/router');
+const { InteractiveValidationError } = require('../helpers/buttons');
+const { createMockSocket, useMockBaileys, expectButtons, expectListRows, expectText } = require('../testing');
+
+const USER = '4915112345678@s.whatsapp.net';
+const shop = {
+  id: 'main',
+  text: 'Welcome!',
+  children: [
+    {
+      id: 'shirts',
+      label: 'Shirts',
+      text: 'Pick a category',
+      children: [{ id: 'tees', label: 'Tees', text: 'Pick a tee', sections: [{ title: 'Tees', rows: [{ rowId: 'tee_1', title: 'Plain' }] }] }]
+    },
+    { id: 'support', label: 'Support', text: 'How can we help?', buttons: [{ id: 'call_me', text: 'Call me' }] }
+  ]
+};
+
+let restore;
+test.beforeEach(() => { restore = useMockBaileys(); });
+test.afterEach(() => restore());
+
+test('navigates down, back and home through the router middleware', async () => {
+  const sock = createMockSocket();
+  const menus = createMenuRuntime(sock, shop);
+  const routed = [];
+  createInteractiveRouter(sock).use(menus.middleware()).on('call_me', ctx => routed.push(ctx.id));
+
+  await menus.send(USER);
+  expectButtons(sock.lastCall(), ['shirts', 'support']);
+
+  await sock.injectButtonReply(USER, { id: 'shirts' });
+  expectButtons(sock.lastCall(), ['tees', MENU_BACK_ID]);
+
+  await sock.injectButtonReply(USER, { id: 'tees' });
+  expectText(sock.lastCall(), 'Pick a tee');
+  expectListRows(sock.lastCall(), ['tee_1', MENU_BACK_ID, MENU_HOME_ID]);
+  assert.deepStrictEqual((await menus.getState(USER)).history, ['main', 'shirts']);
+
+  await sock.injectListReply(USER, { id: MENU_BACK_ID });
+  expectText(sock.lastCall(), 'Pick a category');
+
+  await sock.injectButtonReply(USER, { id: MENU_HOME_ID });
+  expectText(sock.lastCall(), 'Welcome!');
+
+  await sock.injectButtonReply(USER, { id: 'support' });
+  await sock.injectButtonReply(USER, { id: 'call_me' });
+  assert.deepStrictEqual(routed, ['call_me'], 'ids outside the tree reach the routes');
+});
+
+test('Back without a stored position opens the root; failed sends keep the state', async () => {
+  const sock = createMockSocket();
+  const menus = createMenuRuntime(sock, shop);
+  assert.strictEqual(await menus.handle(USER, MENU_BACK_ID), true);
+  expectText(sock.lastCall(), 'Welcome!');
+
+  sock.failNextRelay();
+  await assert.rejects(menus.handle(USER, 'shirts'));
+  assert.strictEqual((await menus.getState(USER)).menuId, 'main');
+  await menus.reset(USER);
+  assert.strictEqual(await menus.getState(USER), null);
+  assert.strictEqual(await menus.handle(USER, 'unknown'), false);
+});
+
+test('invalid definitions and unknown menus are rejected', async () => {
+  const contextOf = fn => {
+    try {
+      fn();
+    } catch (err) {
+      assert.ok(err instanceof InteractiveValidationError);
+      return [err.context, err.errors];
+    }
+    assert.fail('expected a validation error');
+  };
+  const [context, errors] = contextOf(() => defineMenu({ id: 'a', text: 'A', children: [{ id: 'a', text: 'Again', buttons: [] }] }));
+  assert.strictEqual(context, 'defineMenu');
+  assert.deepStrictEqual(errors, ['a.children[0].buttons must be a non-empty array', "duplicate menu id 'a'"]);
+  const sock = createMockSocket();
+  await assert.rejects(
+    createMenuRuntime(sock, shop).send(USER, 'nope'),
+    err => err instanceof InteractiveValidationError && err.context === 'createMenuRuntime.send' && err.errors[0] === "no menu with id 'nope'"
+  );
+  assert.strictEqual(sock.calls.length, 0);
+});
+
+test('memory store returns copies', async () => {
+  const store = createMemoryStateStore();
+  const state = { menuId: 'main', history: [] };
+  await store.set(USER, state);
+  state.history.push('mutated');
+  const read = await store.get(USER);
+  assert.deepStrictEqual(read.history, []);
+  read.history.push('mutated');
+  assert.deepStrictEqual((await store.get(USER)).history, []);
+});
+
+test('JSON file store persists across instances', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zq-menus-'));
+  try {
+    const file = path.join(dir, 'nested', 'state.json');
+    const first = createJsonFileStateStore(file);
+    await Promise.all([first.set('a', { menuId: 'main' }), first.set('b', { menuId: 'shirts' })]);
+    await first.delete('a');
+    const second = createJsonFileStateStore(file);
+    assert.strictEqual(await second.get('a'), null);
+    assert.deepStrictEqual(await second.get('b'), { menuId: 'shirts' });
+    assert.strictEqual(await second.get('constructor'), null, 'only own keys are states');
+    assert.throws(() => createJsonFileStateStore(''), TypeError);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
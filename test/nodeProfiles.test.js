@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  registerNodeProfile, unregisterNodeProfile, getNodeProfile, resolveNodeProfile, shouldAddBotNode
+} = require('../helpers/nodeProfiles');
+const { registerButtonType, unregisterButtonType } = require('../helpers/registry');
+const { sendButtons, sendInteractiveMessage, InteractiveValidationError } = require('../helpers/buttons');
+const { configure } = require('../helpers/config');
+const { createMockSocket, useMockBaileys } = require('../testing');
+
+const USER = '4915112345678@s.whatsapp.net';
+const GROUP = '120363000000000000@g.us';
+const data = { text: 'Hi', buttons: [{ id: 'a', text: 'A' }] };
+const nativeFlowNode = call => call.additionalNodes[0].content[0].content[0];
+
+let restore;
+test.beforeEach(() => { restore = useMockBaileys(); });
+test.afterEach(() => {
+  restore();
+  configure({ nodeProfile: null });
+  unregisterNodeProfile('test-v10');
+  unregisterButtonType('cta_reorder');
+});
+
+test('the default profile sends mixed v9 and a bot node in private chats only', async () => {
+  const sock = createMockSocket();
+  await sendButtons(sock, USER, data);
+  await sendButtons(sock, GROUP, data);
+  assert.deepStrictEqual(nativeFlowNode(sock.calls[0]).attrs, { v: '9', name: 'mixed' });
+  assert.deepStrictEqual(sock.calls[0].additionalNodes[1], { tag: 'bot', attrs: { biz_bot: '1' } });
+  assert.strictEqual(sock.calls[1].additionalNodes.length, 1);
+});
+
+test('registered profiles extend default and apply per call or via configure', async () => {
+  const profile = registerNodeProfile('test-v10', { nativeFlowVersion: '10', botNode: 'always' });
+  assert.strictEqual(profile.mixedFlowName, 'mixed');
+  assert.ok(Object.isFrozen(profile));
+  assert.strictEqual(getNodeProfile('test-v10'), profile);
+
+  const sock = createMockSocket();
+  await sendButtons(sock, GROUP, data, { nodeProfile: 'test-v10' });
+  configure({ nodeProfile: 'test-v10' });
+  await sendButtons(sock, GROUP, data);
+  await sendButtons(sock, GROUP, data, { nodeProfile: 'default' });
+  assert.deepStrictEqual(sock.calls.map(c => [nativeFlowNode(c).attrs.v, c.additionalNodes.length]), [['10', 2], ['10', 2], ['9', 1]]);
+});
+
+test('inline profiles and botNode functions', async () => {
+  const seen = [];
+  const sock = createMockSocket();
+  await sendButtons(sock, USER, data, {
+    nodeProfile: { botNode: ctx => { seen.push([ctx.jid, ctx.isPrivate, ctx.buttonType]); return false; }, botAttrs: { x: '1' } }
+  });
+  assert.deepStrictEqual(seen, [[USER, true, 'native_flow']]);
+  assert.strictEqual(sock.lastCall().additionalNodes.length, 1);
+  assert.strictEqual(shouldAddBotNode(resolveNodeProfile({ nodeProfile: { botNode: 'never' } }), { isPrivate: true }), false);
+});
+
+test('profile hooks and registry builders get the same (message, { name, profile }) arguments', async () => {
+  const calls = [];
+  const hook = source => (message, ctx) => {
+    calls.push([source, ctx.name, ctx.profile.name, !!message.interactiveMessage]);
+    return { tag: 'biz', attrs: { source } };
+  };
+  registerButtonType('cta_reorder', { requiredFields: ['display_text'], bizNode: hook('registry') });
+  const content = { text: 'Again?', interactiveButtons: [{ name: 'cta_reorder', buttonParamsJson: JSON.stringify({ display_text: 'Reorder' }) }] };
+  const sock = createMockSocket();
+  await sendInteractiveMessage(sock, USER, content);
+  await sendInteractiveMessage(sock, USER, content, { nodeProfile: { buttonNodes: { cta_reorder: hook('profile') } } });
+  assert.deepStrictEqual(calls, [['registry', 'cta_reorder', 'default', true], ['profile', 'cta_reorder', 'inline', true]]);
+  assert.deepStrictEqual(sock.calls.map(c => c.additionalNodes[0].attrs.source), ['registry', 'profile']);
+});
+
+test('invalid profiles are rejected', async () => {
+  assert.throws(() => registerNodeProfile('test-v10', { nativeFlowVersion: 10 }), /nativeFlowVersion must be a string/);
+  assert.throws(() => registerNodeProfile('test-v10', { extends: 'missing' }), /unknown base profile/);
+  assert.throws(() => registerNodeProfile('test-v10', { buttonNodes: { cta_url: 'x' } }), /buttonNodes.cta_url must be a function/);
+  assert.strictEqual(unregisterNodeProfile('default'), false);
+  await assert.rejects(
+    sendButtons(createMockSocket(), USER, data, { nodeProfile: 'nope' }),
+    err => err instanceof InteractiveValidationError && err.context === 'sendInteractiveMessage.nodeProfile'
+  );
+});
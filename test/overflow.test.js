@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sendButtons, sendTemplateButtons, parseOverflowPage, InteractiveValidationError } = require('../helpers/buttons');
+const { configure } = require('../helpers/config');
+const { createMockSocket, useMockBaileys, describeCall, expectButtons, expectListRows } = require('../testing');
+
+const USER = '4915112345678@s.whatsapp.net';
+const options = n => Array.from({ length: n }, (_, i) => ({ id: `opt_${i + 1}`, text: `Option ${i + 1}` }));
+const ids = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => `opt_${from + i}`);
+
+let restore;
+test.beforeEach(() => {
+  restore = useMockBaileys();
+  // Fail on any limit violation so the layouts are checked against WhatsApp limits.
+  configure({ limitPolicy: 'error' });
+});
+test.afterEach(() => {
+  configure({ limitPolicy: null });
+  restore();
+});
+
+test("'list' moves quick replies into a single_select and keeps CTA buttons", async () => {
+  const sock = createMockSocket();
+  const cta = { name: 'cta_url', buttonParamsJson: JSON.stringify({ display_text: 'Site', url: 'https://sendbulk.cloud' }) };
+  await sendButtons(sock, USER, { text: 'Pick', buttons: [...options(5), cta] }, { overflow: 'list', listButtonText: 'Sizes' });
+  expectButtons(sock.lastCall(), [{ name: 'single_select', text: 'Sizes' }, { name: 'cta_url' }]);
+  expectListRows(sock.lastCall(), ids(1, 5));
+});
+
+test("'list' pages more than 10 options with a More… row", async () => {
+  const sock = createMockSocket();
+  const menu = { text: 'Pick', buttons: options(23) };
+  await sendButtons(sock, USER, menu, { overflow: 'list' });
+  expectListRows(sock.lastCall(), [...ids(1, 9), { id: 'zq_more:2', title: 'More…' }]);
+
+  await sendButtons(sock, USER, menu, { overflow: 'list', page: parseOverflowPage('zq_more:2') });
+  expectListRows(sock.lastCall(), [...ids(10, 18), 'zq_more:3']);
+
+  await sendButtons(sock, USER, menu, { overflow: 'list', page: 3 });
+  expectListRows(sock.lastCall(), ids(19, 23));
+});
+
+test("'list' for sendTemplateButtons sends a paged listMessage", async () => {
+  const sock = createMockSocket();
+  await sendTemplateButtons(sock, USER, { text: 'Pick', buttons: options(11) }, { overflow: 'list' });
+  assert.strictEqual(describeCall(sock.lastCall()).kind, 'list');
+  expectListRows(sock.lastCall(), [...ids(1, 9), 'zq_more:2']);
+  await sendTemplateButtons(sock, USER, { text: 'Pick', buttons: options(11) }, { overflow: 'list', page: 2 });
+  expectListRows(sock.lastCall(), ids(10, 11));
+});
+
+test("'paginate' sends maxButtons - 1 options plus More…", async () => {
+  const sock = createMockSocket();
+  const menu = { text: 'Pick', buttons: options(7) };
+  await sendButtons(sock, USER, menu, { overflow: 'paginate' });
+  expectButtons(sock.lastCall(), ['opt_1', 'opt_2', 'zq_more:2']);
+  await sendButtons(sock, USER, menu, { overflow: 'paginate', page: 3 });
+  expectButtons(sock.lastCall(), ['opt_5', 'opt_6', 'opt_7']);
+  await sendTemplateButtons(sock, USER, menu, { overflow: 'paginate', maxButtons: 4, page: 2 });
+  expectButtons(sock.lastCall(), ['opt_4', 'opt_5', 'opt_6', 'opt_7']);
+});
+
+test('few options are sent unchanged', async () => {
+  const sock = createMockSocket();
+  await sendButtons(sock, USER, { text: 'Pick', buttons: options(3) }, { overflow: 'list' });
+  expectButtons(sock.lastCall(), ids(1, 3));
+});
+
+test('invalid options and missing pages throw InteractiveValidationError', async () => {
+  const sock = createMockSocket();
+  const menu = { text: 'Pick', buttons: options(7) };
+  const rejects = (promise, context, message) => assert.rejects(promise, err =>
+    err instanceof InteractiveValidationError && err.context === context && message.test(err.errors[0]));
+  await rejects(sendButtons(sock, USER, menu, { overflow: 'paginate', page: 9 }), 'sendButtons.overflow', /page 9 out of range \(1-3\)/);
+  await rejects(sendButtons(sock, USER, menu, { overflow: 'list', page: 2 }), 'sendButtons.overflow', /out of range/);
+  await rejects(sendButtons(sock, USER, menu, { overflow: 'paginate', page: 0 }), 'sendButtons.overflow', /positive integer/);
+  await rejects(sendButtons(sock, USER, menu, { overflow: 'grid' }), 'sendButtons.overflow', /overflow must be one of/);
+  await rejects(sendTemplateButtons(sock, USER, menu, { overflow: 'paginate', maxButtons: 1 }), 'sendTemplateButtons.overflow', /maxButtons/);
+  await rejects(sendTemplateButtons(sock, USER, menu, { overflow: 'paginate', page: 5 }), 'sendTemplateButtons.overflow', /out of range/);
+  assert.strictEqual(sock.calls.length, 0);
+});
+
+test('parseOverflowPage only accepts More… ids', () => {
+  assert.strictEqual(parseOverflowPage('zq_more:4'), 4);
+  assert.strictEqual(parseOverflowPage('zq_more:0'), null);
+  assert.strictEqual(parseOverflowPage('opt_1'), null);
+  assert.strictEqual(parseOverflowPage(null), null);
+});
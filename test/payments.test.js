@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sendOrderDetails, sendPaymentInfo, buildOrderParams, toMoney } = require('../helpers/payments');
+const { InteractiveValidationError } = require('../helpers/buttons');
+const { createMockSocket, useMockBaileys, describeCall } = require('../testing');
+
+const USER = '4915112345678@s.whatsapp.net';
+const pix = { type: 'pix_static_code', merchantName: 'ZQ Store', key: 'pix@zq.dev', keyType: 'EMAIL' };
+const order = {
+  text: 'Your order',
+  referenceId: 'order-1042',
+  currency: 'BRL',
+  items: [{ retailerId: 'sku-1', name: 'T-shirt', amount: 59.9, quantity: 2 }],
+  shipping: 10,
+  discount: { amount: 5, description: 'WELCOME5' }
+};
+
+let restore;
+test.beforeEach(() => { restore = useMockBaileys(); });
+test.afterEach(() => restore());
+
+test('toMoney converts exact amounts and rejects extra decimals', () => {
+  assert.deepStrictEqual(toMoney(12.5), { value: 1250, offset: 100 });
+  assert.deepStrictEqual(toMoney(59.9), { value: 5990, offset: 100 });
+  assert.deepStrictEqual(toMoney(0.1 + 0.2), { value: 30, offset: 100 });
+  assert.deepStrictEqual(toMoney(1.005, 1000), { value: 1005, offset: 1000 });
+  assert.deepStrictEqual(toMoney({ value: 125, offset: 10 }), { value: 1250, offset: 100 });
+  assert.throws(() => toMoney(12.345), { name: 'TypeError', message: 'amount 12.345 has more decimals than offset 100 allows' });
+  assert.throws(() => toMoney({ value: 12345, offset: 1000 }), /cannot be expressed with offset 100/);
+  assert.throws(() => toMoney(Infinity), /finite/);
+});
+
+test('computes subtotal and total for order details', async () => {
+  const sock = createMockSocket();
+  await sendOrderDetails(sock, USER, { ...order, paymentSettings: [pix] });
+  const [button] = describeCall(sock.lastCall()).buttons;
+  assert.strictEqual(button.name, 'review_and_pay');
+  const { total_amount: total, order: details, payment_settings: settings } = button.params;
+  assert.deepStrictEqual(details.subtotal, { value: 11980, offset: 100 });
+  assert.deepStrictEqual(total, { value: 12480, offset: 100 });
+  assert.deepStrictEqual(details.discount, { value: 500, offset: 100, description: 'WELCOME5' });
+  assert.deepStrictEqual(settings, [{ type: 'pix_static_code', pix_static_code: { merchant_name: 'ZQ Store', key: 'pix@zq.dev', key_type: 'EMAIL' } }]);
+  assert.deepStrictEqual(sock.lastCall().additionalNodes[0].attrs, { native_flow_name: 'order_details' });
+});
+
+test('reports totals that do not add up and amounts with too many decimals', () => {
+  assert.deepStrictEqual(buildOrderParams({ ...order, total: 100 }).errors, [
+    'total 100.00 does not match subtotal + tax + shipping - discount (124.80)'
+  ]);
+  const { valid, errors } = buildOrderParams({ ...order, tax: 0.125 });
+  assert.strictEqual(valid, false);
+  assert.deepStrictEqual(errors, ['tax: amount 0.125 has more decimals than offset 100 allows']);
+});
+
+test('payment info needs settings and a total', async () => {
+  const sock = createMockSocket();
+  await sendPaymentInfo(sock, USER, { text: 'Pay with PIX', referenceId: 'order-1042', currency: 'BRL', total: 149.8, paymentSettings: [pix] });
+  assert.deepStrictEqual(describeCall(sock.lastCall()).buttons[0].params.total_amount, { value: 14980, offset: 100 });
+  await assert.rejects(
+    sendPaymentInfo(sock, USER, { text: 'Pay', referenceId: 'r', currency: 'USD', total: 1, paymentSettings: [pix] }),
+    err => err.context === 'sendPaymentInfo.buildOrderParams' && err.errors.includes('paymentSettings[0]: PIX requires currency BRL')
+  );
+});
+
+test('missing or non-object payloads are validation errors, not TypeErrors', async () => {
+  const sock = createMockSocket();
+  for (const data of [null, 'order', 42]) {
+    await assert.rejects(
+      sendOrderDetails(sock, USER, data),
+      err => err instanceof InteractiveValidationError
+        && err.context === 'sendOrderDetails.buildOrderParams'
+        && err.errors[0] === 'payload must be an object'
+    );
+  }
+  await assert.rejects(
+    sendOrderDetails(sock, USER, { ...order, text: '' }),
+    err => err.errors[0] === 'text is mandatory and must be a non-empty string'
+  );
+  assert.strictEqual(sock.calls.length, 0);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  registerButtonType,
+  unregisterButtonType,
+  getButtonTypeDefinition,
+  listButtonTypes,
+  isButtonTypeAllowed,
+  checkButtonParams
+} = require('../helpers/registry');
+const { getButtonArgs, validateSendButtonsPayload, validateSendInteractiveMessagePayload } = require('../helpers/buttons');
+
+const button = (name, params) => ({ name, buttonParamsJson: JSON.stringify(params) });
+const nativeFlow = name => ({ interactiveMessage: { nativeFlowMessage: { buttons: [{ name, buttonParamsJson: '{}' }] } } });
+
+test.afterEach(() => unregisterButtonType('cta_reorder'));
+
+test('built-in types are registered per scope', () => {
+  assert.ok(listButtonTypes('sendButtons').includes('cta_url'));
+  assert.ok(!listButtonTypes('sendButtons').includes('quick_reply'));
+  assert.ok(isButtonTypeAllowed('single_select', 'interactive'));
+  assert.ok(!isButtonTypeAllowed('call_permission_request', 'interactive'), 'node-only type');
+  assert.deepStrictEqual(getButtonTypeDefinition('cta_copy').requiredFields, ['display_text', 'copy_code']);
+});
+
+test('registered types drive the strict validators', () => {
+  const payload = { text: 'Hi', interactiveButtons: [button('cta_reorder', { display_text: 'Reorder' })] };
+  assert.match(validateSendInteractiveMessagePayload(payload).errors.join(), /not allowed|unknown|not a registered/i);
+
+  registerButtonType('cta_reorder', {
+    requiredFields: ['display_text', 'order_id'],
+    validate: params => (/^\d+$/.test(params.order_id ?? '') ? [] : ['order_id must be numeric']),
+    allowedIn: ['interactive']
+  });
+  assert.deepStrictEqual(checkButtonParams('cta_reorder', { display_text: 'Reorder' }), [
+    "missing required field 'order_id'",
+    'order_id must be numeric'
+  ]);
+  assert.strictEqual(validateSendInteractiveMessagePayload({
+    text: 'Hi', interactiveButtons: [button('cta_reorder', { display_text: 'Reorder', order_id: '42' })]
+  }).valid, true);
+  assert.strictEqual(validateSendButtonsPayload({
+    text: 'Hi', buttons: [button('cta_reorder', { display_text: 'Reorder', order_id: '42' })]
+  }).valid, false, 'not allowed in sendButtons');
+});
+
+test('bizNode selects the injected node', () => {
+  registerButtonType('cta_reorder', { bizNode: 'named' });
+  const named = getButtonArgs(nativeFlow('cta_reorder'));
+  assert.deepStrictEqual(named.content[0].content[0].attrs, { v: '2', name: 'cta_reorder' });
+
+  registerButtonType('cta_reorder', { bizNode: { nativeFlowName: 'reorder' } });
+  assert.deepStrictEqual(getButtonArgs(nativeFlow('cta_reorder')), { tag: 'biz', attrs: { native_flow_name: 'reorder' } });
+
+  const mixed = getButtonArgs(nativeFlow('quick_reply'));
+  assert.deepStrictEqual(mixed.content[0].content[0].attrs, { v: '9', name: 'mixed' });
+});
+
+test('unregistering removes the type', () => {
+  registerButtonType('cta_reorder', {});
+  assert.strictEqual(unregisterButtonType('cta_reorder'), true);
+  assert.strictEqual(getButtonTypeDefinition('cta_reorder'), null);
+  assert.deepStrictEqual(checkButtonParams('cta_reorder', {}), []);
+});
+
+test('invalid definitions throw', () => {
+  assert.throws(() => registerButtonType('', {}), TypeError);
+  assert.throws(() => registerButtonType('x', { requiredFields: 'id' }), TypeError);
+  assert.throws(() => registerButtonType('x', { allowedIn: ['everywhere'] }), TypeError);
+  assert.throws(() => registerButtonType('x', { bizNode: 'custom' }), TypeError);
+  assert.strictEqual(getButtonTypeDefinition('x'), null);
+});
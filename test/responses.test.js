@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseInteractiveResponse, unwrapMessageContent } = require('../helpers/responses');
+
+const USER = '4915112345678@s.whatsapp.net';
+const GROUP = '120363000000000000@g.us';
+const key = (extra = {}) => ({ remoteJid: USER, fromMe: false, id: 'IN1', ...extra });
+
+test('buttonsResponseMessage', () => {
+  const reply = parseInteractiveResponse({
+    key: key(),
+    message: { buttonsResponseMessage: { selectedButtonId: 'yes', selectedDisplayText: 'Yes', contextInfo: { stanzaId: 'OUT1' } } }
+  });
+  assert.deepStrictEqual(reply, {
+    kind: 'buttons', id: 'yes', displayText: 'Yes', params: {}, quotedMessageId: 'OUT1', from: USER, name: null
+  });
+});
+
+test('listResponseMessage uses the row id and title', () => {
+  const reply = parseInteractiveResponse({
+    key: key(),
+    message: { listResponseMessage: { title: 'Pizza', singleSelectReply: { selectedRowId: 'food_pizza' } } }
+  });
+  assert.strictEqual(reply.kind, 'list');
+  assert.strictEqual(reply.id, 'food_pizza');
+  assert.strictEqual(reply.displayText, 'Pizza');
+  assert.strictEqual(reply.quotedMessageId, null);
+});
+
+test('templateButtonReplyMessage keeps the selected index', () => {
+  const reply = parseInteractiveResponse({
+    templateButtonReplyMessage: { selectedId: 'b2', selectedDisplayText: 'Two', selectedIndex: 1 }
+  });
+  assert.strictEqual(reply.kind, 'template');
+  assert.strictEqual(reply.id, 'b2');
+  assert.deepStrictEqual(reply.params, { index: 1 });
+  assert.strictEqual(reply.from, null, 'bare content has no sender');
+});
+
+test('native flow replies parse paramsJson', () => {
+  const reply = parseInteractiveResponse({
+    key: key({ remoteJid: GROUP, participant: USER }),
+    message: {
+      interactiveResponseMessage: {
+        body: { text: 'Open' },
+        nativeFlowResponseMessage: { name: 'quick_reply', paramsJson: '{"id":"open","extra":1}' },
+        contextInfo: { stanzaId: 'OUT2' }
+      }
+    }
+  });
+  assert.strictEqual(reply.kind, 'native_flow');
+  assert.strictEqual(reply.id, 'open');
+  assert.strictEqual(reply.name, 'quick_reply');
+  assert.deepStrictEqual(reply.params, { id: 'open', extra: 1 });
+  assert.strictEqual(reply.from, USER, 'group replies come from the participant');
+});
+
+test('invalid paramsJson yields empty params and a null id', () => {
+  const reply = parseInteractiveResponse({
+    interactiveResponseMessage: { nativeFlowResponseMessage: { name: 'x', paramsJson: '{not json' } }
+  });
+  assert.deepStrictEqual(reply.params, {});
+  assert.strictEqual(reply.id, null);
+});
+
+test('wrapped replies are unwrapped', () => {
+  const inner = { buttonsResponseMessage: { selectedButtonId: 'a' } };
+  const wrapped = { ephemeralMessage: { message: { documentWithCaptionMessage: { message: inner } } } };
+  assert.strictEqual(unwrapMessageContent(wrapped), inner);
+  assert.strictEqual(parseInteractiveResponse({ key: key(), message: wrapped }).id, 'a');
+});
+
+test('non-interactive messages return null', () => {
+  assert.strictEqual(parseInteractiveResponse(null), null);
+  assert.strictEqual(parseInteractiveResponse({ key: key(), message: { conversation: 'hi' } }), null);
+  assert.strictEqual(parseInteractiveResponse({ key: key(), message: null }), null);
+});
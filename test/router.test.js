@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createInteractiveRouter } = require('../helpers/router');
+const { createMockSocket } = require('../testing');
+
+const USER = '4915112345678@s.whatsapp.net';
+const silent = { trace() {}, debug() {}, info() {}, warn() {}, error() {} };
+
+test('exact ids win over patterns, then patterns in order, then fallback', async () => {
+  const sock = createMockSocket();
+  const seen = [];
+  createInteractiveRouter(sock, { logger: silent })
+    .prefix('order:', ctx => seen.push(['prefix', ctx.id]))
+    .on('order:1', ctx => seen.push(['exact', ctx.id]))
+    .on(/^page_(\d+)$/, ctx => seen.push(['regex', ctx.match[1]]))
+    .flow('galaxy_message', ctx => seen.push(['flow', ctx.reply.name]))
+    .fallback(ctx => seen.push(['fallback', ctx.id]));
+
+  await sock.injectButtonReply(USER, { id: 'order:1' });
+  await sock.injectListReply(USER, { id: 'order:2' });
+  await sock.injectTemplateReply(USER, { id: 'page_3' });
+  await sock.injectNativeFlowReply(USER, { name: 'galaxy_message', params: { response_json: '{}' } });
+  await sock.injectButtonReply(USER, { id: 'other' });
+
+  assert.deepStrictEqual(seen, [
+    ['exact', 'order:1'],
+    ['prefix', 'order:2'],
+    ['regex', '3'],
+    ['flow', 'galaxy_message'],
+    ['fallback', 'other']
+  ]);
+});
+
+test('middleware runs in order and shares ctx.state', async () => {
+  const sock = createMockSocket();
+  const order = [];
+  createInteractiveRouter(sock, { logger: silent })
+    .use(async (ctx, next) => { order.push('a'); ctx.state.user = 'asha'; await next(); order.push('a-after'); })
+    .use(async (ctx, next) => { order.push('b'); await next(); })
+    .on('hi', ctx => order.push(`handler:${ctx.state.user}:${ctx.jid}`));
+
+  await sock.injectButtonReply(USER, { id: 'hi' });
+  assert.deepStrictEqual(order, ['a', 'b', `handler:asha:${USER}`, 'a-after']);
+});
+
+test('middleware that does not call next stops dispatch', async () => {
+  const sock = createMockSocket();
+  let ran = false;
+  const router = createInteractiveRouter(sock, { logger: silent, autoStart: false })
+    .use(() => {})
+    .on('hi', () => { ran = true; });
+  const handled = await router.handle({ key: { remoteJid: USER, id: 'X' }, message: { buttonsResponseMessage: { selectedButtonId: 'hi' } } });
+  assert.strictEqual(handled, false);
+  assert.strictEqual(ran, false);
+});
+
+test('handler and middleware errors go to onError', async () => {
+  const sock = createMockSocket();
+  const errors = [];
+  createInteractiveRouter(sock, { logger: silent, onError: (err, ctx) => errors.push([err.message, ctx.id]) })
+    .use(async (ctx, next) => { await next(); await next(); })
+    .on('boom', () => { throw new Error('handler failed'); })
+    .on('twice', () => {});
+
+  await sock.injectButtonReply(USER, { id: 'boom' });
+  await sock.injectButtonReply(USER, { id: 'twice' });
+  assert.deepStrictEqual(errors, [['handler failed', 'boom'], ['next() called multiple times', 'twice']]);
+});
+
+test('own messages, other upsert types and non replies are ignored', async () => {
+  const sock = createMockSocket();
+  const seen = [];
+  const router = createInteractiveRouter(sock, { logger: silent }).fallback(ctx => seen.push(ctx.id));
+  const reply = { buttonsResponseMessage: { selectedButtonId: 'own' } };
+
+  sock.upsertMessage({ key: { remoteJid: USER, fromMe: true, id: 'A' }, message: reply }, 'notify');
+  sock.upsertMessage({ key: { remoteJid: USER, fromMe: false, id: 'B' }, message: reply }, 'append');
+  await sock.injectText(USER, 'hello');
+  await sock.settle();
+  assert.deepStrictEqual(seen, []);
+
+  router.stop();
+  await sock.injectButtonReply(USER, { id: 'after_stop' });
+  assert.deepStrictEqual(seen, []);
+  router.start();
+  await sock.injectButtonReply(USER, { id: 'started' });
+  assert.deepStrictEqual(seen, ['started']);
+});
+
+test('invalid matchers and handlers throw', () => {
+  const router = createInteractiveRouter(createMockSocket(), { autoStart: false });
+  assert.throws(() => router.on(42, () => {}), TypeError);
+  assert.throws(() => router.on('id', 'not a function'), TypeError);
+  assert.throws(() => createInteractiveRouter(null), TypeError);
+});
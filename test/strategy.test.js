@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sendInteractiveMessage, InteractiveValidationError } = require('../helpers/buttons');
+const { unwrapMessageContent } = require('../helpers/responses');
+const { createMockSocket, useMockBaileys, describeCall, expectButtons } = require('../testing');
+
+const JID = '4915100000000@s.whatsapp.net';
+const silent = { trace() {}, debug() {}, info() {}, warn() {}, error() {} };
+const payload = {
+  text: 'Pick one',
+  footer: 'Shop',
+  interactiveButtons: [
+    { name: 'quick_reply', buttonParamsJson: JSON.stringify({ display_text: 'Yes', id: 'yes' }) },
+    { name: 'cta_url', buttonParamsJson: JSON.stringify({ display_text: 'Site', url: 'https://example.com' }) }
+  ]
+};
+
+let restore;
+test.beforeEach(() => { restore = useMockBaileys(); });
+test.afterEach(() => restore());
+
+test('the first encoding that relays wins', async () => {
+  const sock = createMockSocket();
+  const msg = await sendInteractiveMessage(sock, JID, payload, { strategy: ['native_flow', 'buttonsMessage'] });
+  assert.strictEqual(msg.encoding, 'native_flow');
+  assert.deepStrictEqual(msg.encodingAttempts, []);
+  assert.strictEqual(sock.calls.length, 1);
+  expectButtons(sock.lastCall(), ['yes', { name: 'cta_url', text: 'Site' }]);
+});
+
+test('relay failures fall through to the next encoding, rebuilt from the same payload', async () => {
+  const sock = createMockSocket().failNextRelay(new Error('bad node'));
+  const msg = await sendInteractiveMessage(sock, JID, payload, {
+    strategy: ['native_flow', 'buttonsMessage', 'text'],
+    logger: silent
+  });
+  assert.strictEqual(msg.encoding, 'buttonsMessage');
+  assert.deepStrictEqual(msg.encodingAttempts, [{ encoding: 'native_flow', error: 'bad node' }]);
+  const { buttonsMessage } = unwrapMessageContent(msg.message);
+  assert.strictEqual(buttonsMessage.contentText, 'Pick one');
+  // buttonsMessage only carries quick replies.
+  assert.deepStrictEqual(buttonsMessage.buttons.map(b => b.buttonId), ['yes']);
+});
+
+test('templateMessage keeps url buttons and text renders a numbered menu', async () => {
+  const sock = createMockSocket().failNextRelay().failNextRelay();
+  const msg = await sendInteractiveMessage(sock, JID, payload, {
+    strategy: ['native_flow', 'templateMessage', 'text'],
+    logger: silent
+  });
+  assert.strictEqual(msg.encoding, 'text');
+  assert.deepStrictEqual(msg.encodingAttempts.map(a => a.encoding), ['native_flow', 'templateMessage']);
+  assert.match(describeCall(sock.lastCall()).text, /1\. Yes/);
+
+  const template = await sendInteractiveMessage(createMockSocket(), JID, payload, { strategy: ['templateMessage'] });
+  const { hydratedButtons } = unwrapMessageContent(template.message).templateMessage.hydratedTemplate;
+  assert.deepStrictEqual(hydratedButtons.map(b => Object.keys(b)[1]), ['quickReplyButton', 'urlButton']);
+});
+
+test('encodings that cannot carry any button are skipped', async () => {
+  const urlOnly = { text: 'Visit', interactiveButtons: [payload.interactiveButtons[1]] };
+  const msg = await sendInteractiveMessage(createMockSocket(), JID, urlOnly, { strategy: ['buttonsMessage', 'templateMessage'] });
+  assert.strictEqual(msg.encoding, 'templateMessage');
+  assert.deepStrictEqual(msg.encodingAttempts, [{ encoding: 'buttonsMessage', skipped: 'no buttons this encoding can carry' }]);
+});
+
+test('per-step mdPatch overrides the send option', async () => {
+  const sock = createMockSocket();
+  await sendInteractiveMessage(sock, JID, payload, { strategy: [{ encoding: 'native_flow', mdPatch: false }] });
+  assert.ok(sock.lastCall().message.interactiveMessage, 'unpatched message is not wrapped');
+});
+
+test('every step failing throws with each attempt listed', async () => {
+  const sock = createMockSocket().failNextRelay(new Error('a')).failNextRelay(new Error('b'));
+  await assert.rejects(
+    sendInteractiveMessage(sock, JID, payload, { strategy: ['native_flow', 'buttonsMessage'], logger: silent }),
+    err => err instanceof InteractiveValidationError
+      && err.context === 'sendInteractiveMessage.strategy'
+      && err.errors.join('|') === 'native_flow: a|buttonsMessage: b'
+  );
+});
+
+test('invalid strategies are rejected before sending', async () => {
+  const sock = createMockSocket();
+  await assert.rejects(sendInteractiveMessage(sock, JID, payload, { strategy: [] }), /Send strategy invalid/);
+  await assert.rejects(sendInteractiveMessage(sock, JID, payload, { strategy: ['fax'] }), InteractiveValidationError);
+  await assert.rejects(sendInteractiveMessage(sock, JID, { text: 'x' }, { strategy: ['text'] }), InteractiveValidationError);
+  assert.strictEqual(sock.calls.length, 0);
+});
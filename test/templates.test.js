@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderInteractiveTemplate, registerLocaleBundle, localeChain } = require('../helpers/templates');
+const { InteractiveValidationError } = require('../helpers/buttons');
+
+// Registered bundles are module wide; keys are unique to this file.
+registerLocaleBundle('en', { tplWelcome: 'Hi {{name}}!', tplTrack: 'Track order', tplNested: 'See {{t:tplTrack}}' });
+registerLocaleBundle('pt', { tplWelcome: 'Olá {{name}}!' });
+
+const errorsOf = fn => {
+  try {
+    fn();
+  } catch (err) {
+    assert.ok(err instanceof InteractiveValidationError);
+    assert.strictEqual(err.context, 'renderInteractiveTemplate');
+    return err.errors;
+  }
+  assert.fail('expected renderInteractiveTemplate to throw');
+};
+
+test('fills vars, dotted paths and translations with the locale fallback chain', () => {
+  const out = renderInteractiveTemplate({
+    text: '{{t:tplWelcome}}',
+    buttons: [{ id: 'track:{{order.id}}', text: '{{t:tplTrack}}' }]
+  }, { name: 'Ana', order: { id: 42 } }, { locale: 'pt-BR' });
+  assert.deepStrictEqual(out, { text: 'Olá Ana!', buttons: [{ id: 'track:42', text: 'Track order' }] });
+  assert.deepStrictEqual(localeChain('pt_BR', 'en'), ['pt-BR', 'pt', 'en']);
+});
+
+test('per-call bundles win and buttonParamsJson values are JSON escaped', () => {
+  const out = renderInteractiveTemplate({
+    text: '{{t:tplWelcome}}',
+    interactiveButtons: [{ name: 'cta_copy', buttonParamsJson: JSON.stringify({ display_text: 'Copy', copy_code: '{{code}}' }) }]
+  }, { name: 'Bo', code: 'say "hi"' }, { locale: 'en', bundles: { en: { tplWelcome: 'Hey {{name}}' } } });
+  assert.strictEqual(out.text, 'Hey Bo');
+  assert.strictEqual(JSON.parse(out.interactiveButtons[0].buttonParamsJson).copy_code, 'say "hi"');
+});
+
+test('media and other non-plain objects are kept by reference', () => {
+  const image = Buffer.from('img');
+  const template = { text: '{{a}}', image };
+  const out = renderInteractiveTemplate(template, { a: 1 });
+  assert.strictEqual(out.image, image);
+  assert.strictEqual(template.text, '{{a}}');
+});
+
+test('missing variables and translations are reported together with their paths', () => {
+  const errors = errorsOf(() => renderInteractiveTemplate({
+    text: '{{t:tplMissing}}',
+    buttons: [{ id: '{{order.id}}', text: '{{obj}}' }]
+  }, { obj: {} }, { locale: 'de' }));
+  assert.deepStrictEqual(errors, [
+    "text: missing translation 'tplMissing' (tried de, en)",
+    "buttons[0].id: missing variable 'order.id'",
+    "buttons[0].text: variable 'obj' must be a string, number or boolean"
+  ]);
+});
+
+test('inherited properties are missing, not rendered', () => {
+  const errors = errorsOf(() => renderInteractiveTemplate({
+    text: '{{constructor}} {{name.length}} {{t:toString}} {{t:tplTrack.constructor}}'
+  }, { name: 'Ana' }));
+  assert.deepStrictEqual(errors, [
+    "text: missing variable 'constructor'",
+    "text: missing variable 'name.length'",
+    "text: missing translation 'toString' (tried en)",
+    "text: missing translation 'tplTrack.constructor' (tried en)"
+  ]);
+});
+
+test('vars inside a translation are filled, translations inside a translation are reported', () => {
+  const errors = errorsOf(() => renderInteractiveTemplate({ text: '{{t:tplWelcome}}', footer: '{{t:tplNested}}' }, {}));
+  assert.deepStrictEqual(errors, [
+    "text: missing variable 'name'",
+    "footer: translation 'tplTrack' used inside another translation"
+  ]);
+});
+
+test('extending a bundle merges nested groups instead of replacing them', () => {
+  registerLocaleBundle('en', { tplOrder: { paid: 'Order {{id}} paid', status: { open: 'Open' } } });
+  registerLocaleBundle('en', { tplOrder: { shipped: 'Order {{id}} shipped', status: { closed: 'Closed' } } });
+  const out = renderInteractiveTemplate({
+    text: '{{t:tplOrder.paid}} / {{t:tplOrder.shipped}}',
+    footer: '{{t:tplOrder.status.open}} / {{t:tplOrder.status.closed}}'
+  }, { id: 7 });
+  assert.deepStrictEqual(out, { text: 'Order 7 paid / Order 7 shipped', footer: 'Open / Closed' });
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sendButtons, sendListMessage } = require('../helpers/buttons');
+const { createInteractiveRouter } = require('../helpers/router');
+const { parseInteractiveResponse } = require('../helpers/responses');
+const { getConfig } = require('../helpers/config');
+const {
+  createMockSocket, useMockBaileys, describeCall, expectButtons, expectListRows, expectText
+} = require('../testing');
+
+const USER = '4915112345678@s.whatsapp.net';
+const GROUP = '120363000000000000@g.us';
+const silent = { trace() {}, debug() {}, info() {}, warn() {}, error() {} };
+
+let restore;
+test.beforeEach(() => { restore = useMockBaileys(); });
+test.afterEach(() => restore());
+
+test('useMockBaileys installs a module and restores the previous one', () => {
+  const installed = getConfig().baileys;
+  assert.strictEqual(typeof installed.generateWAMessageFromContent, 'function');
+  const inner = useMockBaileys();
+  assert.notStrictEqual(getConfig().baileys, installed);
+  inner();
+  assert.strictEqual(getConfig().baileys, installed);
+});
+
+test('records relays with their binary nodes', async () => {
+  const sock = createMockSocket();
+  await sendButtons(sock, USER, { text: 'Hi', buttons: [{ id: 'a', text: 'A' }] });
+  await sendButtons(sock, GROUP, { text: 'Hi', buttons: [{ id: 'a', text: 'A' }] });
+  const [privateCall, groupCall] = sock.calls;
+  assert.strictEqual(privateCall.type, 'relay');
+  assert.strictEqual(privateCall.jid, USER);
+  assert.strictEqual(privateCall.messageId, privateCall.relayOptions.messageId);
+  assert.deepStrictEqual(privateCall.additionalNodes.map(n => n.tag), ['biz', 'bot']);
+  assert.deepStrictEqual(groupCall.additionalNodes.map(n => n.tag), ['biz']);
+  assert.strictEqual(await sock.config.getMessage({ id: privateCall.messageId }), privateCall.message);
+});
+
+test('emitOwnEvents upserts sent messages, and can be turned off', async () => {
+  for (const emitOwnEvents of [true, false]) {
+    const sock = createMockSocket({ emitOwnEvents });
+    const upserts = [];
+    sock.ev.on('messages.upsert', ({ messages, type }) => upserts.push([messages[0].key.fromMe, type]));
+    await sendButtons(sock, USER, { text: 'Hi', buttons: [{ id: 'a', text: 'A' }] });
+    await sock.sendMessage(USER, { text: 'plain' });
+    await sock.settle();
+    assert.deepStrictEqual(upserts, emitOwnEvents ? [[true, 'append'], [true, 'append']] : []);
+  }
+});
+
+test('injected replies parse like real ones and quote the sent message', async () => {
+  const sock = createMockSocket();
+  const sentMsg = await sendListMessage(sock, USER, {
+    text: 'Menu', buttonText: 'Open', sections: [{ title: 'S', rows: [{ rowId: 'r1', title: 'Row 1' }] }]
+  });
+  expectListRows(sock.lastCall(), [{ id: 'r1', title: 'Row 1', section: 'S' }]);
+
+  const replies = [];
+  sock.ev.on('messages.upsert', ({ messages, type }) => { if (type === 'notify') replies.push(parseInteractiveResponse(messages[0])); });
+  await sock.injectListReply(USER, { id: 'r1', quoted: sock.lastCall() });
+  await sock.injectButtonReply({ group: GROUP, participant: USER }, { id: 'b', quoted: sentMsg });
+  await sock.injectTemplateReply(USER, { id: 't', index: 2 });
+  await sock.injectNativeFlowReply(USER, { id: 'n', params: { extra: 1 } });
+
+  assert.deepStrictEqual(replies.map(r => [r.kind, r.id, r.from]), [
+    ['list', 'r1', USER],
+    ['buttons', 'b', USER],
+    ['template', 't', USER],
+    ['native_flow', 'n', USER]
+  ]);
+  assert.strictEqual(replies[0].quotedMessageId, sentMsg.key.id);
+  assert.strictEqual(replies[3].params.extra, 1);
+});
+
+test('a whole flow runs offline through the router', async () => {
+  const sock = createMockSocket();
+  createInteractiveRouter(sock, { logger: silent }).on('help', ctx => sock.sendMessage(ctx.jid, { text: 'Help!' }));
+  await sendButtons(sock, USER, { text: 'Hi', buttons: [{ id: 'help', text: 'Help' }] });
+  expectButtons(sock.lastCall(), ['help']);
+  await sock.injectButtonReply(USER, { id: 'help', quoted: sock.lastCall() });
+  expectText(sock.lastCall(), 'Help!');
+  expectText(sock.lastCall(), /^Help/);
+});
+
+test('failNextRelay queues failures and reset clears state', async () => {
+  const sock = createMockSocket();
+  sock.failNextRelay(new Error('first')).failNextRelay();
+  await assert.rejects(sock.relayMessage(USER, {}), /first/);
+  await assert.rejects(sock.sendMessage(USER, { text: 'x' }), /mock relay failure/);
+  await sock.sendMessage(USER, { text: 'ok' });
+  assert.strictEqual(sock.calls.length, 1);
+  sock.failNextRelay();
+  sock.reset();
+  assert.strictEqual(sock.lastCall(), null);
+  await sock.sendMessage(USER, { text: 'again' });
+  assert.strictEqual(describeCall(sock.lastCall()).kind, 'text');
+});
+
+test('assertion helpers fail with readable diffs', async () => {
+  const sock = createMockSocket();
+  await sendButtons(sock, USER, { text: 'Hi', buttons: [{ id: 'a', text: 'A' }] });
+  assert.throws(() => expectButtons(sock.lastCall(), ['b']), { name: 'AssertionError', message: /buttons differ/ });
+  assert.throws(() => expectText(sock.lastCall(), 'Bye'), { name: 'AssertionError' });
+  assert.throws(() => expectButtons(null, []), /no call recorded/);
+  assert.deepStrictEqual(describeCall(sock.lastCall()), {
+    kind: 'native_flow',
+    text: 'Hi',
+    footer: null,
+    buttons: [{ id: 'a', text: 'A', name: 'quick_reply', params: { display_text: 'A', id: 'a' } }],
+    rows: [],
+    cards: [],
+    editOf: null
+  });
+});
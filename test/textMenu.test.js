@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sendButtons, sendListMessage } = require('../helpers/buttons');
+const { createInteractiveRouter } = require('../helpers/router');
+const { createMemoryMenuStore, parseMenuChoice, renderTextMenu, resolveTextMenuReply } = require('../helpers/textMenu');
+const { createMockSocket, useMockBaileys, describeCall } = require('../testing');
+
+const USER = '4915112345678@s.whatsapp.net';
+const menu = {
+  title: 'Pizza',
+  text: 'Pick a size',
+  footer: 'Fresh',
+  buttons: [
+    { id: 'size_s', text: 'Small' },
+    { id: 'size_l', text: 'Large' },
+    { name: 'cta_url', buttonParamsJson: JSON.stringify({ display_text: 'Menu', url: 'https://sendbulk.cloud' }) }
+  ]
+};
+
+let restore;
+test.beforeEach(() => { restore = useMockBaileys(); });
+test.afterEach(() => restore());
+
+test("fallback: 'text' sends a numbered menu", async () => {
+  const sock = createMockSocket();
+  await sendButtons(sock, USER, menu, { fallback: 'text', menuStore: createMemoryMenuStore() });
+  const { kind, text } = describeCall(sock.lastCall());
+  assert.strictEqual(kind, 'text');
+  assert.strictEqual(text, [
+    '*Pizza*\nPick a size',
+    '1. Small\n2. Large\nMenu: https://sendbulk.cloud',
+    '_Fresh_',
+    'Reply with the number of your choice.'
+  ].join('\n\n'));
+});
+
+test('numbers, words and labels route to the original ids', async () => {
+  const sock = createMockSocket();
+  const menuStore = createMemoryMenuStore();
+  const seen = [];
+  createInteractiveRouter(sock, { menuStore }).on('size_s', ctx => seen.push(ctx.reply)).on('size_l', ctx => seen.push(ctx.reply));
+  await sendButtons(sock, USER, menu, { fallback: 'text', menuStore });
+  const sent = sock.lastCall();
+
+  await sock.injectText(USER, '2');
+  await sock.injectText(USER, ' One ');
+  await sock.injectText(USER, 'large', { quoted: sent });
+  await sock.injectText(USER, '7');
+  await sock.injectText(USER, '1', { quoted: 'SOME_OTHER_MESSAGE' });
+
+  assert.deepStrictEqual(seen.map(r => [r.kind, r.id, r.params.number]), [
+    ['text_menu', 'size_l', 2],
+    ['text_menu', 'size_s', 1],
+    ['text_menu', 'size_l', 2]
+  ]);
+  assert.strictEqual(seen[2].quotedMessageId, sent.messageId);
+});
+
+test('list rows are numbered after section titles', async () => {
+  const sock = createMockSocket();
+  const menuStore = createMemoryMenuStore();
+  await sendListMessage(sock, USER, {
+    text: 'Menu',
+    buttonText: 'Open',
+    sections: [{ title: 'Food', rows: [{ rowId: 'pizza', title: 'Pizza', description: 'Cheese' }] }, { title: 'Drinks', rows: [{ rowId: 'cola', title: 'Cola' }] }]
+  }, { fallback: 'text', menuStore, menuHint: null });
+  assert.strictEqual(describeCall(sock.lastCall()).text, 'Menu\n\n*Food*\n1. Pizza\n    Cheese\n\n*Drinks*\n2. Cola');
+  const reply = await resolveTextMenuReply({ key: { remoteJid: USER, id: 'X' }, message: { conversation: '#2' } }, { menuStore });
+  assert.strictEqual(reply.id, 'cola');
+});
+
+test('parseMenuChoice accepts digits and number words only', () => {
+  assert.deepStrictEqual(['2', '2.', '#3', '4)', 'twelve', ' Five '].map(parseMenuChoice), [2, 2, 3, 4, 12, 5]);
+  assert.deepStrictEqual(['zero', 'two apples', '', null].map(parseMenuChoice), [null, null, null, null]);
+});
+
+test('memory store expires menus and evicts the oldest chat', async () => {
+  const store = createMemoryMenuStore({ maxChats: 1, ttlMs: 50 });
+  store.set('a', { entries: [] });
+  store.set('b', { entries: [] });
+  assert.strictEqual(store.get('a'), null);
+  assert.ok(store.get('b'));
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.strictEqual(store.get('b'), null);
+});
+
+test('renderTextMenu returns the number -> id entries', () => {
+  const { entries } = renderTextMenu({ groups: [{ options: [{ id: 'a', label: 'A' }, { id: 'b', label: 'B' }] }] });
+  assert.deepStrictEqual(entries, [{ number: 1, id: 'a', label: 'A' }, { number: 2, id: 'b', label: 'B' }]);
+});
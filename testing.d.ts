@@ -0,0 +1,88 @@
+/**
+ * Type declarations for zqbaileys_helper/testing (testing.js).
+ */
+
+import { SocketLike, WAMessageLike, BinaryNode, Logger } from './index';
+
+export interface RecordedCall {
+  type: 'relay' | 'sendMessage';
+  jid: string;
+  message: Record<string, any>;
+  additionalNodes: BinaryNode[];
+  relayOptions: Record<string, any>;
+  messageId: string;
+}
+
+/** Buttons message to quote: a recorded call, a WAMessage or its id. */
+export type QuotedRef = RecordedCall | WAMessageLike | string;
+
+/** Sender of an injected message: a user JID, or a group plus participant. */
+export type ReplySender = string | { group: string; participant: string };
+
+export interface MockSocket extends SocketLike {
+  user: { id: string; name: string };
+  authState: { creds: { me: { id: string; name: string } } };
+  config: { emitOwnEvents: boolean; getMessage(key: { id?: string | null }): Promise<Record<string, any> | undefined> };
+  ev: {
+    on(event: string, listener: (...args: any[]) => any): void;
+    off(event: string, listener: (...args: any[]) => any): void;
+    emit(event: string, payload: unknown): boolean;
+    listenerCount(event: string): number;
+  };
+  calls: RecordedCall[];
+  processingMutex: { mutex<T>(fn: () => T | Promise<T>): Promise<T> };
+  relayMessage(jid: string, message: object, relayOptions?: Record<string, any>): Promise<string>;
+  sendMessage(jid: string, content: Record<string, any>): Promise<WAMessageLike>;
+  upsertMessage(msg: WAMessageLike, type?: string): void;
+  failNextRelay(err?: Error): this;
+  lastCall(): RecordedCall | null;
+  reset(): void;
+  settle(): Promise<void>;
+  inject(msg: WAMessageLike): Promise<WAMessageLike>;
+  injectButtonReply(from: ReplySender, reply: { id: string; text?: string; quoted?: QuotedRef }): Promise<WAMessageLike>;
+  injectListReply(from: ReplySender, reply: { id: string; title?: string; description?: string; quoted?: QuotedRef }): Promise<WAMessageLike>;
+  injectTemplateReply(from: ReplySender, reply: { id: string; text?: string; index?: number; quoted?: QuotedRef }): Promise<WAMessageLike>;
+  injectNativeFlowReply(
+    from: ReplySender,
+    reply: { id?: string; name?: string; params?: Record<string, unknown>; text?: string; quoted?: QuotedRef }
+  ): Promise<WAMessageLike>;
+  injectLocation(
+    from: ReplySender,
+    location: { latitude: number; longitude: number; name?: string; address?: string; quoted?: QuotedRef }
+  ): Promise<WAMessageLike>;
+  injectText(from: ReplySender, text: string, options?: { quoted?: QuotedRef }): Promise<WAMessageLike>;
+}
+
+export interface DescribedButton {
+  id: string | null;
+  text: string | null;
+  name: string;
+  params?: Record<string, any>;
+  [key: string]: unknown;
+}
+
+export interface DescribedRow {
+  id: string;
+  title: string;
+  description?: string;
+  section?: string;
+}
+
+export interface DescribedCall {
+  kind: 'native_flow' | 'carousel' | 'buttons' | 'list' | 'template' | 'text' | null;
+  text: string | null;
+  footer: string | null;
+  buttons: DescribedButton[];
+  rows: DescribedRow[];
+  cards: Array<{ title: string | null; text: string | null; footer: string | null; buttons: DescribedButton[] }>;
+  /** Id of the edited message when the call is an edit (protocolMessage MESSAGE_EDIT). */
+  editOf: string | null;
+}
+
+export function createMockSocket(options?: { jid?: string; emitOwnEvents?: boolean; logger?: Logger }): MockSocket;
+export function createMockBaileys(): Record<string, (...args: any[]) => any>;
+export function useMockBaileys(): () => void;
+export function describeCall(call: RecordedCall | WAMessageLike | Record<string, any>): DescribedCall;
+export function expectButtons(call: RecordedCall | WAMessageLike | null, expected: Array<string | Partial<DescribedButton>>): void;
+export function expectListRows(call: RecordedCall | WAMessageLike | null, expected: Array<string | Partial<DescribedRow>>): void;
+export function expectText(call: RecordedCall | WAMessageLike | null, expected: string | RegExp): void;
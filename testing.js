@@ -0,0 +1,11 @@
+/**
+ * Test kit entry point: require('zqbaileys_helper/testing').
+ * Mock socket, in-memory Baileys module and assertion helpers for offline bot tests.
+ */
+
+const testing = require('./helpers/testing');
+
+module.exports = {
+	// createMockSocket, createMockBaileys, useMockBaileys, describeCall, expectButtons, expectListRows, expectText
+	...testing,
+};